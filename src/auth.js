@@ -0,0 +1,104 @@
+import 'dotenv/config';
+import { createHash } from 'crypto';
+import logger from './logger.js';
+
+/**
+ * @fileoverview API key resolution and scope checks.
+ *
+ * Keys come from two environment variables:
+ * - `MCP_SERVER_API_KEY`: a single key with every scope (id `default`).
+ * - `MCP_API_KEYS`: optional JSON object mapping keys to `{ "id": "...", "scopes": [...] }`,
+ *   e.g. `{"k-123": {"id": "alice", "scopes": ["solana:read"]}}`. An optional `monthlyCapUsd`
+ *   limits the key's LLM spend per calendar month (see src/llm/usage.js). Keys without an `id`
+ *   are identified by a short hash of the key, never by part of the key itself.
+ *
+ * The scope `*` grants everything.
+ */
+
+/**
+ * @typedef {object} Principal
+ * @property {string} id - Stable identifier of the key owner (used for namespacing and reporting).
+ * @property {Array<string>} scopes - Granted scopes.
+ * @property {number} [monthlyCapUsd] - Monthly LLM spend cap of the key.
+ */
+
+/**
+ * Scopes checked by the tool registry.
+ * @enum {string}
+ */
+export const SCOPES = {
+	SOLANA_READ: 'solana:read',
+	LLM_GENERATE: 'llm:generate',
+	ADMIN: 'admin',
+};
+
+/**
+ * Principal used by local transports (stdio) where the caller is the process owner.
+ * @type {Principal}
+ */
+export const LOCAL_PRINCIPAL = { id: 'local', scopes: [ '*' ] };
+
+/**
+ * Derives an id for a key configured without one. Ids end up in logs, session ownership and
+ * usage reports, so they are taken from a hash rather than from the secret.
+ * @param {string} key - The API key.
+ * @returns {string}
+ */
+function keyId(key) {
+	return `key-${ createHash('sha256').update(key).digest('hex').slice(0, 12) }`;
+}
+
+/**
+ * Parses `MCP_API_KEYS` into a key -> principal map.
+ * @returns {Map<string, Principal>}
+ */
+function loadApiKeys() {
+	const keys = new Map();
+
+	if(process.env.MCP_SERVER_API_KEY) {
+		keys.set(process.env.MCP_SERVER_API_KEY, { id: 'default', scopes: [ '*' ] });
+	}
+
+	if(process.env.MCP_API_KEYS) {
+		try {
+			const configured = JSON.parse(process.env.MCP_API_KEYS);
+			Object.entries(configured).forEach(([ key, { id, scopes = [], monthlyCapUsd } = {} ]) => {
+				keys.set(key, { id: id || keyId(key), scopes, ...(monthlyCapUsd !== undefined && { monthlyCapUsd }) });
+			});
+		} catch(error) {
+			logger.error({ error: error.message }, 'Invalid MCP_API_KEYS, expected a JSON object');
+		}
+	}
+
+	return keys;
+}
+
+const apiKeys = loadApiKeys();
+
+/**
+ * Resolves an API key to its principal.
+ * @param {string} [apiKey] - The key sent by the client.
+ * @returns {Principal|null} The principal, or null for unknown keys.
+ */
+export function resolveApiKey(apiKey) {
+	if(!apiKey) {
+		return null;
+	}
+	return apiKeys.get(apiKey) || null;
+}
+
+/**
+ * Whether a principal holds every required scope.
+ * @param {Principal|null} principal - The caller.
+ * @param {Array<string>} [requiredScopes=[]] - Scopes to check.
+ * @returns {boolean}
+ */
+export function hasScopes(principal, requiredScopes = []) {
+	if(requiredScopes.length === 0) {
+		return true;
+	}
+	if(!principal) {
+		return false;
+	}
+	return principal.scopes.includes('*') || requiredScopes.every(scope => principal.scopes.includes(scope));
+}
@@ -0,0 +1,422 @@
+import { randomUUID } from 'crypto';
+import NodeCache from 'node-cache';
+import { redisClient } from './clients.js';
+import logger from './logger.js';
+
+/**
+ * @fileoverview Two-level result cache: an in-process NodeCache in front of the optional shared
+ * Redis. Callers describe how long a result may live with a `CachePolicy` (see
+ * src/tools/registry.js); entries are only written to Redis when the policy sets `redisTtl`.
+ *
+ * Method results are keyed by `cacheKey`: the method name and its params serialized with sorted
+ * object keys, so the same params always hit the same entry. Resource reads are keyed by
+ * `resource:<uri>`. In Redis they live under `cache:` and never collide with the other data
+ * kept there.
+ *
+ * Hot lookups are protected against stampedes: concurrent calls for the same key share one
+ * computation, and for results shared through Redis a lock lets a single replica compute while
+ * the others wait for its result. Policies with `staleTtl` serve expired results for that long
+ * while refreshing them in the background; responses report the age of cached data.
+ *
+ * The policies registered with each method can be overridden with `MCP_CACHE_POLICIES`, a JSON
+ * object mapping method names to `{ "ttl": n, "redisTtl": n, "staleTtl": n }` (seconds), or
+ * to `false` to stop caching a method.
+ */
+
+const memoryCache = new NodeCache({
+	stdTTL: 120,
+	checkperiod: 60,
+	useClones: false,
+});
+
+const REDIS_KEY_PREFIX = 'cache';
+const LOCK_KEY_PREFIX = 'cache-lock';
+
+/** How long a replica may hold the lock of a key while computing it. */
+const LOCK_TTL_MS = 15 * 1000;
+const LOCK_POLL_MS = 100;
+
+const RELEASE_LOCK_SCRIPT = 'if redis.call("get", KEYS[1]) == ARGV[1] then return redis.call("del", KEYS[1]) else return 0 end';
+
+/**
+ * Parses `MCP_CACHE_POLICIES`.
+ * @returns {Object<string, import('./tools/registry.js').CachePolicy|false>} Method name -> policy override.
+ */
+function loadPolicyOverrides() {
+	if(!process.env.MCP_CACHE_POLICIES) {
+		return {};
+	}
+	try {
+		return JSON.parse(process.env.MCP_CACHE_POLICIES);
+	} catch(error) {
+		logger.error({ error: error.message }, 'Invalid MCP_CACHE_POLICIES, expected a JSON object');
+		return {};
+	}
+}
+
+const policyOverrides = loadPolicyOverrides();
+
+/**
+ * Applies the `MCP_CACHE_POLICIES` override of a method to its registered policy.
+ * @param {string} name - Method name.
+ * @param {import('./tools/registry.js').CachePolicy|false} policy - Registered policy.
+ * @returns {import('./tools/registry.js').CachePolicy|false} The effective policy.
+ */
+export function cachePolicy(name, policy) {
+	if(!(name in policyOverrides)) {
+		return policy;
+	}
+	const override = policyOverrides[name];
+	if(!override) {
+		return false;
+	}
+	return { ...policy, ...override };
+}
+
+/**
+ * Serializes a value as JSON with object keys sorted at every level.
+ * @param {*} value - The value.
+ * @returns {string}
+ */
+function canonicalJson(value) {
+	return JSON.stringify(value ?? {}, (key, nested) => (
+		nested && typeof nested === 'object' && !Array.isArray(nested) ?
+			Object.fromEntries(Object.entries(nested).sort(([ a ], [ b ]) => (a < b ? -1 : a > b ? 1 : 0))) :
+			nested
+	));
+}
+
+/**
+ * Builds the cache key of a call.
+ * @param {string} name - Method name.
+ * @param {object} params - Validated params.
+ * @returns {string} `<name>:<canonical JSON of params>`.
+ */
+export function cacheKey(name, params) {
+	return `${ name }:${ canonicalJson(params) }`;
+}
+
+/**
+ * Key of a cache entry in Redis.
+ * @param {string} key - Cache key.
+ * @returns {string}
+ */
+function redisKey(key) {
+	return `${ REDIS_KEY_PREFIX }:${ key }`;
+}
+
+/**
+ * Key of the Redis lock taken while a replica computes a shared value.
+ * @param {string} key - Cache key.
+ * @returns {string}
+ */
+function lockKey(key) {
+	return `${ LOCK_KEY_PREFIX }:${ key }`;
+}
+
+/**
+ * @typedef {object} CacheEntry
+ * @property {*} value - The cached value.
+ * @property {number} cachedAt - When the value was computed (ms since epoch).
+ * @property {number} staleAt - When the value stops being fresh (ms since epoch).
+ */
+
+/**
+ * @typedef {object} CachedValue
+ * @property {*} value - The value.
+ * @property {number|null} cachedAt - When the value was computed (ms since epoch), or null when
+ *   it was computed for this call.
+ * @property {boolean} stale - Whether the value outlived its TTL and is being refreshed.
+ */
+
+/**
+ * Computations running in this process, keyed by cache key, so concurrent identical calls
+ * share one upstream request.
+ * @type {Map<string, { promise: Promise<*>, signal?: AbortSignal }>}
+ */
+const inFlight = new Map();
+
+/**
+ * Whether a policy shares results through Redis, and Redis is up.
+ * @param {import('./tools/registry.js').CachePolicy} policy - Cache policy.
+ * @returns {boolean}
+ */
+function isShared(policy) {
+	return Boolean(policy.redisTtl && redisClient && redisClient.isReady);
+}
+
+/**
+ * Reads an entry shared through Redis and copies it to the in-memory cache.
+ * @param {string} key - Cache key.
+ * @param {import('./tools/registry.js').CachePolicy} policy - Cache policy.
+ * @returns {Promise<CacheEntry|null>} The entry, or null on a miss.
+ */
+async function readSharedEntry(key, policy) {
+	if(!isShared(policy)) {
+		return null;
+	}
+	try {
+		const stored = await redisClient.get(redisKey(key));
+		if(!stored) {
+			return null;
+		}
+		const { value, cachedAt } = JSON.parse(stored);
+		const now = Date.now();
+		const staleAt = Math.min(now + policy.ttl * 1000, cachedAt + policy.redisTtl * 1000);
+		const entry = { value, cachedAt, staleAt };
+		memoryCache.set(key, entry, Math.max(1, Math.ceil((staleAt - now) / 1000)) + (policy.staleTtl || 0));
+		return entry;
+	} catch(redisError) {
+		logger.error({ error: redisError }, 'Error querying Redis');
+		return null;
+	}
+}
+
+/**
+ * Caches a freshly computed value in memory and, if the policy says so, in Redis.
+ * @param {string} key - Cache key.
+ * @param {import('./tools/registry.js').CachePolicy} policy - Cache policy.
+ * @param {*} value - The value.
+ * @returns {Promise<void>}
+ */
+async function storeEntry(key, policy, value) {
+	const cachedAt = Date.now();
+	const staleTtl = policy.staleTtl || 0;
+	memoryCache.set(key, { value, cachedAt, staleAt: cachedAt + policy.ttl * 1000 }, policy.ttl + staleTtl);
+	if(isShared(policy)) {
+		try {
+			await redisClient.set(redisKey(key), JSON.stringify({ value, cachedAt }), {
+				EX: policy.redisTtl + staleTtl,
+			});
+		} catch(redisError) {
+			logger.error({ error: redisError }, 'Error saving to Redis');
+		}
+	}
+}
+
+/**
+ * Takes the Redis lock that lets one replica compute a shared value while the others wait.
+ * @param {string} key - Cache key.
+ * @param {import('./tools/registry.js').CachePolicy} policy - Cache policy.
+ * @returns {Promise<string|false|null>} The lock token, false if another replica holds the
+ *   lock, or null when the value is not shared or Redis failed.
+ */
+async function acquireLock(key, policy) {
+	if(!isShared(policy)) {
+		return null;
+	}
+	const token = randomUUID();
+	try {
+		const acquired = await redisClient.set(lockKey(key), token, { NX: true, PX: LOCK_TTL_MS });
+		return acquired ? token : false;
+	} catch(redisError) {
+		logger.error({ error: redisError.message }, 'Error taking cache lock in Redis');
+		return null;
+	}
+}
+
+/**
+ * Releases a Redis lock, unless it expired and was taken over by another replica meanwhile.
+ * @param {string} key - Cache key.
+ * @param {string} token - Token returned by `acquireLock`.
+ * @returns {Promise<void>}
+ */
+async function releaseLock(key, token) {
+	try {
+		await redisClient.eval(RELEASE_LOCK_SCRIPT, { keys: [ lockKey(key) ], arguments: [ token ] });
+	} catch(redisError) {
+		logger.error({ error: redisError.message }, 'Error releasing cache lock in Redis');
+	}
+}
+
+/**
+ * Waits for the replica holding the lock of a key to release it, then reads what it cached.
+ * @param {string} key - Cache key.
+ * @param {import('./tools/registry.js').CachePolicy} policy - Cache policy.
+ * @returns {Promise<CacheEntry|null>} A fresh entry, or null if none appeared in time.
+ */
+async function waitForLock(key, policy) {
+	const deadline = Date.now() + LOCK_TTL_MS;
+	try {
+		while(Date.now() < deadline) {
+			await new Promise(resolve => setTimeout(resolve, LOCK_POLL_MS));
+			if(!(await redisClient.exists(lockKey(key)))) {
+				const entry = await readSharedEntry(key, policy);
+				return entry && Date.now() <= entry.staleAt ? entry : null;
+			}
+		}
+	} catch(redisError) {
+		logger.error({ error: redisError.message }, 'Error waiting for cache lock in Redis');
+	}
+	return null;
+}
+
+/**
+ * Computes and caches a value. For values shared through Redis, only the replica holding the
+ * lock of the key computes; the others wait for its result, and compute themselves only if it
+ * does not come.
+ * @param {string} key - Cache key.
+ * @param {import('./tools/registry.js').CachePolicy} policy - Cache policy.
+ * @param {function(): Promise<*>} compute - Produces the value.
+ * @returns {Promise<*>} The value.
+ */
+async function computeAndStore(key, policy, compute) {
+	const lock = await acquireLock(key, policy);
+	if(lock === false) {
+		const entry = await waitForLock(key, policy);
+		if(entry) {
+			logger.debug({ cacheKey: key }, 'Response computed by another replica');
+			return entry.value;
+		}
+	}
+
+	try {
+		const value = await compute();
+		await storeEntry(key, policy, value);
+		return value;
+	} finally {
+		if(lock) {
+			await releaseLock(key, lock);
+		}
+	}
+}
+
+/**
+ * Computes a value, joining the computation of the same key if one is already running.
+ * @param {string} key - Cache key.
+ * @param {import('./tools/registry.js').CachePolicy} policy - Cache policy.
+ * @param {function(): Promise<*>} compute - Produces the value.
+ * @param {AbortSignal} [signal] - Signal of the calling request.
+ * @returns {Promise<*>} The value.
+ */
+async function computeOnce(key, policy, compute, signal) {
+	const running = inFlight.get(key);
+	if(running) {
+		try {
+			return await running.promise;
+		} catch(error) {
+			// The request that started the computation was cancelled; this one still wants the value
+			if(!running.signal?.aborted) {
+				throw error;
+			}
+			return computeOnce(key, policy, compute, signal);
+		}
+	}
+
+	const promise = computeAndStore(key, policy, compute).finally(() => inFlight.delete(key));
+	inFlight.set(key, { promise, signal });
+	return promise;
+}
+
+/**
+ * Returns the cached value for a key, or computes and caches it. Concurrent calls for the same
+ * key share one computation. Once a value outlives its TTL it is still served for `staleTtl`
+ * seconds while it is recomputed in the background; `compute` is then called with
+ * `{ background: true }`.
+ * @param {string} key - Cache key.
+ * @param {import('./tools/registry.js').CachePolicy|false} policy - How long to keep the value; false disables caching.
+ * @param {function({ background?: boolean }=): Promise<*>} compute - Produces the value on a miss.
+ * @param {object} [options] - Lookup options.
+ * @param {boolean} [options.refresh=false] - Skip cached values and store a fresh one (the `no_cache` flag).
+ * @param {AbortSignal} [options.signal] - Signal of the calling request.
+ * @returns {Promise<CachedValue>} The value and how old it is.
+ */
+export async function getOrCompute(key, policy, compute, { refresh = false, signal } = {}) {
+	if(!policy) {
+		return { value: await compute(), cachedAt: null, stale: false };
+	}
+
+	if(!refresh) {
+		const start = Date.now();
+		let entry = memoryCache.get(key);
+		if(entry) {
+			logger.debug({ cacheKey: key, duration: Date.now() - start }, 'Response served from cache');
+		} else {
+			entry = await readSharedEntry(key, policy);
+			if(entry) {
+				logger.debug({ cacheKey: key, duration: Date.now() - start }, 'Response served from Redis');
+			}
+		}
+
+		if(entry) {
+			const stale = Date.now() > entry.staleAt;
+			if(stale) {
+				computeOnce(key, policy, () => compute({ background: true }))
+					.catch(error => logger.error({ cacheKey: key, error: error.message }, 'Error refreshing stale cache entry'));
+			}
+			return { value: entry.value, cachedAt: entry.cachedAt, stale };
+		}
+	}
+
+	return { value: await computeOnce(key, policy, compute, signal), cachedAt: null, stale: false };
+}
+
+/**
+ * Describes how old a cached value is, for the `_meta` of responses.
+ * @param {CachedValue} cached - Value returned by `getOrCompute`.
+ * @returns {{ cachedAt: string, ageSeconds: number, stale: boolean }|null} Null for values
+ *   computed for the call.
+ */
+export function cacheAge({ cachedAt, stale }) {
+	if(cachedAt === null) {
+		return null;
+	}
+	return {
+		cachedAt: new Date(cachedAt).toISOString(),
+		ageSeconds: Math.max(0, Math.round((Date.now() - cachedAt) / 1000)),
+		stale,
+	};
+}
+
+/**
+ * Converts a Redis-style glob (`*`, `?`, `[...]`, `\` escapes) to an anchored regular expression.
+ * @param {string} pattern - The glob.
+ * @returns {RegExp}
+ */
+function globToRegExp(pattern) {
+	let source = '';
+	for(let index = 0; index < pattern.length; index++) {
+		const char = pattern[index];
+		if(char === '*') {
+			source += '.*';
+		} else if(char === '?') {
+			source += '.';
+		} else if(char === '\\' && index + 1 < pattern.length) {
+			source += pattern[++index].replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+		} else if(char === '[' && pattern.indexOf(']', index + 1) > index + 1) {
+			const end = pattern.indexOf(']', index + 1);
+			const set = pattern.slice(index + 1, end).replace(/\\/g, '\\\\');
+			source += set.startsWith('^') ? `[^${ set.slice(1) }]` : `[${ set }]`;
+			index = end;
+		} else {
+			source += char.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+		}
+	}
+	return new RegExp(`^${ source }$`, 's');
+}
+
+/**
+ * Removes the cache entries whose key matches a glob, in memory and in Redis.
+ * @param {string} pattern - Redis-style glob over cache keys, e.g. `solana_token_price:*`.
+ * @returns {Promise<{ memory: number, redis: number }>} Number of entries removed from each tier.
+ */
+export async function invalidateCache(pattern) {
+	const matcher = globToRegExp(pattern);
+	const memoryKeys = memoryCache.keys().filter(key => matcher.test(key));
+	const removed = { memory: memoryCache.del(memoryKeys), redis: 0 };
+
+	if(redisClient && redisClient.isReady) {
+		try {
+			for await (const keys of redisClient.scanIterator({ MATCH: redisKey(pattern), COUNT: 100 })) {
+				if(keys.length > 0) {
+					removed.redis += await redisClient.del(keys);
+				}
+			}
+		} catch(redisError) {
+			logger.error({ error: redisError.message, pattern }, 'Error invalidating Redis cache');
+		}
+	}
+
+	logger.info({ pattern, ...removed }, 'Cache invalidated');
+	return removed;
+}
@@ -0,0 +1,23 @@
+import 'dotenv/config';
+import OpenAI from 'openai';
+import Anthropic from '@anthropic-ai/sdk';
+import { createClient } from 'redis';
+import logger from './logger.js';
+
+export const openai = new OpenAI({
+	apiKey: process.env.OPENAI_API_KEY || '',
+});
+
+export const anthropic = new Anthropic({
+	apiKey: process.env.ANTHROPIC_API_KEY || '',
+});
+
+export const redisClient = process.env.REDIS_URL ?
+	createClient({ url: process.env.REDIS_URL }) :
+	null;
+
+if(redisClient) {
+	redisClient.connect().catch(err => {
+		logger.error('Error connecting to Redis:', err);
+	});
+}
@@ -0,0 +1,216 @@
+import { getInputSchema, getOutputSchema, listTools } from '../tools/index.js';
+import { listResourceTemplates } from '../resources/index.js';
+import { listPrompts, toPromptDefinition } from '../prompts/index.js';
+
+/**
+ * @fileoverview HTML for `GET /api-docs`. The transport and protocol sections are static; the
+ * method, resource and prompt references are generated from their registries, so they always
+ * match what the server validates and dispatches.
+ */
+
+/**
+ * Escapes text for use in HTML.
+ * @param {*} value - The value to escape.
+ * @returns {string}
+ */
+function escapeHtml(value) {
+	return String(value)
+		.replace(/&/g, '&amp;')
+		.replace(/</g, '&lt;')
+		.replace(/>/g, '&gt;')
+		.replace(/"/g, '&quot;');
+}
+
+/**
+ * Renders the parameter list of a tool from its JSON Schema.
+ * @param {object} inputSchema - The tool's input JSON Schema.
+ * @returns {string} HTML.
+ */
+function renderParams({ properties = {}, required = [] }) {
+	return Object.entries(properties).map(([ name, property ]) => {
+		const optional = required.includes(name) ? '' : '(Optional) ';
+		const defaultValue = property.default !== undefined ? ` (default: ${ escapeHtml(JSON.stringify(property.default)) })` : '';
+		const description = escapeHtml(property.description || property.items?.description || '');
+		return `      <div class="param"><span class="param-name">${ name }</span> - ${ optional }${ description }${ defaultValue }</div>\n`;
+	}).join('');
+}
+
+/**
+ * Renders the reference entry of one tool.
+ * @param {import('../tools/registry.js').Tool} tool - The tool.
+ * @returns {string} HTML.
+ */
+function renderTool(tool) {
+	const example = {
+		jsonrpc: '2.0',
+		method: tool.name,
+		params: tool.example || {},
+		id: 1,
+	};
+	const scopes = tool.scopes.length > 0
+		? `      <div class="param"><span class="param-name">Required scopes</span> - ${ tool.scopes.map(scope => `<code>${ scope }</code>`).join(', ') }</div>\n`
+		: '';
+	const output = tool.outputSchema
+		? `      <div class="param"><span class="param-name">structuredContent</span> - ${ Object.keys(getOutputSchema(tool).properties).map(field => `<code>${ field }</code>`).join(', ') }</div>\n`
+		: '';
+	return `      <div class="method">${ tool.name }</div>
+      <p>${ escapeHtml(tool.description) }</p>
+${ renderParams(getInputSchema(tool)) }${ output }${ scopes }      <div class="example"><pre>
+${ escapeHtml(JSON.stringify(example, null, 2)) }</pre></div>
+`;
+}
+
+/**
+ * Renders the registered tools grouped by category, in registration order.
+ * @returns {string} HTML.
+ */
+function renderToolReference() {
+	const categories = new Map();
+	listTools().forEach(tool => {
+		if(!categories.has(tool.category)) {
+			categories.set(tool.category, []);
+		}
+		categories.get(tool.category).push(tool);
+	});
+
+	return [ ...categories ].map(([ category, tools ]) =>
+		`      <h2>${ escapeHtml(category) } Methods</h2>\n${ tools.map(renderTool).join('') }`,
+	).join('');
+}
+
+/**
+ * Renders the registered resource templates.
+ * @returns {string} HTML.
+ */
+function renderResourceReference() {
+	return listResourceTemplates().map(template =>
+		`      <div class="method">${ escapeHtml(template.uriTemplate) }</div>
+      <p>${ escapeHtml(template.description) }${ template.subscribable ? ' Subscribable.' : '' }</p>
+`,
+	).join('');
+}
+
+/**
+ * Renders the registered prompts with their arguments.
+ * @returns {string} HTML.
+ */
+function renderPromptReference() {
+	return listPrompts().map(prompt => {
+		const { arguments: promptArguments } = toPromptDefinition(prompt);
+		const params = promptArguments.map(argument =>
+			`      <div class="param"><span class="param-name">${ argument.name }</span> - ${ argument.required ? '' : '(Optional) ' }${ escapeHtml(argument.description || '') }</div>\n`,
+		).join('');
+		return `      <div class="method">${ prompt.name }</div>
+      <p>${ escapeHtml(prompt.description) }</p>
+${ params }`;
+	}).join('');
+}
+
+/**
+ * Renders the API documentation page.
+ * @returns {string} HTML.
+ */
+export function renderApiDocs() {
+	return `
+    <!DOCTYPE html>
+    <html>
+    <head>
+      <title>MCP Solana Analytics - Powered by Vybe API</title>
+      <style>
+        body { font-family: Arial, sans-serif; max-width: 900px; margin: 0 auto; padding: 20px; line-height: 1.6; }
+        h1 { color: #9945FF; margin-bottom: 10px; }
+        h2 { color: #14F195; margin-top: 40px; margin-bottom: 10px; border-bottom: 1px solid #ddd; padding-bottom: 5px; }
+        h3 { color: #00C2FF; margin-top: 25px; }
+        pre { background-color: #f5f5f5; padding: 15px; border-radius: 5px; overflow-x: auto; font-size: 14px; }
+        .endpoint { color: #0066cc; font-family: monospace; }
+        .method { font-weight: bold; margin-top: 20px; }
+        .category { margin-top: 40px; }
+        .example { margin-top: 10px; margin-bottom: 30px; }
+        .param { margin-left: 20px; }
+        .param-name { font-weight: bold; color: #555; }
+        .note { background-color: #ffffcc; padding: 10px; border-left: 4px solid #ffcc00; margin: 20px 0; }
+      </style>
+    </head>
+    <body>
+      <h1>MCP Solana Analytics - Powered by Vybe API</h1>
+      <p>This Model Context Protocol (MCP) server provides access to Solana on-chain data and analytics through the Vybe API. It allows language models to access detailed information about wallets, tokens, NFTs, programs, and blockchain activity.</p>
+      <div class="note">
+        <strong>Authentication required:</strong> All requests must include the <code>x-api-key</code> header with your API key.
+        Keys configured in <code>MCP_API_KEYS</code> are limited to their scopes (<code>solana:read</code>, <code>llm:generate</code>, <code>admin</code>): other methods return error <code>-32003</code> (HTTP 403) and are left out of <code>tools/list</code>.
+      </div>
+      <h2>Endpoint</h2>
+      <p class="endpoint">POST /mcp</p>
+      <p>The endpoint implements the MCP Streamable HTTP transport:</p>
+      <div class="param"><span class="param-name">Sessions</span> - <code>initialize</code> returns an <code>Mcp-Session-Id</code> header. Send it on every later request to receive server notifications. Requests without it are served statelessly.</div>
+      <div class="param"><span class="param-name">Streaming responses</span> - When the <code>Accept</code> header includes <code>text/event-stream</code>, requests are answered as server-sent events: notifications (e.g. <code>notifications/message</code>) come first and the JSON-RPC response last.</div>
+      <div class="param"><span class="param-name">GET /mcp</span> - With <code>Accept: text/event-stream</code> and a session ID, opens a stream for server-initiated messages.</div>
+      <div class="param"><span class="param-name">DELETE /mcp</span> - Terminates the session named by <code>Mcp-Session-Id</code>.</div>
+      <div class="param"><span class="param-name">Batches</span> - A JSON-RPC batch (array of messages, up to 50) runs concurrently and returns an array with one result or error per request. Notifications (messages without <code>id</code>) are processed without a response; a body made only of notifications gets <code>202 Accepted</code>.</div>
+      <div class="param"><span class="param-name">Progress</span> - Requests with <code>params._meta.progressToken</code> receive <code>notifications/progress</code> as long-running tools (e.g. <code>solana_cross_analysis</code>, <code>solana_program_metrics</code>) complete each upstream call.</div>
+      <div class="param"><span class="param-name">Cancellation</span> - A <code>notifications/cancelled</code> notification with the <code>requestId</code> of a pending request (from the same session) aborts its upstream Vybe calls; the cancelled request gets no response.</div>
+      <div class="param"><span class="param-name">Streaming generation</span> - <code>openai_generate</code> and <code>anthropic_generate</code> with <code>stream: true</code> send <code>notifications/generate/delta</code> (<code>{ requestId, delta }</code>) as the answer is generated; the final response still carries the full text. Streaming cannot be combined with <code>tools</code>.</div>
+      <div class="param"><span class="param-name">LLM providers</span> - <code>llm_generate</code> sends <code>claude-*</code> models to Anthropic, <code>gpt-*</code>, <code>chatgpt-*</code> and <code>o*</code> models to OpenAI, and other models to the OpenAI-compatible server at <code>LOCAL_LLM_BASE_URL</code> (e.g. llama.cpp or Ollama) when set; <code>provider</code> overrides the choice. When a model keeps failing with a rate limit or server error after retries, the next entry of <code>fallback_models</code> (default <code>LLM_FALLBACK_MODELS</code>) is tried, and the result names the <code>provider</code> and <code>model</code> that answered.</div>
+      <div class="param"><span class="param-name">Conversation context</span> - The generate methods keep the history of each <code>session_id</code> per API key, so keys never share conversations. Histories expire <code>MCP_CONTEXT_TTL_SECONDS</code> (default 24 hours) after their last update and are stored in Redis when <code>REDIS_URL</code> is set. Histories are trimmed to the estimated context window of the model (optionally capped by <code>MCP_CONTEXT_MAX_TOKENS</code>), dropping the oldest turns, or summarizing them with the same model when <code>summarize: true</code> is sent.</div>
+      <div class="param"><span class="param-name">Usage and spend caps</span> - Token usage of the generate methods is priced per model (<code>LLM_MODEL_PRICES</code> overrides the built-in USD prices per million tokens) and totalled per API key, model and <code>session_id</code>; each result carries its <code>usage</code> and <code>usage_report</code> returns the monthly totals. Once a key reaches its monthly cap (<code>monthlyCapUsd</code> in <code>MCP_API_KEYS</code>, or <code>LLM_MONTHLY_CAP_USD</code>), generate calls fail with error <code>-32004</code> (HTTP 429) until the next month.</div>
+      <div class="param"><span class="param-name">Caching</span> - Read-only methods and resources are cached per method and params, for seconds (prices, trades, transfers) up to hours (program details); <code>MCP_CACHE_POLICIES</code> overrides the TTLs per method. Pass <code>"no_cache": true</code> with the params of a method (or of <code>resources/read</code>) to skip the cached result; the fresh one replaces it. Keys with the <code>admin</code> scope can drop cached results with <code>cache_invalidate</code>. Identical concurrent calls share one upstream request (across replicas when Redis is configured). Hot lookups keep being served for a while after they expire, while they are refreshed in the background; results served from the cache carry <code>_meta.cache</code> (<code>cachedAt</code>, <code>ageSeconds</code>, <code>stale</code>).</div>
+      <div class="param"><span class="param-name">On-chain text</span> - Token, NFT and program names, symbols, labels and descriptions are set by their creators, so <code>solana_*</code> results strip control and invisible characters from them and cap their length. In the text content they appear between <code>⟦</code> and <code>⟧</code>, followed by <code>⚠</code> when they read like instructions (a possible prompt injection), and an extra text item tells models to treat them as data. <code>solana://</code> resources fence the same fields inside their JSON and add a <code>text/plain</code> contents entry with that notice.</div>
+      <div class="param"><span class="param-name">Pagination</span> - Holder, user, transfer and trade listings are fetched from Vybe in pages of up to 100 until <code>limit</code> is reached. With <code>time_range</code> (e.g. <code>24h</code>), <code>solana_token_transfers</code>, <code>solana_trades</code> and <code>solana_whale_movements</code> list every result of that range up to <code>limit</code>; at most <code>VYBE_MAX_PAGES</code> (default 20) pages are read per call, and <code>structuredContent.complete</code> is false when the listing was cut short.</div>
+      <div class="param"><span class="param-name">Upstream errors</span> - Vybe requests time out after <code>VYBE_TIMEOUT_MS</code> and rate limits, timeouts and server errors are retried with backoff (honoring <code>Retry-After</code>). When Vybe stays unavailable, or an endpoint keeps failing and is paused for a while, methods fail with error <code>-32005</code> (HTTP 503, with <code>Retry-After</code> when known) and <code>error.data.retryAfterMs</code>. Unknown accounts and rejected parameters are reported as <code>-32002</code> and <code>-32602</code>; <code>tools/call</code> reports these failures as tool errors.</div>
+      <div class="param"><span class="param-name">Validation</span> - Parameters are checked against each method's schema (the same JSON Schema returned by <code>tools/list</code>). Invalid parameters return error <code>-32602</code> with the failing fields in <code>error.data.issues</code>.</div>
+      <h2>MCP Protocol Methods</h2>
+      <p>Standard MCP clients negotiate with <code>initialize</code>, send the <code>notifications/initialized</code> notification, then discover tools with <code>tools/list</code> and run them with <code>tools/call</code>. Every <code>solana_*</code> method below is also exposed as a tool of the same name; the method names can still be called directly.</p>
+      <div class="method">initialize</div>
+      <p>Negotiates the protocol version and returns the server capabilities.</p>
+      <div class="param"><span class="param-name">protocolVersion</span> - Protocol version requested by the client (e.g. "2025-06-18")</div>
+      <div class="param"><span class="param-name">capabilities</span> - Client capabilities</div>
+      <div class="param"><span class="param-name">clientInfo</span> - Client name and version</div>
+      <div class="example"><pre>
+{
+  "jsonrpc": "2.0",
+  "method": "initialize",
+  "params": { "protocolVersion": "2025-06-18", "capabilities": {}, "clientInfo": { "name": "example-client", "version": "1.0.0" } },
+  "id": 1
+}</pre></div>
+      <div class="method">tools/list</div>
+      <p>Lists the available tools with their input schemas.</p>
+      <div class="example"><pre>
+{
+  "jsonrpc": "2.0",
+  "method": "tools/list",
+  "params": {},
+  "id": 2
+}</pre></div>
+      <div class="method">tools/call</div>
+      <p>Runs a tool. The result carries a text rendering in <code>content</code> and the same data as typed fields in <code>structuredContent</code>, described by the tool's <code>outputSchema</code> in <code>tools/list</code>. Errors raised while running the tool are returned in the result with <code>isError: true</code>.</p>
+      <div class="param"><span class="param-name">name</span> - Tool name</div>
+      <div class="param"><span class="param-name">arguments</span> - Tool arguments</div>
+      <div class="example"><pre>
+{
+  "jsonrpc": "2.0",
+  "method": "tools/call",
+  "params": { "name": "solana_token_price", "arguments": { "symbol": "SOL" } },
+  "id": 3
+}</pre></div>
+      <h2>MCP Resources</h2>
+      <p>On-chain state can be attached as context without a tool call. <code>resources/list</code> returns a few well-known resources, <code>resources/templates/list</code> the URI templates below, and <code>resources/read</code> returns the JSON contents of a URI. Unknown URIs return error <code>-32002</code>.</p>
+      <p>Templates marked as subscribable accept <code>resources/subscribe</code> (within a session): the server then sends <code>notifications/resources/updated</code> on the session's GET stream whenever the contents change. Use <code>resources/unsubscribe</code> to stop.</p>
+${ renderResourceReference() }      <div class="example"><pre>
+{
+  "jsonrpc": "2.0",
+  "method": "resources/read",
+  "params": { "uri": "solana://token/EPjFWdd5AufqSSqeM2qN1xzybapC8G4wEGGkZwyTDt1v" },
+  "id": 4
+}</pre></div>
+      <h2>MCP Prompts</h2>
+      <p>Ready-made analysis prompts. <code>prompts/list</code> returns them with their arguments; <code>prompts/get</code> returns the messages to send to the model, which name the tools to call and in what order. Arguments are strings.</p>
+${ renderPromptReference() }      <div class="example"><pre>
+{
+  "jsonrpc": "2.0",
+  "method": "prompts/get",
+  "params": { "name": "token_due_diligence", "arguments": { "mint": "EPjFWdd5AufqSSqeM2qN1xzybapC8G4wEGGkZwyTDt1v", "days": "14" } },
+  "id": 5
+}</pre></div>
+${ renderToolReference() }    </body>
+    </html>
+  `;
+}
@@ -0,0 +1,26 @@
+import { invalidateCache } from '../cache.js';
+import { getTool } from '../tools/registry.js';
+
+/**
+ * @fileoverview Handlers for the administration methods. Parameters arrive already validated
+ * by `ADMIN_PARAM_SCHEMAS` (see src/schemas/admin-schemas.js).
+ */
+
+export async function handleCacheInvalidate({ method, pattern }) {
+	if(method && !getTool(method)) {
+		const error = new Error(`Unknown method: ${ method }`);
+		error.code = -32602;
+		throw error;
+	}
+
+	const keyPattern = method ? `${ method }:*` : pattern;
+	const removed = await invalidateCache(keyPattern);
+	const structuredContent = { pattern: keyPattern, removed };
+	return {
+		content: [ {
+			type: 'text',
+			text: `Removed ${ removed.memory } in-memory and ${ removed.redis } Redis cache entries matching ${ keyPattern }`,
+		} ],
+		structuredContent,
+	};
+}
@@ -0,0 +1,210 @@
+import { SCOPES, hasScopes } from '../auth.js';
+import logger from '../logger.js';
+import { contextNamespace, contextStore } from '../llm/context-store.js';
+import { fitConversation } from '../llm/context-window.js';
+import { buildConversation } from '../llm/messages.js';
+import { isRetryableError, resolveProvider } from '../llm/providers.js';
+import { resolveAgentTools } from '../llm/tool-loop.js';
+import { assertWithinCap, createUsageMeter, monthlyCap, recordUsage, usageReport } from '../llm/usage.js';
+
+/**
+ * @fileoverview Handlers for the language model and conversation context methods. Parameters
+ * arrive already validated and defaulted by `LLM_PARAM_SCHEMAS` (see src/schemas/llm-schemas.js).
+ * The conversation is built from the session history (or the `messages` sent by the client),
+ * the `system` prompt and the new `prompt`, fitted to the context window of the model (older
+ * turns are dropped, or summarized with the same model when `summarize` is set; see
+ * src/llm/context-window.js) and sent through the provider of the model (see src/llm/providers.js).
+ * `llm_generate` picks the provider by model name and can fail over to `fallback_models`;
+ * `openai_generate` and `anthropic_generate` are pinned to their provider.
+ * With `tools` set, the generate methods let the model call the `solana_*` tools (see
+ * src/llm/tool-loop.js); only the prompt and the final answer are kept in the session history.
+ * With `stream` set, text deltas are relayed as `notifications/generate/delta` while the answer
+ * is generated, and the assembled answer is returned and stored as usual. Session histories
+ * are kept per API key owner in the context store (see src/llm/context-store.js). Token usage
+ * and cost are recorded per API key and session, and calls are rejected once the key reaches
+ * its monthly spend cap (see src/llm/usage.js).
+ */
+
+const DEFAULT_MODEL = process.env.LLM_DEFAULT_MODEL || 'gpt-4o';
+
+const DEFAULT_FALLBACK_MODELS = (process.env.LLM_FALLBACK_MODELS || '')
+	.split(',')
+	.map(model => model.trim())
+	.filter(Boolean);
+
+/**
+ * @typedef {object} GenerateTarget
+ * @property {import('../llm/providers.js').LlmProvider} provider - Provider to call.
+ * @property {string} model - Model to ask.
+ */
+
+/**
+ * Appends an exchange to the session history. The history was fitted to the context window of
+ * the model before the request, so it is stored as is; messages added by this request are
+ * stamped with the time it started, and the answer with the current time. Stored messages
+ * keep the timestamp they have, or none when they were stored before timestamps existed.
+ * @param {string} namespace - Context namespace of the caller.
+ * @param {string} session_id - Session ID.
+ * @param {Array<object>|null} history - Session history the request started from.
+ * @param {Array<object>} messages - History including the new user prompt.
+ * @param {string} responseContent - The model's answer.
+ * @param {string} startedAt - ISO timestamp of the start of the request.
+ * @returns {Promise<void>}
+ */
+async function storeContext(namespace, session_id, history, messages, responseContent, startedAt) {
+	const stored = new Set(history);
+	await contextStore.set(namespace, session_id, [
+		...messages.map(message => (message.createdAt || stored.has(message) ? message : { ...message, createdAt: startedAt })),
+		{ role: 'assistant', content: responseContent, createdAt: new Date().toISOString() },
+	]);
+}
+
+/**
+ * Builds the method result. In tools mode the tool-call trace is returned alongside the answer.
+ * @param {string} text - The model's answer.
+ * @param {GenerateTarget} target - Provider and model that answered.
+ * @param {import('../llm/usage.js').UsageMeter} meter - Usage of the request.
+ * @param {object} [trace] - Trace from the tool loop.
+ * @returns {object} The result.
+ */
+function generateResult(text, { provider, model }, meter, trace) {
+	return {
+		content: [ { type: 'text', text } ],
+		provider: provider.name,
+		model,
+		usage: meter.totals(),
+		...(trace && { trace }),
+	};
+}
+
+/**
+ * Answers a generate request with the first target that succeeds. A target that still fails
+ * with a rate limit or server error after its retries hands over to the next one, unless part
+ * of a streamed answer was already relayed. The tokens of every attempt count towards usage.
+ * @param {object} params - Validated generate params.
+ * @param {import('../mcp/dispatcher.js').RequestContext} context - Request context.
+ * @param {Array<GenerateTarget>} targets - Provider and model to try, in order.
+ * @returns {Promise<object>} The result.
+ */
+async function generate({
+	prompt, system, messages: clientMessages, max_tokens, temperature, stop_sequences,
+	session_id, tools, max_steps, stream, summarize,
+}, context, targets) {
+	const namespace = contextNamespace(context.principal);
+	const startedAt = new Date().toISOString();
+	await assertWithinCap(context.principal);
+
+	const history = await contextStore.get(namespace, session_id);
+	const conversation = buildConversation({
+		history,
+		messages: clientMessages,
+		system,
+		prompt,
+	});
+	const agentTools = tools ? resolveAgentTools(tools, context.principal) : null;
+	const meter = createUsageMeter();
+
+	try {
+		for(const [ index, target ] of targets.entries()) {
+			const { provider, model } = target;
+			const onUsage = usage => meter.add(provider.name, model, usage);
+			let relayed = false;
+
+			try {
+				const request = {
+					model,
+					conversation: await fitConversation(conversation, {
+						model,
+						maxTokens: max_tokens,
+						summarize: summarize && (turns => provider.summarize(model, turns, context, onUsage)),
+					}),
+					maxTokens: max_tokens,
+					temperature,
+					stopSequences: stop_sequences,
+					onUsage,
+				};
+
+				if(agentTools) {
+					const { text, trace } = await provider.runTools(request, { tools: agentTools, maxSteps: max_steps }, context);
+					await storeContext(namespace, session_id, history, request.conversation, text, startedAt);
+					return generateResult(text, target, meter, trace);
+				}
+
+				let responseContent;
+				if(stream) {
+					responseContent = '';
+					for await (const delta of provider.streamText(request, context)) {
+						relayed = true;
+						responseContent += delta;
+						context.notify('notifications/generate/delta', { requestId: context.requestId, delta });
+					}
+				} else {
+					responseContent = await provider.complete(request, context);
+				}
+				await storeContext(namespace, session_id, history, request.conversation, responseContent, startedAt);
+
+				return generateResult(responseContent, target, meter);
+			} catch(error) {
+				if(error.code === -32602) {
+					throw error;
+				}
+				const next = targets[index + 1];
+				if(next && !relayed && isRetryableError(error)) {
+					logger.warn({ provider: provider.name, model, fallback: next.model, error: error.message }, 'LLM request failed, trying fallback model');
+					continue;
+				}
+				logger.error({ error: error.message, stack: error.stack }, `Error in ${ provider.label }`);
+				const mcpError = new Error(`${ provider.label } error: ${ error.message }`);
+				mcpError.code = -32000;
+				throw mcpError;
+			}
+		}
+	} finally {
+		await recordUsage(namespace, session_id, meter);
+	}
+}
+
+export async function handleLlmGenerate(params, context) {
+	const models = [ params.model || DEFAULT_MODEL, ...(params.fallback_models || DEFAULT_FALLBACK_MODELS) ];
+	const targets = models.map((model, index) => ({
+		provider: resolveProvider(model, index === 0 ? params.provider : undefined),
+		model,
+	}));
+	return generate(params, context, targets);
+}
+
+export async function handleOpenAIGenerate(params, context) {
+	return generate(params, context, [ { provider: resolveProvider(params.model, 'openai'), model: params.model } ]);
+}
+
+export async function handleAnthropicGenerate(params, context) {
+	return generate(params, context, [ { provider: resolveProvider(params.model, 'anthropic'), model: params.model } ]);
+}
+
+export async function handleUsageReport({ month, session_id, principal_id }, context) {
+	const ownNamespace = contextNamespace(context.principal);
+	const namespace = principal_id || ownNamespace;
+	if(namespace !== ownNamespace && !hasScopes(context.principal, [ SCOPES.ADMIN ])) {
+		const error = new Error(`Forbidden: reporting the usage of other API keys requires scope ${ SCOPES.ADMIN }`);
+		error.code = -32003;
+		error.data = { requiredScopes: [ SCOPES.ADMIN ] };
+		throw error;
+	}
+
+	const structuredContent = await usageReport(namespace, {
+		month,
+		sessionId: session_id,
+		capUsd: namespace === ownNamespace ? monthlyCap(context.principal) : null,
+	});
+	return {
+		content: [ { type: 'text', text: JSON.stringify(structuredContent, null, 2) } ],
+		structuredContent,
+	};
+}
+
+export async function handleClearContext({ session_id }, context) {
+	await contextStore.delete(contextNamespace(context.principal), session_id);
+	return {
+		content: [ { type: 'text', text: 'Context cleared successfully' } ],
+	};
+}
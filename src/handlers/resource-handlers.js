@@ -0,0 +1,68 @@
+import VybeService from '../services/vybe-service.js';
+import logger from '../logger.js';
+import { ON_CHAIN_TEXT_LIMITS, fenceOnChainFields } from '../sanitize.js';
+
+/**
+ * @fileoverview Readers for the `solana://` resources. Variables arrive already validated by
+ * `SOLANA_RESOURCE_SCHEMAS` (see src/schemas/solana-schemas.js). Each reader returns the Vybe
+ * payload, which is served as JSON so agents can attach it as context, with the names, symbols
+ * and other text chosen by token and program creators cleaned and fenced (see src/sanitize.js).
+ * Subscription polls go through the same readers.
+ */
+
+/** On-chain text fields of a token, with their maximum lengths. */
+const TOKEN_TEXT_FIELDS = {
+	name: ON_CHAIN_TEXT_LIMITS.NAME,
+	symbol: ON_CHAIN_TEXT_LIMITS.SYMBOL,
+	category: ON_CHAIN_TEXT_LIMITS.LABEL,
+	subcategory: ON_CHAIN_TEXT_LIMITS.LABEL,
+};
+
+/** On-chain text fields of a program, with their maximum lengths. */
+const PROGRAM_TEXT_FIELDS = {
+	name: ON_CHAIN_TEXT_LIMITS.NAME,
+	friendlyName: ON_CHAIN_TEXT_LIMITS.NAME,
+	entityName: ON_CHAIN_TEXT_LIMITS.NAME,
+	type: ON_CHAIN_TEXT_LIMITS.LABEL,
+	labels: ON_CHAIN_TEXT_LIMITS.LABEL,
+	description: ON_CHAIN_TEXT_LIMITS.DESCRIPTION,
+};
+
+export async function readWalletTokensResource({ address }, context) {
+	try {
+		const result = await VybeService.getWalletTokens(address, {
+			includeNoPriceBalance: false,
+			sortByDesc: 'valueUsd',
+		}, { signal: context.signal });
+		return (Array.isArray(result?.data) ? result.data : []).map(token => fenceOnChainFields(token, TOKEN_TEXT_FIELDS));
+	} catch(error) {
+		logger.error({ error: error.message, address }, 'Error reading wallet tokens resource');
+		const mcpError = new Error(`Error fetching wallet tokens: ${ error.message }`, { cause: error });
+		mcpError.code = -32000;
+		throw mcpError;
+	}
+}
+
+export async function readTokenResource({ mint }, context) {
+	try {
+		const result = await VybeService.getTokenDetails(mint, { signal: context.signal });
+		return fenceOnChainFields(result?.data ?? {}, TOKEN_TEXT_FIELDS);
+	} catch(error) {
+		logger.error({ error: error.message, mint }, 'Error reading token resource');
+		const mcpError = new Error(`Error fetching token details: ${ error.message }`, { cause: error });
+		mcpError.code = -32000;
+		throw mcpError;
+	}
+}
+
+export async function readProgramResource({ id }, context) {
+	try {
+		const result = await VybeService.getProgramDetails(id, { signal: context.signal });
+		return fenceOnChainFields(result?.data ?? {}, PROGRAM_TEXT_FIELDS);
+	} catch(error) {
+		logger.error({ error: error.message, program_id: id }, 'Error reading program resource');
+		const mcpError = new Error(`Error fetching program details: ${ error.message }`, { cause: error });
+		mcpError.code = -32000;
+		throw mcpError;
+	}
+}
@@ -0,0 +1,139 @@
+import { randomUUID } from 'crypto';
+import { contextNamespace, contextStore } from '../llm/context-store.js';
+
+/**
+ * @fileoverview Handlers for the session management methods. They work on the conversation
+ * histories kept by the generate methods (see src/llm/context-store.js), always within the
+ * caller's own namespace: a conversation is handed to a colleague by exporting it and having
+ * them import the document under their own API key.
+ */
+
+/** Version of the documents produced by `session_export`. */
+const SESSION_EXPORT_VERSION = 1;
+
+/**
+ * Builds the error returned for unknown sessions.
+ * @param {string} sessionId - Session ID.
+ * @returns {Error} JSON-RPC -32002 error.
+ */
+function sessionNotFound(sessionId) {
+	const error = new Error(`Session not found: ${ sessionId }`);
+	error.code = -32002;
+	return error;
+}
+
+/**
+ * Builds the error returned when a target session already exists.
+ * @param {string} sessionId - Session ID.
+ * @returns {Error} JSON-RPC -32602 error.
+ */
+function sessionExists(sessionId) {
+	const error = new Error(`Session already exists: ${ sessionId }`);
+	error.code = -32602;
+	return error;
+}
+
+/**
+ * Loads a session of the caller.
+ * @param {string} sessionId - Session ID.
+ * @param {import('../mcp/dispatcher.js').RequestContext} context - Request context.
+ * @returns {Promise<Array<import('../llm/messages.js').ChatMessage>>} The messages.
+ * @throws {Error} JSON-RPC -32002 error if the session does not exist.
+ */
+async function loadSession(sessionId, context) {
+	const messages = await contextStore.get(contextNamespace(context.principal), sessionId);
+	if(!messages) {
+		throw sessionNotFound(sessionId);
+	}
+	return messages;
+}
+
+/**
+ * Describes a session without its messages.
+ * @param {string} sessionId - Session ID.
+ * @param {Array<import('../llm/messages.js').ChatMessage>} messages - The messages.
+ * @returns {object} Session metadata.
+ */
+function describeSession(sessionId, messages) {
+	const timestamps = messages.map(message => message.createdAt).filter(Boolean);
+	const firstPrompt = messages.find(message => message.role === 'user');
+	return {
+		sessionId,
+		messageCount: messages.length,
+		createdAt: timestamps[0] || null,
+		updatedAt: timestamps[timestamps.length - 1] || null,
+		preview: firstPrompt ? firstPrompt.content.slice(0, 120) : null,
+	};
+}
+
+/**
+ * Builds a method result from structured data.
+ * @param {object} structuredContent - The data.
+ * @returns {object} The result.
+ */
+function sessionResult(structuredContent) {
+	return {
+		content: [ { type: 'text', text: JSON.stringify(structuredContent, null, 2) } ],
+		structuredContent,
+	};
+}
+
+export async function handleSessionList({ limit }, context) {
+	const namespace = contextNamespace(context.principal);
+	const sessionIds = await contextStore.list(namespace);
+	const sessions = (await Promise.all(sessionIds.map(async sessionId => {
+		const messages = await contextStore.get(namespace, sessionId);
+		return messages && describeSession(sessionId, messages);
+	})))
+		.filter(Boolean)
+		.sort((a, b) => (b.updatedAt || '').localeCompare(a.updatedAt || ''));
+
+	return sessionResult({
+		total: sessions.length,
+		sessions: sessions.slice(0, limit),
+	});
+}
+
+export async function handleSessionGet({ session_id }, context) {
+	const messages = await loadSession(session_id, context);
+	return sessionResult({
+		...describeSession(session_id, messages),
+		messages,
+	});
+}
+
+export async function handleSessionExport({ session_id }, context) {
+	const messages = await loadSession(session_id, context);
+	return sessionResult({
+		version: SESSION_EXPORT_VERSION,
+		sessionId: session_id,
+		exportedAt: new Date().toISOString(),
+		messages,
+	});
+}
+
+export async function handleSessionImport({ session, session_id, overwrite }, context) {
+	const namespace = contextNamespace(context.principal);
+	const sessionId = session_id || session.sessionId;
+	if(!overwrite && await contextStore.get(namespace, sessionId)) {
+		throw sessionExists(sessionId);
+	}
+
+	await contextStore.set(namespace, sessionId, session.messages);
+	return sessionResult(describeSession(sessionId, session.messages));
+}
+
+export async function handleSessionFork({ session_id, new_session_id, message_count }, context) {
+	const namespace = contextNamespace(context.principal);
+	const messages = (await loadSession(session_id, context)).slice(0, message_count);
+	const sessionId = new_session_id || `${ session_id }-fork-${ randomUUID().slice(0, 8) }`;
+	if(await contextStore.get(namespace, sessionId)) {
+		throw sessionExists(sessionId);
+	}
+
+	await contextStore.set(namespace, sessionId, messages);
+	return sessionResult({
+		...describeSession(sessionId, messages),
+		forkedFrom: session_id,
+	});
+}
@@ -0,0 +1,1021 @@
+import VybeService from '../services/vybe-service.js';
+import { collect } from '../services/pagination.js';
+import logger from '../logger.js';
+import { ON_CHAIN_TEXT_LIMITS, cleanOnChainText, fenceOnChainText } from '../sanitize.js';
+
+/**
+ * @fileoverview Handlers for the `solana_*` methods. Parameters arrive already validated and
+ * defaulted by `SOLANA_PARAM_SCHEMAS` (see src/schemas/solana-schemas.js). Each handler returns
+ * a text rendering for models in `content` and the same data as typed fields in
+ * `structuredContent`, shaped by `SOLANA_OUTPUT_SCHEMAS` (see src/schemas/solana-output-schemas.js).
+ * Names, symbols and other text chosen by token and program creators are cleaned, and fenced
+ * in the text rendering, before being returned (see src/sanitize.js). Listings longer than a
+ * page, or covering a `time_range`, are read page by page (see src/services/pagination.js).
+ */
+
+/** Length of each of the `ACTIVITY_RANGES`, in seconds. */
+const ACTIVITY_RANGE_SECONDS = {
+	'1h': 60 * 60,
+	'6h': 6 * 60 * 60,
+	'24h': 24 * 60 * 60,
+	'7d': 7 * 24 * 60 * 60,
+};
+
+/**
+ * Converts a Vybe value to a number. Vybe sends many amounts as strings and omits unknown ones.
+ * @param {*} value - The raw value.
+ * @returns {number|null} The number, or null when absent or not numeric.
+ */
+function toNumber(value) {
+	if(value === null || value === undefined || value === '') {
+		return null;
+	}
+	const number = Number(value);
+	return Number.isFinite(number) ? number : null;
+}
+
+/**
+ * Maps a Vybe transfer to the fields shared by the transfer and whale movement outputs.
+ * @param {object} transfer - A Vybe token transfer.
+ * @returns {object} The structured transfer.
+ */
+function toTransfer(transfer) {
+	return {
+		blockTime: toNumber(transfer.blockTime),
+		signature: transfer.signature || null,
+		senderAddress: transfer.senderAddress || null,
+		receiverAddress: transfer.receiverAddress || null,
+		amount: toNumber(transfer.transferAmount),
+		usdValue: toNumber(transfer.transferUsdValue),
+	};
+}
+
+/**
+ * Pagination options of a listing: up to `limit` results and, with a time range, back to its
+ * start. Each page read is reported as progress.
+ * @param {number} limit - Maximum number of results.
+ * @param {string} [timeRange] - One of the `ACTIVITY_RANGES`.
+ * @param {object} context - Request context.
+ * @param {string} noun - What is listed, for progress messages.
+ * @returns {import('../services/pagination.js').PaginateOptions}
+ */
+function listingOptions(limit, timeRange, context, noun) {
+	return {
+		maxItems: limit,
+		since: timeRange ? Math.floor(Date.now() / 1000) - ACTIVITY_RANGE_SECONDS[timeRange] : null,
+		onPage: (pages, count) => context.progress(pages, undefined, `Fetched page ${ pages } of ${ noun } (${ count } results)`),
+	};
+}
+
+/**
+ * Structured fields telling whether a time-range listing is complete.
+ * @param {import('../services/pagination.js').Paginator} paginator - The finished paginator.
+ * @param {string} [timeRange] - The requested time range.
+ * @returns {{ timeRange: string|null, complete: boolean|null }}
+ */
+function listingRange(paginator, timeRange) {
+	return {
+		timeRange: timeRange || null,
+		complete: timeRange ? [ 'time', 'end' ].includes(paginator.stopReason) : null,
+	};
+}
+
+/**
+ * Note for the text rendering of a time-range listing that was cut short.
+ * @param {import('../services/pagination.js').Paginator} paginator - The finished paginator.
+ * @param {string} [timeRange] - The requested time range.
+ * @param {number} limit - The requested limit.
+ * @param {string} noun - What is listed.
+ * @returns {string} The note, or an empty string.
+ */
+function listingNote(paginator, timeRange, limit, noun) {
+	if(!timeRange || listingRange(paginator, timeRange).complete) {
+		return '';
+	}
+	const reason = paginator.stopReason === 'max-pages' ? `stopped after ${ paginator.pagesRead } pages` : `limit of ${ limit } reached`;
+	return `\nNote: older ${ noun } of the last ${ timeRange } were not listed (${ reason }).`;
+}
+
+// Solución para el archivo mcp-server.js
+
+// Reemplaza esta función en tu archivo
+export async function handleSolanaWalletOverview({ address }, context) {
+	try {
+		const requestOptions = { signal: context.signal };
+		const [ tokensResult, nftsResult ] = await Promise.all([
+			VybeService.getWalletTokens(address, { includeNoPriceBalance: true }, requestOptions),
+			VybeService.getWalletNfts(address, { includeNoPriceBalance: true }, requestOptions),
+		]);
+
+		let totalUsdValue = 0;
+		let tokenCount = 0;
+		let nftCount = 0;
+
+		if(tokensResult && tokensResult.data) {
+			tokenCount = tokensResult.data.length;
+			totalUsdValue += tokensResult.data.reduce((sum, token) => sum + (toNumber(token.valueUsd) || 0), 0);
+		}
+
+		if(nftsResult && nftsResult.data) {
+			nftCount = nftsResult.data.length;
+			totalUsdValue += nftsResult.data.reduce((sum, nft) => sum + (toNumber(nft.valueUsd ?? nft.usdPrice) || 0), 0);
+		}
+
+		// Solución: Verificar que totalUsdValue sea realmente un número
+		// SOLUCIÓN CORRECTA - Verifica que totalUsdValue sea un número
+		const formattedUsdValue = typeof totalUsdValue === 'number' ?
+			totalUsdValue :
+			'N/A';
+		return {
+			content: [ {
+				type: 'text',
+				text: `Wallet Overview for ${ address }:
+Total USD Value: $${ formattedUsdValue }
+Number of Tokens: ${ tokenCount }
+Number of NFTs: ${ nftCount }`,
+			} ],
+			structuredContent: {
+				address,
+				totalUsdValue,
+				tokenCount,
+				nftCount,
+			},
+		};
+	} catch(error) {
+		logger.error({ error: error.message, address }, 'Error getting wallet overview');
+		const mcpError = new Error(`Error fetching Solana data: ${ error.message }`, { cause: error });
+		mcpError.code = -32000;
+		throw mcpError;
+	}
+}
+
+export async function handleSolanaWalletTokens({ address, include_no_price, limit }, context) {
+	try {
+		const result = await VybeService.getWalletTokens(address, {
+			includeNoPriceBalance: include_no_price,
+			limit,
+			sortByDesc: 'valueUsd',
+		}, { signal: context.signal });
+		let formattedTokens = '';
+		if(result && result.data && result.data.length > 0) {
+			result.data.forEach((token, index) => {
+				const value = token.valueUsd ? `$${ token.valueUsd }` : 'No valuation';
+				const amount = token.amount ? token.amount.toLocaleString() : '0';
+				formattedTokens += `\n${ index + 1 }. ${ fenceOnChainText(token.symbol || token.name, ON_CHAIN_TEXT_LIMITS.SYMBOL, 'Token') }: ${ amount } (${ value })`;
+			});
+		} else {
+			formattedTokens = '\nNo tokens found';
+		}
+		return {
+			content: [ {
+				type: 'text',
+				text: `Tokens in wallet ${ address }:${ formattedTokens }`,
+			} ],
+			structuredContent: {
+				address,
+				tokens: (result?.data || []).map(token => ({
+					mintAddress: token.mintAddress || null,
+					symbol: cleanOnChainText(token.symbol, ON_CHAIN_TEXT_LIMITS.SYMBOL),
+					name: cleanOnChainText(token.name),
+					amount: toNumber(token.amount),
+					valueUsd: toNumber(token.valueUsd),
+				})),
+			},
+		};
+	} catch(error) {
+		logger.error({ error: error.message, address }, 'Error getting wallet tokens');
+		const mcpError = new Error(`Error fetching Solana tokens: ${ error.message }`, { cause: error });
+		mcpError.code = -32000;
+		throw mcpError;
+	}
+}
+
+export async function handleSolanaWalletNFTs({ address, include_no_price, limit }, context) {
+	try {
+		const result = await VybeService.getWalletNfts(address, {
+			includeNoPriceBalance: include_no_price,
+			limit,
+			sortByDesc: 'valueUsd',
+		}, { signal: context.signal });
+		let formattedNFTs = '';
+		if(result && result.data && result.data.length > 0) {
+			result.data.forEach((nft, index) => {
+				const value = nft.valueUsd || nft.usdPrice ? `$${ (nft.valueUsd || nft.usdPrice) }` : 'No valuation';
+				formattedNFTs += `\n${ index + 1 }. ${ fenceOnChainText(nft.name, ON_CHAIN_TEXT_LIMITS.NAME, 'NFT') } (${ value })`;
+			});
+		} else {
+			formattedNFTs = '\nNo NFTs found';
+		}
+		return {
+			content: [ {
+				type: 'text',
+				text: `NFTs in wallet ${ address }:${ formattedNFTs }`,
+			} ],
+			structuredContent: {
+				address,
+				nfts: (result?.data || []).map(nft => ({
+					name: cleanOnChainText(nft.name),
+					valueUsd: toNumber(nft.valueUsd ?? nft.usdPrice),
+				})),
+			},
+		};
+	} catch(error) {
+		logger.error({ error: error.message, address }, 'Error getting wallet NFTs');
+		const mcpError = new Error(`Error fetching Solana NFTs: ${ error.message }`, { cause: error });
+		mcpError.code = -32000;
+		throw mcpError;
+	}
+}
+
+export async function handleSolanaWalletPnL({ address, resolution }, context) {
+	try {
+		const result = await VybeService.getWalletPnl(address, resolution ? { resolution } : {}, { signal: context.signal });
+		const performanceData = result?.data?.performance || {};
+		const tradesData = result?.data?.trades || {};
+		return {
+			content: [ {
+				type: 'text',
+				text: `PnL Analysis for ${ address }${ resolution ? ` (last ${ resolution })` : '' }:
+Total PnL: ${ performanceData.totalPnlUsd ? `$${ performanceData.totalPnlUsd }` : 'Not available' }
+PnL Percentage: ${ performanceData.totalPnlPercent ? `${ performanceData.totalPnlPercent }%` : 'Not available' }
+Total Trades: ${ tradesData.count || 0 }
+Profitable Trades: ${ tradesData.profitableCount || 0 }
+Win/Loss Ratio: ${ tradesData.winLossRatio ? tradesData.winLossRatio : 'Not available' }`,
+			} ],
+			structuredContent: {
+				address,
+				resolution: resolution ?? null,
+				totalPnlUsd: toNumber(performanceData.totalPnlUsd),
+				totalPnlPercent: toNumber(performanceData.totalPnlPercent),
+				tradeCount: tradesData.count || 0,
+				profitableTradeCount: tradesData.profitableCount || 0,
+				winLossRatio: toNumber(tradesData.winLossRatio),
+			},
+		};
+	} catch(error) {
+		logger.error({ error: error.message, address }, 'Error getting wallet PnL');
+		const mcpError = new Error(`Error fetching performance data: ${ error.message }`, { cause: error });
+		mcpError.code = -32000;
+		throw mcpError;
+	}
+}
+
+export async function handleSolanaTokenDetails({ mint_address }, context) {
+	try {
+		const result = await VybeService.getTokenDetails(mint_address, { signal: context.signal });
+		const tokenData = result?.data || {};
+		return {
+			content: [ {
+				type: 'text',
+				text: `Token Details for ${ mint_address }:
+Name: ${ fenceOnChainText(tokenData.name) }
+Symbol: ${ fenceOnChainText(tokenData.symbol, ON_CHAIN_TEXT_LIMITS.SYMBOL) }
+Price: ${ tokenData.price ? `$${ Number(tokenData.price).toFixed(6) }` : 'Not available' }
+Total Supply: ${ tokenData.supply ? Number(tokenData.supply).toLocaleString() : 'Not available' }
+24h Change: ${ tokenData.priceChange24h ? `${ Number(tokenData.priceChange24h) }%` : 'Not available' }
+24h Volume: ${ tokenData.volume24h ? `$${ Number(tokenData.volume24h).toLocaleString() }` : 'Not available' }`,
+			} ],
+			structuredContent: {
+				mintAddress: mint_address,
+				name: cleanOnChainText(tokenData.name),
+				symbol: cleanOnChainText(tokenData.symbol, ON_CHAIN_TEXT_LIMITS.SYMBOL),
+				price: toNumber(tokenData.price),
+				supply: toNumber(tokenData.supply),
+				priceChange24h: toNumber(tokenData.priceChange24h),
+				volume24h: toNumber(tokenData.volume24h),
+			},
+		};
+	} catch(error) {
+		logger.error({ error: error.message, mint_address }, 'Error getting token details');
+		const mcpError = new Error(`Error fetching token details: ${ error.message }`, { cause: error });
+		mcpError.code = -32000;
+		throw mcpError;
+	}
+}
+
+export async function handleSolanaTokenPrice({ mint_address, symbol }, context) {
+	const WRAPPED_SOL_MINT = 'So11111111111111111111111111111111111111112';
+	const SOL_PYTH_FEED_ID_MAINNET = 'H6ARHf6YXhGYeQfUzQNGk6rDNnLBQKrenN712K4AQJEG';
+	const USDC_PYTH_FEED_ID_MAINNET = 'Gnt27xtC473ZT2Mw5u8wZ68Z3gULkSTb5DuxJy7eJotD';
+
+	const COINGECKO_ID_MAP = {
+		'SOL': 'solana',
+		'USDC': 'usd-coin',
+		'USDT': 'tether',
+		'BONK': 'bonk',
+		'JUP': 'jupiter-aggregator',
+		'PYTH': 'pyth-network',
+		'WIF': 'dogwifhat',
+	};
+
+	let tokenPrice;
+	let priceSource;
+	let determinedSymbol = symbol; // Symbol used for display and some lookups
+	let anErrorOccurred = null;
+	const requestOptions = { signal: context.signal };
+
+	try {
+		// 1. Try VybeService.getTokenDetails if mint_address is provided
+		if(mint_address) {
+			try {
+				const detailsResult = await VybeService.getTokenDetails(mint_address, requestOptions);
+				if(detailsResult?.data?.price) {
+					tokenPrice = parseFloat(detailsResult.data.price);
+					priceSource = 'vybe';
+					determinedSymbol = detailsResult.data.symbol || mint_address;
+					logger.debug({
+						method: 'handleSolanaTokenPrice',
+						source: 'VybeDetails',
+						mint_address,
+						price: tokenPrice,
+					}, 'Price found via Vybe getTokenDetails');
+				} else {
+					determinedSymbol = detailsResult?.data?.symbol || symbol; // Keep symbol if Vybe gave one
+				}
+				if(mint_address === WRAPPED_SOL_MINT && !determinedSymbol) {
+					determinedSymbol = 'SOL'; // Ensure wSOL gets treated as SOL for symbol lookups
+				}
+			} catch(vybeDetailsError) {
+				if(context.signal.aborted) {
+					throw vybeDetailsError;
+				}
+				logger.warn({
+					method: 'handleSolanaTokenPrice',
+					error: vybeDetailsError.message,
+				}, 'Vybe getTokenDetails failed or gave no price.');
+				anErrorOccurred = vybeDetailsError;
+			}
+		}
+
+		// 2. If no price yet and mint_address available, try CoinGecko by contract address
+		if(typeof tokenPrice === 'undefined' && mint_address) {
+			try {
+				const cgContractUrl = `https://api.coingecko.com/api/v3/coins/solana/contract/${ mint_address }`;
+				const cgResponse = await fetch(cgContractUrl, requestOptions);
+				if(cgResponse.ok) {
+					const cgData = await cgResponse.json();
+					if(cgData?.market_data?.current_price?.usd) {
+						tokenPrice = parseFloat(cgData.market_data.current_price.usd);
+						priceSource = 'coingecko';
+						determinedSymbol = cgData.symbol?.toUpperCase() || determinedSymbol || mint_address;
+						logger.debug({
+							method: 'handleSolanaTokenPrice',
+							source: 'CoinGeckoContract',
+							mint_address,
+							price: tokenPrice,
+						}, 'Price found via CoinGecko by contract');
+						anErrorOccurred = null; // Reset error if we found a price
+					}
+				} else {
+					logger.warn({
+						method: 'handleSolanaTokenPrice',
+						status: cgResponse.status,
+					}, 'CoinGecko by contract request failed.');
+				}
+			} catch(cgContractError) {
+				if(context.signal.aborted) {
+					throw cgContractError;
+				}
+				logger.warn({
+					method: 'handleSolanaTokenPrice',
+					error: cgContractError.message,
+				}, 'CoinGecko by contract lookup failed.');
+				anErrorOccurred = cgContractError;
+			}
+		}
+
+		// 3. If no price yet and a symbol is available (either from input or VybeDetails), try CoinGecko by mapped ID
+		if(typeof tokenPrice === 'undefined' && determinedSymbol) {
+			const coingeckoId = COINGECKO_ID_MAP[determinedSymbol.toUpperCase()];
+			if(coingeckoId) {
+				try {
+					const cgSimpleUrl = `https://api.coingecko.com/api/v3/simple/price?ids=${ coingeckoId }&vs_currencies=usd`;
+					const cgResponse = await fetch(cgSimpleUrl, requestOptions);
+					if(cgResponse.ok) {
+						const cgData = await cgResponse.json();
+						if(cgData?.[coingeckoId]?.usd) {
+							tokenPrice = parseFloat(cgData[coingeckoId].usd);
+							priceSource = 'coingecko';
+							logger.debug({
+								method: 'handleSolanaTokenPrice',
+								source: 'CoinGeckoSimple',
+								symbol: determinedSymbol,
+								price: tokenPrice,
+							}, 'Price found via CoinGecko by symbol');
+							anErrorOccurred = null;
+						}
+					} else {
+						logger.warn({
+							method: 'handleSolanaTokenPrice',
+							status: cgResponse.status,
+						}, 'CoinGecko simple price request failed.');
+					}
+				} catch(cgSimpleError) {
+					if(context.signal.aborted) {
+						throw cgSimpleError;
+					}
+					logger.warn({
+						method: 'handleSolanaTokenPrice',
+						error: cgSimpleError.message,
+					}, 'CoinGecko simple price lookup failed.');
+					anErrorOccurred = cgSimpleError;
+				}
+			}
+		}
+
+		// 4. If no price yet and a symbol is available, try Pyth via VybeService
+		if(typeof tokenPrice === 'undefined' && determinedSymbol) {
+			let feedIdToUse;
+			const upperSymbol = determinedSymbol.toUpperCase();
+			if(upperSymbol === 'SOL') feedIdToUse = SOL_PYTH_FEED_ID_MAINNET;
+			else if(upperSymbol === 'USDC') feedIdToUse = USDC_PYTH_FEED_ID_MAINNET;
+			else {
+				try {
+					const pythAccounts = await VybeService.getPythAccounts({}, requestOptions);
+					const matchingFeed = pythAccounts?.data?.find(acc => acc.symbol && acc.symbol.toUpperCase() === upperSymbol);
+					if(matchingFeed?.priceFeedId) feedIdToUse = matchingFeed.priceFeedId;
+				} catch(pythListError) {
+					if(context.signal.aborted) {
+						throw pythListError;
+					}
+					logger.warn({
+						method: 'handleSolanaTokenPrice',
+						error: pythListError.message,
+					}, 'Failed to get Pyth accounts list from Vybe.');
+					anErrorOccurred = pythListError;
+				}
+			}
+
+			if(feedIdToUse) {
+				try {
+					const priceResult = await VybeService.getPythPrice(feedIdToUse, requestOptions);
+					if(priceResult?.data?.price) {
+						tokenPrice = parseFloat(priceResult.data.price);
+						priceSource = 'pyth';
+						logger.debug({
+							method: 'handleSolanaTokenPrice',
+							source: 'VybePyth',
+							symbol: determinedSymbol,
+							price: tokenPrice,
+						}, 'Price found via Vybe Pyth');
+						anErrorOccurred = null;
+					}
+				} catch(vybePythError) {
+					if(context.signal.aborted) {
+						throw vybePythError;
+					}
+					logger.warn({
+						method: 'handleSolanaTokenPrice',
+						error: vybePythError.message,
+					}, 'Vybe Pyth price lookup failed.');
+					anErrorOccurred = vybePythError;
+				}
+			} else if(typeof tokenPrice === 'undefined' && anErrorOccurred === null) {
+				// Only set this error if no other specific error has occurred yet and no feed ID was found
+				anErrorOccurred = new Error(`No Pyth price feed identified for symbol ${ determinedSymbol }`);
+			}
+		}
+
+		// Final check and response
+		if(typeof tokenPrice === 'number') {
+			return {
+				content: [ {
+					type: 'text',
+					text: `Current price of ${ fenceOnChainText(determinedSymbol, ON_CHAIN_TEXT_LIMITS.SYMBOL, mint_address || symbol) } is $${ tokenPrice.toFixed(6) } USD.`,
+				} ],
+				structuredContent: {
+					mintAddress: mint_address || null,
+					symbol: cleanOnChainText(determinedSymbol, ON_CHAIN_TEXT_LIMITS.SYMBOL),
+					priceUsd: tokenPrice,
+					source: priceSource,
+				},
+			};
+		} else {
+			const finalErrorMessage = anErrorOccurred ? anErrorOccurred.message : `Could not determine price for ${ mint_address || symbol }`;
+			throw new Error(finalErrorMessage, anErrorOccurred ? { cause: anErrorOccurred } : undefined);
+		}
+
+	} catch(error) {
+		logger.error({
+			error: error.message,
+			stack: error.stack,
+			mint_address,
+			symbol,
+		}, 'Error in handleSolanaTokenPrice');
+		const mcpError = new Error(`Error fetching price: ${ error.message }`, { cause: error });
+		mcpError.code = -32000;
+		throw mcpError;
+	}
+}
+
+export async function handleSolanaTokenOHLC({ mint_address, resolution, limit }, context) {
+	try {
+		const result = await VybeService.getTokenOhlc(mint_address, {
+			resolution,
+			limit: limit,
+		}, { signal: context.signal });
+		let formattedData = '';
+		if(result?.data && result.data.length > 0) {
+			result.data.forEach(candle => {
+				const date = new Date(candle.time * 1000).toLocaleDateString();
+				const open = typeof candle.open === 'number' ? candle.open.toFixed(6) : 'N/A';
+				const high = typeof candle.high === 'number' ? candle.high.toFixed(6) : 'N/A';
+				const low = typeof candle.low === 'number' ? candle.low.toFixed(6) : 'N/A';
+				const close = typeof candle.close === 'number' ? candle.close.toFixed(6) : 'N/A';
+				formattedData += `\n${ date }: Open $${ open }, High $${ high }, Low $${ low }, Close $${ close }`;
+			});
+		} else {
+			formattedData = '\nNo OHLC data available';
+		}
+		return {
+			content: [ {
+				type: 'text',
+				text: `OHLC data for token (resolution: ${ resolution }):${ formattedData }`,
+			} ],
+			structuredContent: {
+				mintAddress: mint_address,
+				resolution,
+				candles: (result?.data || []).map(candle => ({
+					time: toNumber(candle.time),
+					open: toNumber(candle.open),
+					high: toNumber(candle.high),
+					low: toNumber(candle.low),
+					close: toNumber(candle.close),
+					volume: toNumber(candle.volume),
+				})),
+			},
+		};
+	} catch(error) {
+		logger.error({ error: error.message, mint_address }, 'Error getting token OHLC data');
+		const mcpError = new Error(`Error fetching historical data: ${ error.message }`, { cause: error });
+		mcpError.code = -32000;
+		throw mcpError;
+	}
+}
+
+export async function handleSolanaTokenHolders({ mint_address, limit }, context) {
+	try {
+		const holders = await collect(VybeService.iterateTopTokenHolders(mint_address, {}, listingOptions(limit, null, context, 'holders'), {
+			signal: context.signal,
+		}));
+		let formattedData = '';
+		if(holders.length > 0) {
+			holders.forEach((holder, index) => {
+				const percentage = holder.percentage ? `(${ (holder.percentage * 100) }%)` : '';
+				const amount = holder.amount ? Number(holder.amount).toLocaleString() : 'Unknown';
+				formattedData += `\n${ index + 1 }. ${ holder.owner || 'Unknown' }: ${ amount } ${ percentage }`;
+			});
+		} else {
+			formattedData = '\nNo holder data available';
+		}
+		return {
+			content: [ {
+				type: 'text',
+				text: `Top ${ limit } token holders:${ formattedData }`,
+			} ],
+			structuredContent: {
+				mintAddress: mint_address,
+				holders: holders.map((holder, index) => ({
+					rank: index + 1,
+					owner: holder.owner || null,
+					amount: toNumber(holder.amount),
+					percentage: holder.percentage ? toNumber(holder.percentage) * 100 : null,
+				})),
+			},
+		};
+	} catch(error) {
+		logger.error({ error: error.message, mint_address }, 'Error getting token holders');
+		const mcpError = new Error(`Error fetching holder data: ${ error.message }`, { cause: error });
+		mcpError.code = -32000;
+		throw mcpError;
+	}
+}
+
+export async function handleSolanaProgramDetails({ program_id }, context) {
+	try {
+		const result = await VybeService.getProgramDetails(program_id, { signal: context.signal });
+		const programData = result?.data || {};
+		return {
+			content: [ {
+				type: 'text',
+				text: `Program Details for ${ program_id }:
+Name: ${ fenceOnChainText(programData.name) }
+Type: ${ fenceOnChainText(programData.type, ON_CHAIN_TEXT_LIMITS.LABEL) }
+Labels: ${ programData.labels ? programData.labels.map(label => fenceOnChainText(label, ON_CHAIN_TEXT_LIMITS.LABEL)).join(', ') : 'Not available' }
+Entity: ${ fenceOnChainText(programData.entityName) }
+Description: ${ fenceOnChainText(programData.description, ON_CHAIN_TEXT_LIMITS.DESCRIPTION) }`,
+			} ],
+			structuredContent: {
+				programId: program_id,
+				name: cleanOnChainText(programData.name),
+				type: cleanOnChainText(programData.type, ON_CHAIN_TEXT_LIMITS.LABEL),
+				labels: (programData.labels || []).map(label => cleanOnChainText(label, ON_CHAIN_TEXT_LIMITS.LABEL)).filter(Boolean),
+				entityName: cleanOnChainText(programData.entityName),
+				description: cleanOnChainText(programData.description, ON_CHAIN_TEXT_LIMITS.DESCRIPTION),
+			},
+		};
+	} catch(error) {
+		logger.error({ error: error.message, program_id }, 'Error getting program details');
+		const mcpError = new Error(`Error fetching program details: ${ error.message }`, { cause: error });
+		mcpError.code = -32000;
+		throw mcpError;
+	}
+}
+
+export async function handleSolanaProgramMetrics({ program_id, range }, context) {
+	try {
+		const requestOptions = { signal: context.signal };
+		const series = [
+			[ 'instructions', VybeService.getProgramInstructionsCountTimeSeries(program_id, { range }, requestOptions) ],
+			[ 'transactions', VybeService.getProgramTransactionsCountTimeSeries(program_id, { range }, requestOptions) ],
+			[ 'active users', VybeService.getProgramActiveUsersTimeSeries(program_id, { range }, requestOptions) ],
+		];
+		let completed = 0;
+		const [ instructionsResult, transactionsResult, usersResult ] = await Promise.all(series.map(([ label, request ]) =>
+			request.then(result => {
+				context.progress(++completed, series.length, `Fetched ${ label } time series`);
+				return result;
+			}),
+		));
+		const instructionsTotal = instructionsResult?.data?.reduce((sum, d) => sum + d.count, 0) || 0;
+		const transactionsTotal = transactionsResult?.data?.reduce((sum, d) => sum + d.count, 0) || 0;
+		const usersTotal = usersResult?.data?.reduce((sum, d) => sum + d.count, 0) || 0;
+		return {
+			content: [ {
+				type: 'text',
+				text: `Program Metrics for ${ program_id } (last ${ range }):
+Instructions: ${ instructionsTotal.toLocaleString() }
+Transactions: ${ transactionsTotal.toLocaleString() }
+Active Users: ${ usersTotal.toLocaleString() }`,
+			} ],
+			structuredContent: {
+				programId: program_id,
+				range,
+				instructions: instructionsTotal,
+				transactions: transactionsTotal,
+				activeUsers: usersTotal,
+			},
+		};
+	} catch(error) {
+		logger.error({ error: error.message, program_id }, 'Error getting program metrics');
+		const mcpError = new Error(`Error fetching program metrics: ${ error.message }`, { cause: error });
+		mcpError.code = -32000;
+		throw mcpError;
+	}
+}
+
+export async function handleSolanaProgramUsers({ program_id, days, limit }, context) {
+	try {
+		const users = await collect(VybeService.iterateProgramActiveUsers(program_id, {
+			days: days,
+			sortByDesc: 'instructions',
+		}, listingOptions(limit, null, context, 'users'), { signal: context.signal }));
+		let formattedData = '';
+		if(users.length > 0) {
+			users.forEach((user, index) => {
+				const instructions = user.instructions || user.instructionCount || 0;
+				const transactions = user.transactions || user.transactionCount || 0;
+				formattedData += `\n${ index + 1 }. ${ user.walletAddress || user.user }: ${ instructions } instructions, ${ transactions } transactions`;
+			});
+		} else {
+			formattedData = '\nNo user data available';
+		}
+		return {
+			content: [ {
+				type: 'text',
+				text: `Top ${ limit } active users for program (last ${ days } days):${ formattedData }`,
+			} ],
+			structuredContent: {
+				programId: program_id,
+				days,
+				users: users.map((user, index) => ({
+					rank: index + 1,
+					address: user.walletAddress || user.user || null,
+					instructions: user.instructions || user.instructionCount || 0,
+					transactions: user.transactions || user.transactionCount || 0,
+				})),
+			},
+		};
+	} catch(error) {
+		logger.error({ error: error.message, program_id }, 'Error getting program users');
+		const mcpError = new Error(`Error fetching user data: ${ error.message }`, { cause: error });
+		mcpError.code = -32000;
+		throw mcpError;
+	}
+}
+
+export async function handleSolanaTokenTransfers({ mint_address, limit, time_range }, context) {
+	try {
+		const paginator = VybeService.iterateTokenTransfers({
+			mintAddress: mint_address,
+		}, listingOptions(limit, time_range, context, 'transfers'), { signal: context.signal });
+		const transfers = await collect(paginator);
+		let formattedData = '';
+		if(transfers.length > 0) {
+			transfers.forEach((transfer, index) => {
+				const date = new Date(transfer.blockTime * 1000).toLocaleString();
+				const amount = transfer.transferAmount ? Number(transfer.transferAmount).toLocaleString() : 'Unknown';
+				const usdValue = transfer.transferUsdValue ? `($${ Number(transfer.transferUsdValue)
+				})` : '';
+				formattedData += `\n${ index + 1 }. ${ date }: ${ transfer.senderAddress } → ${ transfer.receiverAddress }, ${ amount } ${ usdValue }`;
+			});
+		} else {
+			formattedData = '\nNo transfer data available';
+		}
+		return {
+			content: [ {
+				type: 'text',
+				text: `${ time_range ? `Token transfers in the last ${ time_range }` : 'Recent token transfers' }:${ formattedData }${ listingNote(paginator, time_range, limit, 'transfers') }`,
+			} ],
+			structuredContent: {
+				mintAddress: mint_address,
+				...listingRange(paginator, time_range),
+				transfers: transfers.map(toTransfer),
+			},
+		};
+	} catch(error) {
+		logger.error({ error: error.message, mint_address }, 'Error getting token transfers');
+		const mcpError = new Error(`Error fetching transfer data: ${ error.message }`, { cause: error });
+		mcpError.code = -32000;
+		throw mcpError;
+	}
+}
+
+export async function handleSolanaTrades({ mint_address, limit, time_range }, context) {
+	try {
+		const paginator = VybeService.iterateTokenTrades({
+			mintAddress: mint_address,
+		}, listingOptions(limit, time_range, context, 'trades'), { signal: context.signal });
+		const trades = await collect(paginator);
+		let formattedData = '';
+		if(trades.length > 0) {
+			trades.forEach((trade, index) => {
+				const date = new Date(trade.blockTime * 1000).toLocaleString();
+				const type = trade.side === 'sell' ? 'Sell' : 'Buy';
+				const amount = trade.baseAmount ? Number(trade.baseAmount).toLocaleString() : 'Unknown';
+				const price = typeof trade.price === 'number' ? `at $${ trade.price.toFixed(6) }` : '';
+				const usdValue = typeof trade.usdValue === 'number' ? `($${ trade.usdValue })` : '';
+				formattedData += `\n${ index + 1 }. ${ date }: ${ type } of ${ amount } ${ fenceOnChainText(trade.baseSymbol, ON_CHAIN_TEXT_LIMITS.SYMBOL, '') } ${ price } ${ usdValue }`;
+			});
+		} else {
+			formattedData = '\nNo trade data available';
+		}
+		return {
+			content: [ {
+				type: 'text',
+				text: `${ time_range ? `Token trades in the last ${ time_range }` : 'Recent token trades' }:${ formattedData }${ listingNote(paginator, time_range, limit, 'trades') }`,
+			} ],
+			structuredContent: {
+				mintAddress: mint_address,
+				...listingRange(paginator, time_range),
+				trades: trades.map(trade => ({
+					blockTime: toNumber(trade.blockTime),
+					signature: trade.signature || null,
+					side: trade.side === 'sell' ? 'sell' : 'buy',
+					baseAmount: toNumber(trade.baseAmount),
+					baseSymbol: cleanOnChainText(trade.baseSymbol, ON_CHAIN_TEXT_LIMITS.SYMBOL),
+					price: toNumber(trade.price),
+					usdValue: toNumber(trade.usdValue),
+				})),
+			},
+		};
+	} catch(error) {
+		logger.error({ error: error.message, mint_address }, 'Error getting token trades');
+		const mcpError = new Error(`Error fetching trade data: ${ error.message }`, { cause: error });
+		mcpError.code = -32000;
+		throw mcpError;
+	}
+}
+
+export async function handleSolanaWhaleMovements({ min_usd_amount, limit, time_range }, context) {
+	try {
+		const paginator = VybeService.iterateTokenTransfers({
+			minUsdAmount: min_usd_amount,
+		}, listingOptions(limit, time_range, context, 'movements'), { signal: context.signal });
+		const movements = await collect(paginator);
+		let formattedData = '';
+		if(movements.length > 0) {
+			movements.forEach((transfer, index) => {
+				const date = new Date(transfer.blockTime * 1000).toLocaleString();
+				const amount = transfer.transferAmount ? Number(transfer.transferAmount).toLocaleString() : 'Unknown';
+				const usdValue = transfer.transferUsdValue ? `($${ Number(transfer.transferUsdValue)
+				})` : '';
+				const symbol = fenceOnChainText(transfer.mintSymbol, ON_CHAIN_TEXT_LIMITS.SYMBOL, 'token');
+				formattedData += `\n${ index + 1 }. ${ date }: ${ transfer.senderAddress } → ${ transfer.receiverAddress }, ${ amount } ${ symbol } ${ usdValue }`;
+			});
+		} else {
+			formattedData = '\nNo whale movements available';
+		}
+		return {
+			content: [ {
+				type: 'text',
+				text: `Whale movements (min. $${ min_usd_amount.toLocaleString() }${ time_range ? `, last ${ time_range }` : '' }):${ formattedData }${ listingNote(paginator, time_range, limit, 'movements') }`,
+			} ],
+			structuredContent: {
+				minUsdAmount: min_usd_amount,
+				...listingRange(paginator, time_range),
+				movements: movements.map(transfer => ({
+					...toTransfer(transfer),
+					mintAddress: transfer.mintAddress || null,
+					symbol: cleanOnChainText(transfer.mintSymbol, ON_CHAIN_TEXT_LIMITS.SYMBOL),
+				})),
+			},
+		};
+	} catch(error) {
+		logger.error({ error: error.message }, 'Error getting whale movements');
+		const mcpError = new Error(`Error fetching whale movements: ${ error.message }`, { cause: error });
+		mcpError.code = -32000;
+		throw mcpError;
+	}
+}
+
+export async function handleSolanaMarketSentiment(params, context) {
+	try {
+		const requestOptions = { signal: context.signal };
+		const programsResult = await VybeService.getProgramRanking({
+			sortByDesc: 'userCount24h',
+			limit: 5,
+		}, requestOptions);
+		const tokensResult = await VybeService.getTokensSummary({
+			sortByDesc: 'price',
+			limit: 5,
+		}, requestOptions);
+		let programsData = '';
+		if(programsResult?.data && programsResult.data.length > 0) {
+			programsResult.data.forEach((program, index) => {
+				programsData += `\n${ index + 1 }. ${ fenceOnChainText(program.name, ON_CHAIN_TEXT_LIMITS.NAME, program.programId) }: ${ program.userCount24h || 0 } active users`;
+			});
+		} else {
+			programsData = '\nNo program data available';
+		}
+		let tokensData = '';
+		if(tokensResult?.data && tokensResult.data.length > 0) {
+			tokensResult.data.forEach((token, index) => {
+				const price = typeof token.price === 'number' ? `$${ token.price.toFixed(6) }` : 'N/A';
+				const change = token.priceChange24h || token.price1d;
+				const changeText = typeof change === 'number' ? `${ change }%` : 'N/A';
+				tokensData += `\n${ index + 1 }. ${ fenceOnChainText(token.symbol, ON_CHAIN_TEXT_LIMITS.SYMBOL, token.mintAddress) }: ${ price } (${ changeText } 24h)`;
+			});
+		} else {
+			tokensData = '\nNo token data available';
+		}
+		return {
+			content: [ {
+				type: 'text',
+				text: `Solana Market Sentiment:
+
+TOP PROGRAMS BY ACTIVITY:${ programsData }
+
+TOP TOKENS BY PRICE:${ tokensData }`,
+			} ],
+			structuredContent: {
+				topPrograms: (programsResult?.data || []).map(program => ({
+					programId: program.programId || null,
+					name: cleanOnChainText(program.name),
+					activeUsers24h: program.userCount24h || 0,
+				})),
+				topTokens: (tokensResult?.data || []).map(token => ({
+					mintAddress: token.mintAddress || null,
+					symbol: cleanOnChainText(token.symbol, ON_CHAIN_TEXT_LIMITS.SYMBOL),
+					price: toNumber(token.price),
+					priceChange24h: toNumber(token.priceChange24h ?? token.price1d),
+				})),
+			},
+		};
+	} catch(error) {
+		logger.error({ error: error.message }, 'Error getting market sentiment');
+		const mcpError = new Error(`Error fetching market sentiment: ${ error.message }`, { cause: error });
+		mcpError.code = -32000;
+		throw mcpError;
+	}
+}
+
+export async function handleSolanaNetworkActivity(params, context) {
+	try {
+		const programsResult = await VybeService.getProgramRanking({
+			limit: 10,
+			sortByDesc: 'instructionCount24h',
+		}, { signal: context.signal });
+		let totalInstructions = 0;
+		let totalTransactions = 0;
+		let totalUsers = 0;
+		if(programsResult?.data) {
+			programsResult.data.forEach(program => {
+				totalInstructions += program.instructionCount24h || 0;
+				totalTransactions += program.transactionCount24h || 0;
+				totalUsers += program.userCount24h || 0;
+			});
+		}
+		return {
+			content: [ {
+				type: 'text',
+				text: `Solana Network Activity (last 24h):
+
+Instructions: ${ totalInstructions.toLocaleString() }
+Transactions: ${ totalTransactions.toLocaleString() }
+Active Users: ${ totalUsers.toLocaleString() }
+
+Note: This data represents activity from the ${ programsResult?.data?.length || 0 } most active programs.`,
+			} ],
+			structuredContent: {
+				instructions: totalInstructions,
+				transactions: totalTransactions,
+				activeUsers: totalUsers,
+				programCount: programsResult?.data?.length || 0,
+			},
+		};
+	} catch(error) {
+		logger.error({ error: error.message }, 'Error getting network activity');
+		const mcpError = new Error(`Error fetching network activity: ${ error.message }`, { cause: error });
+		mcpError.code = -32000;
+		throw mcpError;
+	}
+}
+
+export async function handleSolanaCrossAnalysis({ addresses }, context) {
+	try {
+		let completed = 0;
+		const tokenPromises = addresses.map((address, index) =>
+			VybeService.getWalletTokens(address, { includeNoPriceBalance: true }, { signal: context.signal }).then(result => {
+				// Streamed to clients holding an event stream, so they see wallets come in one by one
+				context.log('info', {
+					message: `Fetched tokens for Wallet ${ index + 1 }`,
+					address,
+					tokenCount: result?.data?.length || 0,
+				});
+				context.progress(++completed, addresses.length, `Fetched tokens for Wallet ${ index + 1 }`);
+				return result;
+			}),
+		);
+		const tokenResults = await Promise.all(tokenPromises);
+		const tokensByMint = {};
+		const addressNames = {};
+		addresses.forEach((address, index) => {
+			addressNames[address] = `Wallet ${ index + 1 }`;
+		});
+		tokenResults.forEach((result, index) => {
+			const address = addresses[index];
+			if(result?.data) {
+				result.data.forEach(token => {
+					if(!tokensByMint[token.mintAddress]) {
+						tokensByMint[token.mintAddress] = {
+							// Kept raw, so fencing checks the whole symbol rather than its truncation
+							symbol: token.symbol,
+							holders: {},
+						};
+					}
+					tokensByMint[token.mintAddress].holders[address] = {
+						amount: token.amount,
+						usdValue: token.valueUsd || 0,
+					};
+				});
+			}
+		});
+		const commonTokens = Object.entries(tokensByMint)
+			.filter(([ mint, data ]) => Object.keys(data.holders).length > 1)
+			.sort((a, b) => Object.keys(b[1].holders).length - Object.keys(a[1].holders).length);
+		let commonTokensData = '';
+		if(commonTokens.length > 0) {
+			commonTokens.slice(0, 10).forEach(([ mint, data ], index) => {
+				const holdersCount = Object.keys(data.holders).length;
+				commonTokensData += `\n${ index + 1 }. ${ fenceOnChainText(data.symbol, ON_CHAIN_TEXT_LIMITS.SYMBOL, 'Unknown') } (${ holdersCount }/${ addresses.length } wallets):`;
+				Object.entries(data.holders).forEach(([ address, holdings ]) => {
+					commonTokensData += `\n   - ${ addressNames[address] }: ${ Number(holdings.amount)
+						.toLocaleString() } ($${ Number(holdings.usdValue) })`;
+				});
+			});
+		} else {
+			commonTokensData = '\nNo common tokens found between addresses';
+		}
+		return {
+			content: [ {
+				type: 'text',
+				text: `Cross-analysis of ${ addresses.length } addresses:
+        
+Common tokens:${ commonTokensData }`,
+			} ],
+			structuredContent: {
+				wallets: addresses.map((address, index) => ({
+					label: addressNames[address],
+					address,
+					tokenCount: tokenResults[index]?.data?.length || 0,
+				})),
+				commonTokens: commonTokens.map(([ mint, data ]) => ({
+					mintAddress: mint,
+					symbol: cleanOnChainText(data.symbol, ON_CHAIN_TEXT_LIMITS.SYMBOL) || 'Unknown',
+					holders: Object.entries(data.holders).map(([ address, holdings ]) => ({
+						label: addressNames[address],
+						address,
+						amount: toNumber(holdings.amount),
+						usdValue: toNumber(holdings.usdValue) || 0,
+					})),
+				})),
+			},
+		};
+	} catch(error) {
+		logger.error({ error: error.message }, 'Error in cross analysis');
+		const mcpError = new Error(`Error in cross analysis: ${ error.message }`, { cause: error });
+		mcpError.code = -32000;
+		throw mcpError;
+	}
+}
@@ -0,0 +1,132 @@
+import NodeCache from 'node-cache';
+import { redisClient } from '../clients.js';
+import logger from '../logger.js';
+
+/**
+ * @fileoverview Storage of the conversation history of the generate methods. Histories are
+ * namespaced by API key owner (principal ID), so two keys using the same `session_id` never see
+ * each other's conversations, and expire `MCP_CONTEXT_TTL_SECONDS` (default 24 hours) after
+ * their last update. With `REDIS_URL` set they live in Redis and are shared between replicas
+ * and restarts; otherwise, or while Redis is unavailable, they are kept in process memory.
+ */
+
+const CONTEXT_TTL_SECONDS = parseInt(process.env.MCP_CONTEXT_TTL_SECONDS || '', 10) || 24 * 60 * 60;
+const REDIS_KEY_PREFIX = 'llm:context';
+
+/**
+ * @typedef {object} ContextStore
+ * @property {function(string, string): Promise<Array<import('./messages.js').ChatMessage>|null>} get
+ *   Returns the history of a session, or null if there is none.
+ * @property {function(string, string, Array<import('./messages.js').ChatMessage>): Promise<void>} set
+ *   Replaces the history of a session and restarts its TTL.
+ * @property {function(string, string): Promise<boolean>} delete
+ *   Removes the history of a session; resolves to whether it existed.
+ * @property {function(string): Promise<Array<string>>} list
+ *   Returns the IDs of the sessions stored in a namespace.
+ */
+
+/**
+ * Namespace of a caller's histories.
+ * @param {import('../auth.js').Principal|null} principal - The caller.
+ * @returns {string} The principal ID.
+ */
+export function contextNamespace(principal) {
+	return principal?.id || 'anonymous';
+}
+
+/**
+ * Creates a store that keeps histories in process memory.
+ * @param {object} [options] - Store options.
+ * @param {number} [options.ttlSeconds=CONTEXT_TTL_SECONDS] - Lifetime of a history after its last update.
+ * @returns {ContextStore}
+ */
+export function createMemoryContextStore({ ttlSeconds = CONTEXT_TTL_SECONDS } = {}) {
+	const histories = new NodeCache({ stdTTL: ttlSeconds, checkperiod: 600, useClones: false });
+	const key = (namespace, sessionId) => `${ namespace }:${ sessionId }`;
+
+	return {
+		async get(namespace, sessionId) {
+			return histories.get(key(namespace, sessionId)) || null;
+		},
+		async set(namespace, sessionId, messages) {
+			histories.set(key(namespace, sessionId), messages);
+		},
+		async delete(namespace, sessionId) {
+			return histories.del(key(namespace, sessionId)) > 0;
+		},
+		async list(namespace) {
+			const prefix = key(namespace, '');
+			return histories.keys()
+				.filter(stored => stored.startsWith(prefix))
+				.map(stored => stored.slice(prefix.length));
+		},
+	};
+}
+
+/**
+ * Creates a store that keeps histories in Redis, falling back to another store while the
+ * client is not connected.
+ * @param {import('redis').RedisClientType} client - Connected (or connecting) Redis client.
+ * @param {object} [options] - Store options.
+ * @param {number} [options.ttlSeconds=CONTEXT_TTL_SECONDS] - Lifetime of a history after its last update.
+ * @param {ContextStore} [options.fallback] - Store used while Redis is unavailable.
+ * @returns {ContextStore}
+ */
+export function createRedisContextStore(client, { ttlSeconds = CONTEXT_TTL_SECONDS, fallback = createMemoryContextStore({ ttlSeconds }) } = {}) {
+	const key = (namespace, sessionId) => `${ REDIS_KEY_PREFIX }:${ namespace }:${ sessionId }`;
+
+	/**
+	 * Runs an operation against Redis, or against the fallback store when Redis is down.
+	 * @param {string} operation - Store method name.
+	 * @param {function(): Promise<*>} run - The Redis operation.
+	 * @param {Array<*>} args - Arguments for the fallback store.
+	 * @returns {Promise<*>}
+	 */
+	async function withFallback(operation, run, args) {
+		if(client.isReady) {
+			try {
+				return await run();
+			} catch(redisError) {
+				logger.error({ error: redisError.message, operation }, 'Error accessing conversation context in Redis');
+			}
+		}
+		return fallback[operation](...args);
+	}
+
+	return {
+		get(namespace, sessionId) {
+			return withFallback('get', async () => {
+				const stored = await client.get(key(namespace, sessionId));
+				return stored ? JSON.parse(stored) : null;
+			}, [ namespace, sessionId ]);
+		},
+		set(namespace, sessionId, messages) {
+			return withFallback('set', async () => {
+				await client.set(key(namespace, sessionId), JSON.stringify(messages), { EX: ttlSeconds });
+			}, [ namespace, sessionId, messages ]);
+		},
+		delete(namespace, sessionId) {
+			return withFallback('delete', async () => (await client.del(key(namespace, sessionId))) > 0, [ namespace, sessionId ]);
+		},
+		list(namespace) {
+			return withFallback('list', async () => {
+				const prefix = key(namespace, '');
+				// Glob characters in the namespace must match literally
+				const pattern = `${ prefix.replace(/[*?[\]\\]/g, '\\$&') }*`;
+				const sessionIds = [];
+				for await (const keys of client.scanIterator({ MATCH: pattern, COUNT: 100 })) {
+					keys.forEach(stored => sessionIds.push(stored.slice(prefix.length)));
+				}
+				return sessionIds;
+			}, [ namespace ]);
+		},
+	};
+}
+
+/**
+ * The store used by the generate methods.
+ * @type {ContextStore}
+ */
+export const contextStore = redisClient ?
+	createRedisContextStore(redisClient) :
+	createMemoryContextStore();
@@ -0,0 +1,198 @@
+/**
+ * @fileoverview Keeps conversations within the context window of the model. Token counts are
+ * estimated (about four characters per token), which is close enough to leave room for the
+ * answer without shipping a tokenizer per provider. When a conversation does not fit, the
+ * oldest turns are dropped; with summarization enabled they are first condensed into a summary
+ * message (see `SUMMARY_PREFIX`) that stays in the session in place of the raw turns.
+ */
+
+/**
+ * Context window sizes by model name, first match wins. Unknown models get `DEFAULT_CONTEXT_WINDOW`.
+ * @type {Array<[RegExp, number]>}
+ */
+const MODEL_CONTEXT_WINDOWS = [
+	[ /^gpt-4\.1/, 1000000 ],
+	[ /^(gpt-4o|gpt-4-turbo|chatgpt-4o)/, 128000 ],
+	[ /^o\d/, 200000 ],
+	[ /^gpt-4/, 8192 ],
+	[ /^gpt-3\.5-turbo/, 16385 ],
+	[ /^claude-/, 200000 ],
+];
+
+const DEFAULT_CONTEXT_WINDOW = 8192;
+
+/** Optional upper bound on the history sent per request, whatever the model accepts. */
+const MAX_CONTEXT_TOKENS = parseInt(process.env.MCP_CONTEXT_MAX_TOKENS || '', 10) || Infinity;
+
+/** Tokens added per message for role and formatting. */
+const MESSAGE_OVERHEAD_TOKENS = 4;
+
+/** Maximum length of a generated summary. */
+export const SUMMARY_MAX_TOKENS = 500;
+
+/** Opening line of summary messages. */
+export const SUMMARY_PREFIX = 'Summary of the earlier conversation:';
+
+const SUMMARY_INSTRUCTIONS = 'Summarize the conversation below for your own future reference. ' +
+	'Keep facts, figures, addresses, decisions and open questions; drop pleasantries. ' +
+	'Answer with the summary only.';
+
+/**
+ * Estimates the number of tokens of a text.
+ * @param {string} text - The text.
+ * @returns {number}
+ */
+export function estimateTokens(text) {
+	return Math.ceil((text || '').length / 4);
+}
+
+/**
+ * Estimates the number of tokens of a list of messages.
+ * @param {Array<import('./messages.js').ChatMessage>} messages - The messages.
+ * @returns {number}
+ */
+function estimateMessagesTokens(messages) {
+	return messages.reduce((total, message) => total + estimateTokens(message.content) + MESSAGE_OVERHEAD_TOKENS, 0);
+}
+
+/**
+ * Number of tokens the conversation may use: the context window of the model minus the room
+ * reserved for the answer, capped by `MCP_CONTEXT_MAX_TOKENS` when set.
+ * @param {string} model - Model name.
+ * @param {number} maxTokens - Maximum tokens of the answer.
+ * @returns {number}
+ */
+export function contextBudget(model, maxTokens) {
+	const entry = MODEL_CONTEXT_WINDOWS.find(([ pattern ]) => pattern.test(model));
+	const contextWindow = entry ? entry[1] : DEFAULT_CONTEXT_WINDOW;
+	return Math.min(contextWindow - maxTokens, MAX_CONTEXT_TOKENS);
+}
+
+/**
+ * Builds the request used to summarize turns.
+ * @param {Array<import('./messages.js').ChatMessage>} messages - Turns to summarize, possibly
+ *   starting with a previous summary.
+ * @returns {{ system: string, prompt: string }} Instructions and the transcript to summarize.
+ */
+export function summaryRequest(messages) {
+	const transcript = messages
+		.map(message => (message.summary ? message.content : `${ message.role === 'user' ? 'User' : 'Assistant' }: ${ message.content }`))
+		.join('\n\n');
+	return { system: SUMMARY_INSTRUCTIONS, prompt: transcript };
+}
+
+/**
+ * Shortens a message to a number of tokens, marking the cut with an ellipsis.
+ * @param {import('./messages.js').ChatMessage} message - The message.
+ * @param {number} maxTokens - Maximum tokens, overhead included.
+ * @returns {import('./messages.js').ChatMessage} The message, or a shortened copy.
+ */
+function truncateMessage(message, maxTokens) {
+	const maxLength = Math.max(0, (maxTokens - MESSAGE_OVERHEAD_TOKENS) * 4);
+	if(estimateMessagesTokens([ message ]) <= maxTokens) {
+		return message;
+	}
+	return { ...message, content: `${ message.content.slice(0, Math.max(0, maxLength - 1)) }…` };
+}
+
+/**
+ * Summarizes messages in chunks that each fit a summarization request of the model: every
+ * chunk after the first opens with the summary so far, so the result covers all of them.
+ * Messages too long to share a chunk with that summary are truncated.
+ * @param {Array<import('./messages.js').ChatMessage>} messages - Messages to summarize, possibly
+ *   starting with a previous summary.
+ * @param {string} model - Model name.
+ * @param {function(Array<import('./messages.js').ChatMessage>): Promise<string>} summarize -
+ *   Summarizes one chunk.
+ * @returns {Promise<import('./messages.js').ChatMessage>} The summary message.
+ */
+async function summarizeInChunks(messages, model, summarize) {
+	const budget = contextBudget(model, SUMMARY_MAX_TOKENS) - estimateTokens(SUMMARY_INSTRUCTIONS);
+	const maxMessageTokens = budget - SUMMARY_MAX_TOKENS - MESSAGE_OVERHEAD_TOKENS;
+
+	let summary = null;
+	let chunk = [];
+	let chunkTokens = 0;
+	const summarizeChunk = async () => {
+		const text = await summarize(chunk);
+		summary = { role: 'system', content: `${ SUMMARY_PREFIX }\n${ text }`, summary: true };
+		chunk = [ summary ];
+		chunkTokens = estimateMessagesTokens(chunk);
+	};
+
+	for(const message of messages) {
+		const fitted = truncateMessage(message, maxMessageTokens);
+		const cost = estimateMessagesTokens([ fitted ]);
+		const hasNewMessages = chunk.length > (summary ? 1 : 0);
+		if(hasNewMessages && chunkTokens + cost > budget) {
+			await summarizeChunk();
+		}
+		chunk.push(fitted);
+		chunkTokens += cost;
+	}
+	if(chunk.length > (summary ? 1 : 0)) {
+		await summarizeChunk();
+	}
+	return summary;
+}
+
+/**
+ * Fits a conversation into the context budget of the model. System messages and the newest
+ * turns are kept; older turns are dropped, or summarized when `summarize` is given. The dropped
+ * turns did not fit the budget, so they are summarized in as many requests as needed, together
+ * with the previous summary.
+ * @param {Array<import('./messages.js').ChatMessage>} conversation - Conversation ending with a user message.
+ * @param {object} options - Fitting options.
+ * @param {string} options.model - Model name.
+ * @param {number} options.maxTokens - Maximum tokens of the answer.
+ * @param {function(Array<import('./messages.js').ChatMessage>): Promise<string>} [options.summarize] -
+ *   Condenses a chunk of the turns that no longer fit.
+ * @returns {Promise<Array<import('./messages.js').ChatMessage>>} The conversation to send.
+ * @throws {Error} JSON-RPC -32602 error if the last user message alone does not fit.
+ */
+export async function fitConversation(conversation, { model, maxTokens, summarize }) {
+	const budget = contextBudget(model, maxTokens);
+	if(estimateMessagesTokens(conversation) <= budget) {
+		return conversation;
+	}
+
+	const instructions = conversation.filter(message => message.role === 'system' && !message.summary);
+	const previousSummary = conversation.find(message => message.summary);
+	const turns = conversation.filter(message => message.role !== 'system');
+
+	const summaryTokens = summarize ? SUMMARY_MAX_TOKENS + MESSAGE_OVERHEAD_TOKENS : estimateMessagesTokens(previousSummary ? [ previousSummary ] : []);
+	let available = budget - estimateMessagesTokens(instructions) - summaryTokens;
+
+	let start = turns.length;
+	while(start > 0) {
+		const cost = estimateMessagesTokens([ turns[start - 1] ]);
+		if(cost > available) {
+			break;
+		}
+		available -= cost;
+		start--;
+	}
+	// The kept turns must open with a user message
+	while(start < turns.length && turns[start].role !== 'user') {
+		start++;
+	}
+
+	if(start >= turns.length) {
+		const error = new Error(`The prompt does not fit in the context window of ${ model }`);
+		error.code = -32602;
+		throw error;
+	}
+
+	let summary = previousSummary;
+	// With no turn dropped, the previous summary only needs condensing if it outgrew its room
+	if(summarize && (start > 0 || estimateMessagesTokens([ previousSummary ]) > summaryTokens)) {
+		const dropped = [ ...(previousSummary ? [ previousSummary ] : []), ...turns.slice(0, start) ];
+		summary = await summarizeInChunks(dropped, model, summarize);
+	}
+
+	return [
+		...instructions,
+		...(summary ? [ summary ] : []),
+		...turns.slice(start),
+	];
+}
@@ -0,0 +1,96 @@
+/**
+ * @fileoverview Conversation handling shared by the generate methods. Conversations are kept
+ * in the OpenAI Chat Completions shape (`{ role: 'system'|'user'|'assistant', content }`), which
+ * is also what the session history stores; `toAnthropicMessages` translates them for the
+ * Anthropic Messages API and `toOpenAIMessages` strips the fields only the server uses.
+ */
+
+/**
+ * @typedef {object} ChatMessage
+ * @property {'system'|'user'|'assistant'} role - Author of the message.
+ * @property {string} content - Message text.
+ * @property {boolean} [summary] - Set on the system message that summarizes dropped turns
+ *   (see src/llm/context-window.js).
+ * @property {string} [createdAt] - ISO timestamp, set when the message is stored in the session.
+ */
+
+/**
+ * Builds an invalid-params error for conversations the providers would reject.
+ * @param {string} message - Error message.
+ * @returns {Error} JSON-RPC -32602 error.
+ */
+function invalidConversation(message) {
+	const error = new Error(message);
+	error.code = -32602;
+	return error;
+}
+
+/**
+ * Builds the conversation sent to the model. `messages`, when given, replaces the stored
+ * session history (the client owns the conversation); `system` replaces any system message
+ * other than the history summary; `prompt` is appended as the last user turn.
+ * @param {object} options - Conversation parts.
+ * @param {Array<ChatMessage>|null} [options.history] - Stored session history.
+ * @param {Array<ChatMessage>} [options.messages] - Messages sent by the client.
+ * @param {string} [options.system] - System prompt.
+ * @param {string} [options.prompt] - New user prompt.
+ * @returns {Array<ChatMessage>} The conversation.
+ * @throws {Error} JSON-RPC -32602 error if the conversation does not end with a user message.
+ */
+export function buildConversation({ history, messages, system, prompt }) {
+	let conversation = [ ...(messages || history || []) ];
+
+	if(system) {
+		conversation = [
+			{ role: 'system', content: system },
+			...conversation.filter(message => message.role !== 'system' || message.summary),
+		];
+	}
+	if(prompt) {
+		conversation.push({ role: 'user', content: prompt });
+	}
+
+	const turns = conversation.filter(message => message.role !== 'system');
+	if(turns.length === 0 || turns[turns.length - 1].role !== 'user') {
+		throw invalidConversation('The conversation must end with a user message');
+	}
+	return conversation;
+}
+
+/**
+ * Translates a conversation for the OpenAI Chat Completions API.
+ * @param {Array<ChatMessage>} conversation - Conversation from `buildConversation`.
+ * @returns {Array<ChatMessage>} Messages with only `role` and `content`.
+ */
+export function toOpenAIMessages(conversation) {
+	return conversation.map(({ role, content }) => ({ role, content }));
+}
+
+/**
+ * Translates a conversation for the Anthropic Messages API: system messages are lifted into
+ * the top-level `system` field, consecutive messages from the same role are merged so roles
+ * alternate, and leading assistant turns are dropped since the first message must come from
+ * the user.
+ * @param {Array<ChatMessage>} conversation - Conversation from `buildConversation`.
+ * @returns {{ system: (string|undefined), messages: Array<ChatMessage> }} Request fields.
+ */
+export function toAnthropicMessages(conversation) {
+	const system = conversation
+		.filter(message => message.role === 'system')
+		.map(message => message.content)
+		.join('\n\n');
+
+	const messages = [];
+	conversation
+		.filter(message => message.role !== 'system')
+		.forEach(({ role, content }) => {
+			const previous = messages[messages.length - 1];
+			if(previous?.role === role) {
+				previous.content = `${ previous.content }\n\n${ content }`;
+			} else if(previous || role === 'user') {
+				messages.push({ role, content });
+			}
+		});
+
+	return { system: system || undefined, messages };
+}
@@ -0,0 +1,290 @@
+import OpenAI from 'openai';
+import { openai, anthropic } from '../clients.js';
+import logger from '../logger.js';
+import { sleep } from '../sleep.js';
+import { buildConversation, toAnthropicMessages, toOpenAIMessages } from './messages.js';
+import { SUMMARY_MAX_TOKENS, summaryRequest } from './context-window.js';
+import { runAnthropicToolLoop, runOpenAIToolLoop } from './tool-loop.js';
+
+/**
+ * @fileoverview Language model providers behind the generate methods. A provider wraps one API
+ * (the OpenAI Chat Completions API, including any OpenAI-compatible server, or the Anthropic
+ * Messages API) behind the same interface, so the handlers never deal with SDK specifics.
+ *
+ * Built-in providers:
+ * - `openai`: the OpenAI API (`OPENAI_API_KEY`).
+ * - `anthropic`: the Anthropic API (`ANTHROPIC_API_KEY`).
+ * - `local`: an OpenAI-compatible server such as llama.cpp or Ollama, registered when
+ *   `LOCAL_LLM_BASE_URL` is set (e.g. `http://localhost:11434/v1`); `LOCAL_LLM_API_KEY` is
+ *   sent if the server wants one.
+ *
+ * `resolveProvider` picks the provider of a model by name: `claude-*` models go to Anthropic,
+ * `gpt-*`, `chatgpt-*` and `o*` models to OpenAI, and any other model to the local server when
+ * one is configured.
+ */
+
+/**
+ * @typedef {object} GenerateRequest
+ * @property {string} model - Model name.
+ * @property {Array<import('./messages.js').ChatMessage>} conversation - Conversation from `buildConversation`.
+ * @property {number} maxTokens - Maximum tokens of the answer.
+ * @property {number} [temperature] - Sampling temperature.
+ * @property {Array<string>} [stopSequences] - Sequences that stop generation.
+ * @property {function(import('./usage.js').TokenUsage): void} [onUsage] - Receives the token
+ *   usage of every API call made for the request.
+ */
+
+/**
+ * @typedef {object} LlmProvider
+ * @property {string} name - Provider name used in configuration and params.
+ * @property {string} label - Human readable name for logs and error messages.
+ * @property {function(GenerateRequest, import('../mcp/dispatcher.js').RequestContext): Promise<string>} complete
+ *   Returns the answer to a conversation.
+ * @property {function(GenerateRequest, import('../mcp/dispatcher.js').RequestContext): AsyncGenerator<string>} streamText
+ *   Yields the text deltas of the answer as they arrive.
+ * @property {function(GenerateRequest, object, import('../mcp/dispatcher.js').RequestContext): Promise<import('./tool-loop.js').ToolLoopResult>} runTools
+ *   Runs the tool-calling loop; the options are `{ tools, maxSteps }`.
+ * @property {function(string, Array<import('./messages.js').ChatMessage>, import('../mcp/dispatcher.js').RequestContext, function(import('./usage.js').TokenUsage): void): Promise<string>} summarize
+ *   Condenses turns with the given model, reporting the usage of the call.
+ */
+
+/**
+ * Sends a request to a model API, retrying rate limits and server errors with exponential backoff.
+ * Once the request is cancelled nothing is retried and the backoff stops waiting.
+ * @param {string} provider - Provider name, for logs.
+ * @param {function(): Promise<object>} request - Makes the API call.
+ * @param {AbortSignal} [signal] - Signal of the MCP request.
+ * @returns {Promise<object>} The API response.
+ */
+async function requestWithRetries(provider, request, signal) {
+	let attempts = 0;
+	const maxAttempts = 3;
+
+	while(true) {
+		try {
+			return await request();
+		} catch(apiError) {
+			attempts++;
+			if(signal?.aborted || attempts >= maxAttempts || !isRetryableError(apiError)) {
+				throw apiError;
+			}
+			const waitTime = 2 ** attempts * 1000;
+			logger.warn({ attempts, waitTime }, `Retrying ${ provider } request`);
+			await sleep(waitTime, signal);
+		}
+	}
+}
+
+/**
+ * Whether an API error is worth retrying, or trying on another provider: rate limits and
+ * server errors.
+ * @param {Error} error - Error thrown by the SDK.
+ * @returns {boolean}
+ */
+export function isRetryableError(error) {
+	return error.status === 429 || error.status >= 500;
+}
+
+/**
+ * Condenses turns into a summary with the provider's own `complete`.
+ * @this {LlmProvider}
+ * @param {string} model - Model name.
+ * @param {Array<import('./messages.js').ChatMessage>} turns - Turns to summarize.
+ * @param {import('../mcp/dispatcher.js').RequestContext} context - Request context.
+ * @param {function(import('./usage.js').TokenUsage): void} [onUsage] - Receives the usage of the call.
+ * @returns {Promise<string>} The summary.
+ */
+function summarizeTurns(model, turns, context, onUsage) {
+	const { system, prompt } = summaryRequest(turns);
+	return this.complete({
+		model,
+		conversation: buildConversation({ system, prompt }),
+		maxTokens: SUMMARY_MAX_TOKENS,
+		onUsage,
+	}, context);
+}
+
+/**
+ * Creates a provider for the OpenAI Chat Completions API or a server compatible with it.
+ * @param {object} options - Provider options.
+ * @param {string} options.name - Provider name.
+ * @param {string} options.label - Human readable name.
+ * @param {OpenAI} options.client - SDK client, pointing at the right base URL.
+ * @returns {LlmProvider}
+ */
+export function createOpenAIProvider({ name, label, client }) {
+	const create = async (body, request, context) => {
+		const response = await requestWithRetries(label, () => client.chat.completions.create(body, { signal: context.signal }), context.signal);
+		if(!body.stream && response.usage) {
+			request.onUsage?.({ inputTokens: response.usage.prompt_tokens, outputTokens: response.usage.completion_tokens });
+		}
+		return response;
+	};
+	const requestBody = ({ model, conversation, maxTokens, temperature, stopSequences }) => ({
+		model,
+		max_tokens: maxTokens,
+		temperature,
+		stop: stopSequences,
+		messages: toOpenAIMessages(conversation),
+	});
+
+	return {
+		name,
+		label,
+		async complete(request, context) {
+			const response = await create(requestBody(request), request, context);
+			return response.choices[0].message.content;
+		},
+		async* streamText(request, context) {
+			const events = await create({ ...requestBody(request), stream: true, stream_options: { include_usage: true } }, request, context);
+			for await (const chunk of events) {
+				// With include_usage the last chunk carries the usage and no choices
+				if(chunk.usage) {
+					request.onUsage?.({ inputTokens: chunk.usage.prompt_tokens, outputTokens: chunk.usage.completion_tokens });
+				}
+				const delta = chunk.choices[0]?.delta?.content;
+				if(delta) {
+					yield delta;
+				}
+			}
+		},
+		runTools(request, { tools, maxSteps }, context) {
+			const body = requestBody(request);
+			return runOpenAIToolLoop({
+				messages: body.messages,
+				tools,
+				maxSteps,
+				complete: loopBody => create({ ...body, ...loopBody }, request, context),
+				context,
+			});
+		},
+		summarize: summarizeTurns,
+	};
+}
+
+/**
+ * Creates a provider for the Anthropic Messages API. System messages are lifted into the
+ * `system` field and temperatures above 1 (accepted by OpenAI) are capped at 1.
+ * @param {object} options - Provider options.
+ * @param {string} options.name - Provider name.
+ * @param {string} options.label - Human readable name.
+ * @param {import('@anthropic-ai/sdk').default} options.client - SDK client.
+ * @returns {LlmProvider}
+ */
+export function createAnthropicProvider({ name, label, client }) {
+	const create = async (body, request, context) => {
+		const response = await requestWithRetries(label, () => client.messages.create(body, { signal: context.signal }), context.signal);
+		if(!body.stream && response.usage) {
+			request.onUsage?.({ inputTokens: response.usage.input_tokens, outputTokens: response.usage.output_tokens });
+		}
+		return response;
+	};
+	const requestBody = ({ model, conversation, maxTokens, temperature, stopSequences }) => {
+		const { system, messages } = toAnthropicMessages(conversation);
+		return {
+			model,
+			max_tokens: maxTokens,
+			system,
+			temperature: temperature === undefined ? undefined : Math.min(temperature, 1),
+			stop_sequences: stopSequences,
+			messages,
+		};
+	};
+
+	return {
+		name,
+		label,
+		async complete(request, context) {
+			const response = await create(requestBody(request), request, context);
+			return response.content.filter(block => block.type === 'text').map(block => block.text).join('');
+		},
+		async* streamText(request, context) {
+			const events = await create({ ...requestBody(request), stream: true }, request, context);
+			for await (const event of events) {
+				// Input tokens are reported when the message starts, output tokens as it ends
+				if(event.type === 'message_start') {
+					request.onUsage?.({ inputTokens: event.message.usage.input_tokens, outputTokens: 0 });
+				} else if(event.type === 'message_delta' && event.usage) {
+					request.onUsage?.({ inputTokens: 0, outputTokens: event.usage.output_tokens });
+				}
+				if(event.type === 'content_block_delta' && event.delta.type === 'text_delta') {
+					yield event.delta.text;
+				}
+			}
+		},
+		runTools(request, { tools, maxSteps }, context) {
+			const body = requestBody(request);
+			return runAnthropicToolLoop({
+				messages: body.messages,
+				tools,
+				maxSteps,
+				complete: loopBody => create({ ...body, ...loopBody }, request, context),
+				context,
+			});
+		},
+		summarize: summarizeTurns,
+	};
+}
+
+/** @type {Map<string, LlmProvider>} */
+const providers = new Map();
+
+/**
+ * Registers a provider, replacing any provider with the same name.
+ * @param {LlmProvider} provider - The provider.
+ * @returns {LlmProvider} The registered provider.
+ */
+export function registerProvider(provider) {
+	providers.set(provider.name, provider);
+	return provider;
+}
+
+/**
+ * Names of the registered providers.
+ * @returns {Array<string>}
+ */
+export function listProviders() {
+	return [ ...providers.keys() ];
+}
+
+/**
+ * Picks the provider for a model.
+ * @param {string} model - Model name.
+ * @param {string} [providerName] - Explicit provider, overriding the choice by model name.
+ * @returns {LlmProvider} The provider.
+ * @throws {Error} JSON-RPC -32602 error if the provider is not configured.
+ */
+export function resolveProvider(model, providerName) {
+	let name = providerName;
+	if(!name) {
+		if(/^claude-/.test(model)) {
+			name = 'anthropic';
+		} else if(/^(gpt-|chatgpt-|o\d)/.test(model) || !providers.has('local')) {
+			name = 'openai';
+		} else {
+			name = 'local';
+		}
+	}
+
+	const provider = providers.get(name);
+	if(!provider) {
+		const error = new Error(`Unknown LLM provider '${ name }'. Configured providers: ${ listProviders().join(', ') }`);
+		error.code = -32602;
+		throw error;
+	}
+	return provider;
+}
+
+registerProvider(createOpenAIProvider({ name: 'openai', label: 'OpenAI', client: openai }));
+registerProvider(createAnthropicProvider({ name: 'anthropic', label: 'Anthropic', client: anthropic }));
+
+if(process.env.LOCAL_LLM_BASE_URL) {
+	registerProvider(createOpenAIProvider({
+		name: 'local',
+		label: 'Local LLM',
+		client: new OpenAI({
+			baseURL: process.env.LOCAL_LLM_BASE_URL,
+			apiKey: process.env.LOCAL_LLM_API_KEY || 'local',
+		}),
+	}));
+}
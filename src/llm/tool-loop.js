@@ -0,0 +1,175 @@
+import { hasScopes } from '../auth.js';
+import { getInputSchema, listTools } from '../tools/registry.js';
+
+/**
+ * @fileoverview Server-side tool-calling loop for the generate methods. The registered
+ * `solana_*` tools are offered to the model as native tool definitions; each tool call the
+ * model makes is run through the dispatcher (`context.callTool`, so validation, scopes and
+ * caching apply) and the result is sent back, until the model answers or the step limit is
+ * reached. On the last step the model is asked to answer without tools.
+ */
+
+/**
+ * @typedef {object} ToolCallTrace
+ * @property {number} step - Round in which the model made the call (1-based).
+ * @property {string} name - Tool name.
+ * @property {object} arguments - Arguments sent by the model.
+ * @property {boolean} isError - Whether the tool failed.
+ * @property {string} output - Text returned to the model.
+ * @property {number} durationMs - Time spent running the tool.
+ */
+
+/**
+ * @typedef {object} ToolLoopResult
+ * @property {string} text - Final answer of the model.
+ * @property {object} trace - What happened along the way.
+ * @property {number} trace.steps - Number of model calls.
+ * @property {boolean} trace.stepLimitReached - Whether the model was cut off by `max_steps`.
+ * @property {Array<ToolCallTrace>} trace.toolCalls - Every tool call, in order.
+ */
+
+/**
+ * Picks the tools offered to the model.
+ * @param {boolean|Array<string>} selection - `true` for every tool the caller may use, or tool names.
+ * @param {import('../auth.js').Principal|null} principal - The caller.
+ * @returns {Array<import('../tools/registry.js').Tool>} The tools.
+ * @throws {Error} JSON-RPC -32602 error for unknown tool names.
+ */
+export function resolveAgentTools(selection, principal) {
+	const available = listTools({ listed: true }).filter(tool => hasScopes(principal, tool.scopes));
+	if(selection === true) {
+		return available;
+	}
+
+	const unknown = selection.filter(name => !available.some(tool => tool.name === name));
+	if(unknown.length > 0) {
+		const error = new Error(`Unknown or unavailable tools: ${ unknown.join(', ') }`);
+		error.code = -32602;
+		throw error;
+	}
+	return available.filter(tool => selection.includes(tool.name));
+}
+
+/**
+ * Runs one tool call for the model and records it in the trace.
+ * @param {object} call - The call.
+ * @param {string} call.name - Tool name.
+ * @param {object|string} call.input - Arguments, or a JSON string of them.
+ * @param {number} step - Current round.
+ * @param {import('../mcp/dispatcher.js').RequestContext} context - Request context.
+ * @param {Array<ToolCallTrace>} toolCalls - Trace to append to.
+ * @returns {Promise<{ output: string, isError: boolean }>} Text to send back to the model.
+ */
+async function runToolCall({ name, input }, step, context, toolCalls) {
+	const start = Date.now();
+	let args = input;
+	let output;
+	let isError = false;
+
+	try {
+		if(typeof input === 'string') {
+			args = input ? JSON.parse(input) : {};
+		}
+		context.progress(toolCalls.length + 1, undefined, `Calling ${ name }`);
+		const result = await context.callTool(name, args);
+		output = result.content.filter(item => item.type === 'text').map(item => item.text).join('\n');
+		isError = Boolean(result.isError);
+	} catch(error) {
+		output = error.message;
+		isError = true;
+	}
+
+	toolCalls.push({ step, name, arguments: args, isError, output, durationMs: Date.now() - start });
+	return { output, isError };
+}
+
+/**
+ * Runs the loop against the OpenAI Chat Completions API.
+ * @param {object} options - Loop options.
+ * @param {Array<object>} options.messages - Conversation so far, ending with the user prompt.
+ * @param {Array<import('../tools/registry.js').Tool>} options.tools - Tools offered to the model.
+ * @param {number} options.maxSteps - Maximum number of tool-calling rounds.
+ * @param {function(object): Promise<object>} options.complete - Sends a request body (without tools) to the API.
+ * @param {import('../mcp/dispatcher.js').RequestContext} options.context - Request context.
+ * @returns {Promise<ToolLoopResult>}
+ */
+export async function runOpenAIToolLoop({ messages, tools, maxSteps, complete, context }) {
+	const definitions = tools.map(tool => ({
+		type: 'function',
+		function: {
+			name: tool.name,
+			description: tool.description,
+			parameters: getInputSchema(tool),
+		},
+	}));
+	const conversation = [ ...messages ];
+	const toolCalls = [];
+
+	for(let step = 1; ; step++) {
+		const finalStep = step > maxSteps;
+		const response = await complete({
+			messages: conversation,
+			tools: definitions,
+			tool_choice: finalStep ? 'none' : 'auto',
+		});
+		const message = response.choices[0].message;
+
+		if(finalStep || !message.tool_calls?.length) {
+			return {
+				text: message.content || '',
+				trace: { steps: step, stepLimitReached: finalStep, toolCalls },
+			};
+		}
+
+		conversation.push(message);
+		for(const call of message.tool_calls) {
+			const { output } = await runToolCall({ name: call.function.name, input: call.function.arguments }, step, context, toolCalls);
+			conversation.push({ role: 'tool', tool_call_id: call.id, content: output });
+		}
+	}
+}
+
+/**
+ * Runs the loop against the Anthropic Messages API.
+ * @param {object} options - Loop options.
+ * @param {Array<object>} options.messages - Conversation so far, ending with the user prompt.
+ * @param {Array<import('../tools/registry.js').Tool>} options.tools - Tools offered to the model.
+ * @param {number} options.maxSteps - Maximum number of tool-calling rounds.
+ * @param {function(object): Promise<object>} options.complete - Sends a request body (without tools) to the API.
+ * @param {import('../mcp/dispatcher.js').RequestContext} options.context - Request context.
+ * @returns {Promise<ToolLoopResult>}
+ */
+export async function runAnthropicToolLoop({ messages, tools, maxSteps, complete, context }) {
+	const definitions = tools.map(tool => ({
+		name: tool.name,
+		description: tool.description,
+		input_schema: getInputSchema(tool),
+	}));
+	const conversation = [ ...messages ];
+	const toolCalls = [];
+
+	for(let step = 1; ; step++) {
+		const finalStep = step > maxSteps;
+		const response = await complete({
+			messages: conversation,
+			tools: definitions,
+			tool_choice: { type: finalStep ? 'none' : 'auto' },
+		});
+		const toolUses = response.content.filter(block => block.type === 'tool_use');
+
+		if(finalStep || response.stop_reason !== 'tool_use' || toolUses.length === 0) {
+			return {
+				text: response.content.filter(block => block.type === 'text').map(block => block.text).join(''),
+				trace: { steps: step, stepLimitReached: finalStep, toolCalls },
+			};
+		}
+
+		conversation.push({ role: 'assistant', content: response.content });
+		const results = [];
+		for(const block of toolUses) {
+			const { output, isError } = await runToolCall({ name: block.name, input: block.input }, step, context, toolCalls);
+			results.push({ type: 'tool_result', tool_use_id: block.id, content: output, is_error: isError });
+		}
+		conversation.push({ role: 'user', content: results });
+	}
+}
@@ -0,0 +1,309 @@
+import { redisClient } from '../clients.js';
+import logger from '../logger.js';
+import { contextNamespace } from './context-store.js';
+
+/**
+ * @fileoverview Token usage and cost accounting for the generate methods. Providers report the
+ * tokens of every API call (including tool-loop rounds and summaries) to a per-request
+ * `UsageMeter`; once the request ends the meter is priced and added to monthly totals per API
+ * key owner, broken down by model and by `session_id`. Totals live in Redis when available
+ * (so caps hold across replicas) and in process memory otherwise.
+ *
+ * Prices are USD per million tokens. The built-in table can be extended or overridden with
+ * `LLM_MODEL_PRICES`, a JSON object mapping model names to `{ "input": n, "output": n }`. A
+ * dated snapshot (e.g. `gpt-4o-2024-08-06`) or `-latest` alias without a price of its own
+ * takes the price of its model; models without a price (e.g. local models) are counted at zero
+ * cost.
+ *
+ * Monthly caps come from `monthlyCapUsd` in `MCP_API_KEYS` or, for every key, from
+ * `LLM_MONTHLY_CAP_USD`.
+ */
+
+/** @type {Object<string, { input: number, output: number }>} */
+const DEFAULT_MODEL_PRICES = {
+	'gpt-4o-mini': { input: 0.15, output: 0.6 },
+	'gpt-4o': { input: 2.5, output: 10 },
+	'gpt-4.1-nano': { input: 0.1, output: 0.4 },
+	'gpt-4.1-mini': { input: 0.4, output: 1.6 },
+	'gpt-4.1': { input: 2, output: 8 },
+	'gpt-4-turbo': { input: 10, output: 30 },
+	'gpt-3.5-turbo': { input: 0.5, output: 1.5 },
+	'o4-mini': { input: 1.1, output: 4.4 },
+	'o3': { input: 2, output: 8 },
+	'o3-mini': { input: 1.1, output: 4.4 },
+	'o1': { input: 15, output: 60 },
+	'o1-mini': { input: 1.1, output: 4.4 },
+	'claude-3-5-haiku': { input: 0.8, output: 4 },
+	'claude-3-haiku': { input: 0.25, output: 1.25 },
+	'claude-3-5-sonnet': { input: 3, output: 15 },
+	'claude-3-7-sonnet': { input: 3, output: 15 },
+	'claude-sonnet-4': { input: 3, output: 15 },
+	'claude-3-opus': { input: 15, output: 75 },
+	'claude-opus-4': { input: 15, output: 75 },
+	'claude-opus-4-1': { input: 15, output: 75 },
+};
+
+/** Suffix of dated snapshots and aliases: `-2024-08-06`, `-20241022`, `-0125` or `-latest`. */
+const SNAPSHOT_SUFFIX = /-(?:\d{4}-\d{2}-\d{2}|\d{8}|\d{4}|latest)$/;
+
+/**
+ * Parses `LLM_MODEL_PRICES` over the built-in table.
+ * @returns {Map<string, { input: number, output: number }>} Prices by model name.
+ */
+function loadModelPrices() {
+	let configured = {};
+	if(process.env.LLM_MODEL_PRICES) {
+		try {
+			configured = JSON.parse(process.env.LLM_MODEL_PRICES);
+		} catch(error) {
+			logger.error({ error: error.message }, 'Invalid LLM_MODEL_PRICES, expected a JSON object');
+		}
+	}
+	return new Map(Object.entries({ ...DEFAULT_MODEL_PRICES, ...configured }));
+}
+
+const modelPrices = loadModelPrices();
+
+const DEFAULT_MONTHLY_CAP_USD = parseFloat(process.env.LLM_MONTHLY_CAP_USD || '') || null;
+
+/** Monthly totals are kept a little over a year. */
+const USAGE_TTL_SECONDS = 400 * 24 * 60 * 60;
+
+const REDIS_KEY_PREFIX = 'llm:usage';
+
+const METRICS = [ 'requests', 'inputTokens', 'outputTokens', 'costUsd' ];
+
+/**
+ * @typedef {object} TokenUsage
+ * @property {number} inputTokens - Prompt tokens.
+ * @property {number} outputTokens - Generated tokens.
+ */
+
+/**
+ * @typedef {object} UsageMeter
+ * @property {function(string, string, TokenUsage): void} add - Adds the usage of one API call
+ *   for a provider and model.
+ * @property {function(): Array<object>} entries - Usage per provider and model, priced.
+ * @property {function(): { inputTokens: number, outputTokens: number, costUsd: number }} totals - Totals of the request.
+ */
+
+/**
+ * Price of a model: the price of its exact name, or else that of the model it is a snapshot of.
+ * Other names are never matched by prefix, since e.g. `o1-mini` costs far less than `o1`.
+ * @param {string} model - Model name.
+ * @returns {{ input: number, output: number }|null} USD per million tokens, or null if unknown.
+ */
+export function modelPrice(model) {
+	return modelPrices.get(model) ?? modelPrices.get(model.replace(SNAPSHOT_SUFFIX, '')) ?? null;
+}
+
+/**
+ * Rounds a USD amount to a millionth of a dollar, avoiding floating-point noise in reports.
+ * @param {number} amount - Amount in USD.
+ * @returns {number}
+ */
+function roundUsd(amount) {
+	return Math.round(amount * 1e6) / 1e6;
+}
+
+/**
+ * Creates the meter of one generate request.
+ * @returns {UsageMeter}
+ */
+export function createUsageMeter() {
+	/** @type {Map<string, object>} */
+	const byModel = new Map();
+
+	return {
+		add(provider, model, { inputTokens = 0, outputTokens = 0 }) {
+			const key = `${ provider }/${ model }`;
+			const entry = byModel.get(key) || { provider, model, inputTokens: 0, outputTokens: 0, costUsd: 0 };
+			const price = modelPrice(model);
+			entry.inputTokens += inputTokens;
+			entry.outputTokens += outputTokens;
+			if(price) {
+				entry.costUsd = roundUsd(entry.costUsd + (inputTokens * price.input + outputTokens * price.output) / 1e6);
+			}
+			byModel.set(key, entry);
+		},
+		entries() {
+			return [ ...byModel.values() ];
+		},
+		totals() {
+			return this.entries().reduce((totals, entry) => ({
+				inputTokens: totals.inputTokens + entry.inputTokens,
+				outputTokens: totals.outputTokens + entry.outputTokens,
+				costUsd: roundUsd(totals.costUsd + entry.costUsd),
+			}), { inputTokens: 0, outputTokens: 0, costUsd: 0 });
+		},
+	};
+}
+
+/**
+ * Current month in UTC, as used in reports and keys.
+ * @returns {string} `YYYY-MM`.
+ */
+export function currentMonth() {
+	return new Date().toISOString().slice(0, 7);
+}
+
+/** @type {Map<string, Map<string, number>>} */
+const memoryTotals = new Map();
+
+/**
+ * Adds to the counters of a monthly usage hash.
+ * @param {string} key - Hash key.
+ * @param {Object<string, number>} increments - Field -> amount.
+ * @returns {Promise<void>}
+ */
+async function incrementTotals(key, increments) {
+	if(redisClient && redisClient.isReady) {
+		try {
+			const multi = redisClient.multi();
+			Object.entries(increments).forEach(([ field, amount ]) => multi.hIncrByFloat(key, field, amount));
+			multi.expire(key, USAGE_TTL_SECONDS);
+			await multi.exec();
+			return;
+		} catch(redisError) {
+			logger.error({ error: redisError.message }, 'Error recording LLM usage in Redis');
+		}
+	}
+
+	const totals = memoryTotals.get(key) || new Map();
+	Object.entries(increments).forEach(([ field, amount ]) => totals.set(field, (totals.get(field) || 0) + amount));
+	memoryTotals.set(key, totals);
+}
+
+/**
+ * Reads the counters of a monthly usage hash.
+ * @param {string} key - Hash key.
+ * @returns {Promise<Object<string, number>>} Field -> amount.
+ */
+async function readTotals(key) {
+	if(redisClient && redisClient.isReady) {
+		try {
+			const stored = await redisClient.hGetAll(key);
+			return Object.fromEntries(Object.entries(stored).map(([ field, value ]) => [ field, parseFloat(value) ]));
+		} catch(redisError) {
+			logger.error({ error: redisError.message }, 'Error reading LLM usage from Redis');
+		}
+	}
+	return Object.fromEntries(memoryTotals.get(key) || []);
+}
+
+/**
+ * Key of the usage hash of an API key owner for a month. Fields are `<dimension>|<metric>`,
+ * where the dimension is `total`, `model|<provider>/<model>` or `session|<session_id>`.
+ * @param {string} namespace - Principal ID.
+ * @param {string} month - `YYYY-MM`.
+ * @returns {string}
+ */
+function usageKey(namespace, month) {
+	return `${ REDIS_KEY_PREFIX }:${ namespace }:${ month }`;
+}
+
+/**
+ * Adds the usage of a finished request to the monthly totals.
+ * @param {string} namespace - Principal ID.
+ * @param {string} sessionId - Session ID of the request.
+ * @param {UsageMeter} meter - The request's meter.
+ * @returns {Promise<void>}
+ */
+export async function recordUsage(namespace, sessionId, meter) {
+	const entries = meter.entries();
+	if(entries.length === 0) {
+		return;
+	}
+
+	const increments = {};
+	const add = (dimension, metrics) => {
+		METRICS.forEach(metric => {
+			const field = `${ dimension }|${ metric }`;
+			increments[field] = (increments[field] || 0) + metrics[metric];
+		});
+	};
+
+	const totals = meter.totals();
+	add('total', { requests: 1, ...totals });
+	add(`session|${ sessionId }`, { requests: 1, ...totals });
+	entries.forEach(({ provider, model, ...metrics }) => add(`model|${ provider }/${ model }`, { requests: 1, ...metrics }));
+
+	await incrementTotals(usageKey(namespace, currentMonth()), increments);
+	logger.debug({ principal: namespace, sessionId, ...totals }, 'LLM usage recorded');
+}
+
+/**
+ * Monthly spend cap of a principal.
+ * @param {import('../auth.js').Principal|null} principal - The caller.
+ * @returns {number|null} Cap in USD, or null when uncapped.
+ */
+export function monthlyCap(principal) {
+	return principal?.monthlyCapUsd ?? DEFAULT_MONTHLY_CAP_USD;
+}
+
+/**
+ * Rejects the request once the caller has reached its monthly spend cap.
+ * @param {import('../auth.js').Principal|null} principal - The caller.
+ * @returns {Promise<void>}
+ * @throws {Error} JSON-RPC -32004 error when the cap is reached.
+ */
+export async function assertWithinCap(principal) {
+	const cap = monthlyCap(principal);
+	if(cap === null) {
+		return;
+	}
+
+	const namespace = contextNamespace(principal);
+	const totals = await readTotals(usageKey(namespace, currentMonth()));
+	const spent = totals['total|costUsd'] || 0;
+	if(spent >= cap) {
+		logger.warn({ principal: namespace, spent, cap }, 'Monthly LLM spend cap reached');
+		const error = new Error(`Monthly LLM spend cap of $${ cap } reached for this API key`);
+		error.code = -32004;
+		error.data = { capUsd: cap, spentUsd: roundUsd(spent) };
+		throw error;
+	}
+}
+
+/**
+ * Builds the usage report of an API key owner for a month.
+ * @param {string} namespace - Principal ID.
+ * @param {object} [options] - Report options.
+ * @param {string} [options.month] - `YYYY-MM`, the current month by default.
+ * @param {string} [options.sessionId] - Limits the session breakdown to one session.
+ * @param {number|null} [options.capUsd] - Monthly cap of the principal, to report what is left.
+ * @returns {Promise<object>} Totals, per-model and per-session usage.
+ */
+export async function usageReport(namespace, { month = currentMonth(), sessionId, capUsd = null } = {}) {
+	const fields = await readTotals(usageKey(namespace, month));
+	const dimensions = new Map();
+
+	Object.entries(fields).forEach(([ field, value ]) => {
+		const separator = field.lastIndexOf('|');
+		const dimension = field.slice(0, separator);
+		const metric = field.slice(separator + 1);
+		const metrics = dimensions.get(dimension) || Object.fromEntries(METRICS.map(name => [ name, 0 ]));
+		metrics[metric] = metric === 'costUsd' ? roundUsd(value) : value;
+		dimensions.set(dimension, metrics);
+	});
+
+	const breakdown = prefix => [ ...dimensions.entries() ]
+		.filter(([ dimension ]) => dimension.startsWith(prefix))
+		.map(([ dimension, metrics ]) => [ dimension.slice(prefix.length), metrics ])
+		.sort(([ , a ], [ , b ]) => b.costUsd - a.costUsd || b.requests - a.requests);
+
+	const totals = dimensions.get('total') || Object.fromEntries(METRICS.map(name => [ name, 0 ]));
+	return {
+		principalId: namespace,
+		month,
+		totals,
+		...(capUsd !== null && { capUsd, remainingUsd: Math.max(0, roundUsd(capUsd - totals.costUsd)) }),
+		byModel: breakdown('model|').map(([ name, metrics ]) => {
+			const [ provider, ...model ] = name.split('/');
+			return { provider, model: model.join('/'), ...metrics };
+		}),
+		bySession: breakdown('session|')
+			.filter(([ name ]) => !sessionId || name === sessionId)
+			.map(([ name, metrics ]) => ({ sessionId: name, ...metrics })),
+	};
+}
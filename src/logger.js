@@ -0,0 +1,20 @@
+import 'dotenv/config';
+import pino from 'pino';
+
+/**
+ * Shared pino logger. When running as a stdio MCP server (`MCP_TRANSPORT=stdio`), stdout is
+ * reserved for JSON-RPC messages, so plain JSON logs go to stderr instead of pino-pretty.
+ */
+const logger = process.env.MCP_TRANSPORT === 'stdio' ?
+	pino({ level: process.env.LOG_LEVEL || 'info' }, pino.destination(2)) :
+	pino({
+		level: process.env.LOG_LEVEL || 'info',
+		transport: {
+			target: 'pino-pretty',
+			options: {
+				colorize: true,
+			},
+		},
+	});
+
+export default logger;
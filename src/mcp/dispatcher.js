@@ -0,0 +1,675 @@
+import logger from '../logger.js';
+import { buildInitializeResult } from './protocol.js';
+import { getTool, listTools, toToolDefinition } from '../tools/index.js';
+import { validateParams } from '../schemas/validation.js';
+import { hasScopes } from '../auth.js';
+import { cacheAge, cacheKey, getOrCompute } from '../cache.js';
+import {
+	listResourceTemplates,
+	listResources,
+	matchResource,
+	subscribe,
+	toResourceContents,
+	toResourceTemplateDefinition,
+	unsubscribe,
+} from '../resources/index.js';
+import { getPrompt, listPrompts, toPromptDefinition } from '../prompts/index.js';
+import { VybeApiError } from '../services/vybe-errors.js';
+import { annotateUntrustedContents } from '../sanitize.js';
+
+/**
+ * @fileoverview Transport-agnostic JSON-RPC dispatch for the MCP server. The HTTP route and
+ * the stdio entry point both hand parsed payloads to `handlePayload` and write back whatever
+ * it returns.
+ */
+
+const MAX_BATCH_SIZE = parseInt(process.env.MCP_MAX_BATCH_SIZE || '', 10) || 50;
+
+/**
+ * Severity levels of `notifications/message`, lowest first (RFC 5424 names).
+ * @type {Array<string>}
+ */
+const LOG_LEVELS = [ 'debug', 'info', 'notice', 'warning', 'error', 'critical', 'alert', 'emergency' ];
+
+/**
+ * Abort controllers of the requests being processed, keyed by `inFlightKey`, so that
+ * `notifications/cancelled` can stop them.
+ * @type {Map<string, AbortController>}
+ */
+const inFlightRequests = new Map();
+
+/**
+ * @typedef {object} TransportContext
+ * @property {object|null} [session] - Per-connection state (an HTTP session, or the stdio connection).
+ * @property {import('../auth.js').Principal|null} [principal] - The authenticated caller.
+ * @property {function(object): void} [sendNotification] - Delivers a server-initiated JSON-RPC message to the client.
+ */
+
+/**
+ * @typedef {object} RequestContext
+ * @property {object|null} session - Per-connection state, if any.
+ * @property {string|number|undefined} requestId - ID of the request being handled (undefined for notifications).
+ * @property {import('../auth.js').Principal|null} principal - The authenticated caller, if any.
+ * @property {function(string, object): void} notify - Sends a notification with the given method and params.
+ * @property {function(string, *): void} log - Sends a `notifications/message` at the given level, honoring `logging/setLevel`.
+ * @property {function(number, number=, string=): void} progress - Sends `notifications/progress` (progress, total, message) when the client asked for it with `_meta.progressToken`.
+ * @property {AbortSignal} signal - Aborted when the client cancels the request; pass it to outgoing fetches.
+ * @property {function(string, object): Promise<object>} callTool - Runs a tool as `tools/call` would, on behalf of the same caller.
+ */
+
+/**
+ * Builds the context handed to method handlers for one request.
+ * @param {TransportContext} transportContext - What the transport knows about the connection.
+ * @param {string} loggerName - Name reported in `notifications/message`.
+ * @param {object} [options={}] - Per-request details.
+ * @param {string|number} [options.requestId] - ID of the request.
+ * @param {AbortSignal} [options.signal] - Signal aborted on cancellation.
+ * @param {string|number} [options.progressToken] - Token from the request's `_meta`, if any.
+ * @returns {RequestContext} The request context.
+ */
+function createRequestContext(
+	{ session = null, principal = null, sendNotification = () => {} },
+	loggerName,
+	{ requestId, signal = new AbortController().signal, progressToken } = {},
+) {
+	const notify = (method, params) => sendNotification({ jsonrpc: '2.0', method, params });
+	const context = {
+		session,
+		requestId,
+		principal,
+		notify,
+		signal,
+		// Nested tools must not report progress against the caller's token
+		callTool: (name, toolArguments) => handleToolsCall({ name, arguments: toolArguments }, { ...context, progress: () => {} }),
+		progress: (progress, total, message) => {
+			if(progressToken === undefined || signal.aborted) {
+				return;
+			}
+			notify('notifications/progress', { progressToken, progress, total, message });
+		},
+		log: (level, data) => {
+			const minimumLevel = session?.logLevel || 'info';
+			if(LOG_LEVELS.indexOf(level) < LOG_LEVELS.indexOf(minimumLevel)) {
+				return;
+			}
+			notify('notifications/message', { level, logger: loggerName, data });
+		},
+	};
+	return context;
+}
+
+/**
+ * Builds a JSON-RPC error response.
+ * @param {number} code - JSON-RPC error code.
+ * @param {string} message - Error message.
+ * @param {string|number|null} [id=null] - Request ID.
+ * @returns {object} The JSON-RPC response.
+ */
+function errorResponse(code, message, id = null) {
+	return {
+		jsonrpc: '2.0',
+		error: { code, message },
+		id,
+	};
+}
+
+/**
+ * Key of an in-flight request. Request IDs are only unique per connection, so they are scoped
+ * by session (or by caller for stateless HTTP requests).
+ * @param {TransportContext|RequestContext} context - The connection.
+ * @param {string|number} id - Request ID.
+ * @returns {string}
+ */
+function inFlightKey({ session, principal }, id) {
+	return `${ session?.id ?? principal?.id ?? '' }:${ JSON.stringify(id) }`;
+}
+
+/**
+ * Whether a value is allowed as a JSON-RPC request ID. Note that 0 and '' are valid IDs.
+ * @param {*} id - The ID to check.
+ * @returns {boolean}
+ */
+function isValidId(id) {
+	return id === null || typeof id === 'string' || (typeof id === 'number' && Number.isFinite(id));
+}
+
+/**
+ * Handles a JSON-RPC payload: either a single message or a batch (array) of messages.
+ * Batch items run concurrently and each gets its own result or error; notifications in the
+ * batch produce no entry.
+ * @param {object|Array<object>} payload - The parsed JSON-RPC payload.
+ * @param {TransportContext} [transportContext={}] - Connection details supplied by the transport.
+ * @returns {Promise<object|Array<object>|null>} The response(s), or null when nothing needs an answer.
+ */
+export async function handlePayload(payload, transportContext = {}) {
+	if(!Array.isArray(payload)) {
+		return handleMessage(payload, transportContext);
+	}
+
+	if(payload.length === 0) {
+		return errorResponse(-32600, 'Invalid JSON-RPC request: empty batch');
+	}
+	if(payload.length > MAX_BATCH_SIZE) {
+		return errorResponse(-32600, `Invalid JSON-RPC request: batch exceeds ${ MAX_BATCH_SIZE } messages`);
+	}
+
+	logger.debug({ size: payload.length }, 'MCP batch received');
+
+	const responses = await Promise.all(payload.map(message => {
+		if(message?.method === 'initialize') {
+			return errorResponse(-32600, 'initialize must not be part of a batch', isValidId(message.id) ? message.id : null);
+		}
+		return handleMessage(message, transportContext);
+	}));
+	const answered = responses.filter(Boolean);
+
+	return answered.length > 0 ? answered : null;
+}
+
+/**
+ * Builds the -32603 answer to a payload whose processing failed unexpectedly, for transports
+ * to send when `handlePayload` rejects: one error per request in it (notifications get none).
+ * @param {object|Array<object>} payload - The message or batch received.
+ * @returns {object|Array<object>|null} The response, or null when nothing needs an answer.
+ */
+export function internalErrorResponse(payload) {
+	const responses = (Array.isArray(payload) ? payload : [ payload ])
+		.filter(message => message && typeof message === 'object' && message.id !== undefined && isValidId(message.id))
+		.map(message => errorResponse(-32603, 'Internal error', message.id));
+	if(responses.length === 0) {
+		return null;
+	}
+	return Array.isArray(payload) ? responses : responses[0];
+}
+
+/**
+ * Handles one JSON-RPC message.
+ * @param {object} message - The parsed JSON-RPC message.
+ * @param {TransportContext} [transportContext={}] - Connection details supplied by the transport.
+ * @returns {Promise<object|null>} The JSON-RPC response, or null for notifications.
+ */
+export async function handleMessage(message, transportContext = {}) {
+	const requestStart = Date.now();
+
+	if(!message || typeof message !== 'object' || Array.isArray(message)) {
+		return errorResponse(-32600, 'Invalid JSON-RPC request');
+	}
+
+	const { jsonrpc, method, params, id } = message;
+	const isNotification = !('id' in message);
+
+	if(jsonrpc !== '2.0' || typeof method !== 'string' || !method || (!isNotification && !isValidId(id))) {
+		return errorResponse(-32600, 'Invalid JSON-RPC request', isValidId(id) ? id : null);
+	}
+
+	const loggerName = method === 'tools/call' ? params?.name : method;
+
+	if(isNotification) {
+		await handleNotification(method, params, createRequestContext(transportContext, loggerName));
+		return null;
+	}
+
+	const controller = new AbortController();
+	const requestKey = inFlightKey(transportContext, id);
+	inFlightRequests.set(requestKey, controller);
+
+	const requestContext = createRequestContext(transportContext, loggerName, {
+		requestId: id,
+		signal: controller.signal,
+		progressToken: params?._meta?.progressToken,
+	});
+
+	try {
+		const result = await dispatchMethod(method, params, requestContext);
+
+		// The client has given up on this request, so per the spec it gets no response
+		if(controller.signal.aborted) {
+			logger.info({ method, id, duration: Date.now() - requestStart }, 'MCP request cancelled');
+			return null;
+		}
+
+		logger.info({
+			method,
+			id,
+			duration: Date.now() - requestStart,
+		}, 'MCP request completed');
+
+		return {
+			jsonrpc: '2.0',
+			result,
+			id,
+		};
+
+	} catch(error) {
+		if(controller.signal.aborted) {
+			logger.info({ method, id, duration: Date.now() - requestStart }, 'MCP request cancelled');
+			return null;
+		}
+
+		logger.error({
+			method,
+			id,
+			error: error.message,
+			stack: error.stack,
+			duration: Date.now() - requestStart,
+		}, `Error handling method '${ method }'`);
+
+		return {
+			jsonrpc: '2.0',
+			error: toRpcError(error),
+			id,
+		};
+	} finally {
+		if(inFlightRequests.get(requestKey) === controller) {
+			inFlightRequests.delete(requestKey);
+		}
+	}
+}
+
+/**
+ * Builds the JSON-RPC error object of a failed request. Upstream failures that handlers report
+ * as -32000 are refined by the Vybe error behind them (see src/services/vybe-errors.js): a
+ * 404 becomes -32002, a 400 becomes -32602, and rate limits, timeouts, server errors and open
+ * circuits become -32005, with the upstream status and any `retryAfterMs` in `data`.
+ * @param {Error} error - The error.
+ * @returns {{ code: number, message: string, data?: * }}
+ */
+function toRpcError(error) {
+	const rpcError = {
+		code: error.code || -32603,
+		message: error.message || 'Internal server error',
+		...(error.data !== undefined && { data: error.data }),
+	};
+
+	let upstream = error;
+	while(upstream && !(upstream instanceof VybeApiError)) {
+		upstream = upstream.cause;
+	}
+	if(!upstream || rpcError.code !== -32000) {
+		return rpcError;
+	}
+
+	let code = -32000;
+	if(upstream.status === 404) {
+		code = -32002;
+	} else if(upstream.status === 400) {
+		code = -32602;
+	} else if(upstream.retryable) {
+		code = -32005;
+	}
+	return {
+		...rpcError,
+		code,
+		data: {
+			upstreamStatus: upstream.status,
+			...(upstream.retryAfterMs !== null && { retryAfterMs: upstream.retryAfterMs }),
+		},
+	};
+}
+
+/**
+ * Handles a JSON-RPC notification. `notifications/cancelled` aborts the named request, other
+ * protocol notifications (`notifications/*`) are acknowledged, and any other method is
+ * executed and its result discarded, as JSON-RPC requires.
+ * Failures are logged only, since notifications never get a response.
+ * @param {string} method - Method name.
+ * @param {object} params - Method parameters.
+ * @param {RequestContext} context - Request context.
+ * @returns {Promise<void>}
+ */
+async function handleNotification(method, params, context) {
+	try {
+		if(method === 'notifications/cancelled') {
+			cancelRequest(params, context);
+			return;
+		}
+		if(method.startsWith('notifications/')) {
+			logger.debug({ method }, 'MCP notification received');
+			return;
+		}
+
+		await dispatchMethod(method, params, context);
+		logger.info({ method }, 'MCP notification processed');
+	} catch(error) {
+		logger.warn({ method, error: error.message }, `Error handling notification '${ method }'`);
+	}
+}
+
+/**
+ * Handles `notifications/cancelled` by aborting the named in-flight request. Unknown or
+ * already finished requests are ignored, as the spec allows for the race.
+ * @param {object|null} params - The notification params; invalid ones are ignored.
+ * @param {string|number} params.requestId - ID of the request to cancel.
+ * @param {string} [params.reason] - Reason given by the client.
+ * @param {RequestContext} context - Context of the connection that sent the notification.
+ */
+function cancelRequest(params, context) {
+	const { requestId, reason } = params ?? {};
+	if(typeof requestId !== 'string' && typeof requestId !== 'number') {
+		logger.debug({ requestId }, 'Cancellation without a valid requestId ignored');
+		return;
+	}
+	const controller = inFlightRequests.get(inFlightKey(context, requestId));
+	if(!controller) {
+		logger.debug({ requestId }, 'Cancellation for unknown request ignored');
+		return;
+	}
+	logger.info({ requestId, reason }, 'Cancelling MCP request');
+	controller.abort(reason);
+}
+
+/**
+ * Routes a method to the MCP lifecycle handlers or to the server methods.
+ * @param {string} method - Method name.
+ * @param {object} params - Method parameters.
+ * @param {RequestContext} context - Request context.
+ * @returns {Promise<object>} The method result.
+ */
+async function dispatchMethod(method, params, context) {
+	switch(method) {
+		case 'initialize': {
+			const result = buildInitializeResult(params);
+			logger.info({
+				clientInfo: params?.clientInfo,
+				protocolVersion: result.protocolVersion,
+			}, 'MCP client initialized');
+			return result;
+		}
+		case 'ping':
+			return {};
+		case 'logging/setLevel':
+			return handleSetLogLevel(params, context);
+		case 'tools/list':
+			return {
+				tools: listTools({ listed: true })
+					.filter(tool => hasScopes(context.principal, tool.scopes))
+					.map(toToolDefinition),
+			};
+		case 'tools/call':
+			return handleToolsCall(params, context);
+		case 'resources/list':
+			return {
+				resources: listResources().filter(resource =>
+					hasScopes(context.principal, matchResource(resource.uri).template.scopes)),
+			};
+		case 'resources/templates/list':
+			return {
+				resourceTemplates: listResourceTemplates()
+					.filter(template => hasScopes(context.principal, template.scopes))
+					.map(toResourceTemplateDefinition),
+			};
+		case 'resources/read':
+			return handleResourcesRead(params, context);
+		case 'resources/subscribe':
+			return handleResourcesSubscribe(params, context);
+		case 'resources/unsubscribe':
+			return handleResourcesUnsubscribe(params, context);
+		case 'prompts/list':
+			return {
+				prompts: listPrompts()
+					.filter(prompt => hasScopes(context.principal, prompt.scopes))
+					.map(toPromptDefinition),
+			};
+		case 'prompts/get':
+			return handlePromptsGet(params, context);
+		default:
+			return executeMethod(method, params, context);
+	}
+}
+
+/**
+ * Splits the `no_cache` flag off request params. Every cached method and `resources/read`
+ * accept it to skip cached results; the fresh result is cached as usual.
+ * @param {*} params - Request params.
+ * @returns {{ params: *, noCache: boolean }} The params without the flag, and the flag.
+ */
+function takeNoCacheFlag(params) {
+	if(!params || typeof params !== 'object' || Array.isArray(params) || !('no_cache' in params)) {
+		return { params, noCache: false };
+	}
+	const { no_cache: noCache, ...rest } = params;
+	return { params: rest, noCache: noCache === true };
+}
+
+/**
+ * Runs a registered method by name, going through the memory/Redis cache according to the
+ * tool's cache policy (see src/cache.js). Used both by the legacy JSON-RPC method names and by MCP `tools/call`.
+ * Parameters are validated first, so handlers and cache keys see normalized values with
+ * defaults applied.
+ * @param {string} method - Method name (e.g. 'solana_wallet_overview').
+ * @param {object} params - Method parameters.
+ * @param {RequestContext} context - Request context passed through to the handler.
+ * @returns {Promise<object>} The method result.
+ */
+async function executeMethod(method, params, context) {
+	const tool = getTool(method);
+
+	if(!tool) {
+		logger.warn({ method }, 'Method not found');
+		const error = new Error(`Method '${ method }' not found`);
+		error.code = -32601;
+		throw error;
+	}
+
+	assertScopes(method, tool.scopes, context);
+	const { params: methodParams, noCache } = takeNoCacheFlag(params);
+	params = validateParams(tool.schema, methodParams, method);
+
+	const cached = await getOrCompute(cacheKey(method, params), tool.cache, async ({ background = false } = {}) => {
+		// Background refreshes outlive the request, so they must not notify its client
+		const handlerContext = background ? { ...context, notify: () => {}, log: () => {}, progress: () => {} } : context;
+		const result = await tool.handler(params, handlerContext);
+		checkStructuredContent(tool, result);
+		return result;
+	}, { refresh: noCache, signal: context.signal });
+	return withCacheAge(cached);
+}
+
+/**
+ * Marks a result served from the cache with its age in `_meta.cache`. Stale results also get
+ * a note in their content, so models know the data may have moved.
+ * @param {import('../cache.js').CachedValue} cached - Result returned by `getOrCompute`.
+ * @returns {object} The result.
+ */
+function withCacheAge(cached) {
+	const age = cacheAge(cached);
+	if(!age) {
+		return cached.value;
+	}
+	const result = { ...cached.value, _meta: { ...cached.value._meta, cache: age } };
+	if(age.stale && Array.isArray(result.content)) {
+		result.content = [
+			...result.content,
+			{ type: 'text', text: `Note: this data was cached ${ age.ageSeconds } seconds ago and is being refreshed.` },
+		];
+	}
+	return result;
+}
+
+/**
+ * Logs a warning when a result's `structuredContent` drifts from the tool's declared output
+ * schema. The result is still returned, since the text content remains usable.
+ * @param {import('../tools/registry.js').Tool} tool - The tool.
+ * @param {object} result - The handler result.
+ */
+function checkStructuredContent(tool, result) {
+	if(!tool.outputSchema || !result?.structuredContent) {
+		return;
+	}
+	const parsed = tool.outputSchema.safeParse(result.structuredContent);
+	if(!parsed.success) {
+		logger.warn({
+			method: tool.name,
+			issues: parsed.error.issues.map(issue => `${ issue.path.join('.') }: ${ issue.message }`),
+		}, 'structuredContent does not match the output schema');
+	}
+}
+
+/**
+ * Throws a -32003 error unless the caller holds the given scopes.
+ * @param {string} target - Method name or resource URI, for the error message.
+ * @param {Array<string>} scopes - Required scopes.
+ * @param {RequestContext} context - Request context.
+ */
+function assertScopes(target, scopes, context) {
+	if(hasScopes(context.principal, scopes)) {
+		return;
+	}
+	logger.warn({ target, principal: context.principal?.id }, 'Missing scopes');
+	const error = new Error(`Forbidden: '${ target }' requires scopes ${ scopes.join(', ') }`);
+	error.code = -32003;
+	error.data = { requiredScopes: scopes };
+	throw error;
+}
+
+/**
+ * Handles MCP `tools/call` by dispatching to the handler of the named tool.
+ * Invalid arguments and missing scopes surface as JSON-RPC errors; failures while running the tool are
+ * reported inside the result with `isError: true` so the model can see and react to them.
+ * @param {object} params - The `tools/call` params.
+ * @param {string} params.name - Tool name as returned by `tools/list`.
+ * @param {object} [params.arguments={}] - Tool arguments.
+ * @param {RequestContext} context - Request context passed through to the handler.
+ * @returns {Promise<object>} The CallToolResult payload.
+ */
+async function handleToolsCall({ name, arguments: toolArguments = {} } = {}, context) {
+	if(!name || !getTool(name)?.listed) {
+		const error = new Error(`Unknown tool: ${ name }`);
+		error.code = -32602;
+		throw error;
+	}
+
+	try {
+		return await executeMethod(name, toolArguments, context);
+	} catch(error) {
+		if(error.code === -32602 || error.code === -32003) {
+			throw error;
+		}
+		return {
+			content: [ { type: 'text', text: error.message } ],
+			isError: true,
+		};
+	}
+}
+
+/**
+ * Finds the template of a resource URI, checks the caller's scopes and validates the variables.
+ * @param {string} uri - Resource URI.
+ * @param {RequestContext} context - Request context.
+ * @returns {{ template: import('../resources/registry.js').ResourceTemplate, variables: object }}
+ */
+function resolveResource(uri, context) {
+	const match = typeof uri === 'string' ? matchResource(uri) : null;
+	if(!match) {
+		const error = new Error(`Resource not found: ${ uri }`);
+		error.code = -32002;
+		error.data = { uri };
+		throw error;
+	}
+	assertScopes(uri, match.template.scopes, context);
+	return {
+		template: match.template,
+		variables: validateParams(match.template.schema, match.variables, uri),
+	};
+}
+
+/**
+ * Handles MCP `resources/read`, going through the cache according to the template's policy.
+ * @param {object} params - The `resources/read` params.
+ * @param {string} params.uri - Resource URI.
+ * @param {boolean} [params.no_cache] - Skip the cached contents.
+ * @param {RequestContext} context - Request context passed through to the reader.
+ * @returns {Promise<object>} The ReadResourceResult payload.
+ */
+async function handleResourcesRead({ uri, no_cache } = {}, context) {
+	const { template, variables } = resolveResource(uri, context);
+	const cached = await getOrCompute(`resource:${ uri }`, template.cache, () => template.read(variables, context), {
+		refresh: no_cache === true,
+		signal: context.signal,
+	});
+	const age = cacheAge(cached);
+	return {
+		contents: annotateUntrustedContents([ toResourceContents(template, uri, cached.value) ], uri),
+		...(age && { _meta: { cache: age } }),
+	};
+}
+
+/**
+ * Handles MCP `resources/subscribe`. Updates are pushed on the session's stream, so the
+ * request must belong to a session.
+ * @param {object} params - The `resources/subscribe` params.
+ * @param {string} params.uri - Resource URI.
+ * @param {RequestContext} context - Request context.
+ * @returns {object} An empty result.
+ */
+function handleResourcesSubscribe({ uri } = {}, context) {
+	const { template, variables } = resolveResource(uri, context);
+	if(!template.subscribable) {
+		const error = new Error(`Resource '${ uri }' does not support subscriptions`);
+		error.code = -32602;
+		throw error;
+	}
+	if(!context.session?.send) {
+		const error = new Error('resources/subscribe requires a session (send the Mcp-Session-Id header)');
+		error.code = -32600;
+		throw error;
+	}
+	subscribe(context.session, uri, template, variables);
+	return {};
+}
+
+/**
+ * Handles MCP `resources/unsubscribe`.
+ * @param {object} params - The `resources/unsubscribe` params.
+ * @param {string} params.uri - Resource URI.
+ * @param {RequestContext} context - Request context.
+ * @returns {object} An empty result.
+ */
+function handleResourcesUnsubscribe({ uri } = {}, context) {
+	if(context.session) {
+		unsubscribe(context.session, uri);
+	}
+	return {};
+}
+
+/**
+ * Handles MCP `prompts/get` by rendering the named prompt with the given arguments.
+ * @param {object} params - The `prompts/get` params.
+ * @param {string} params.name - Prompt name as returned by `prompts/list`.
+ * @param {object} [params.arguments={}] - Prompt arguments (strings).
+ * @param {RequestContext} context - Request context.
+ * @returns {object} The GetPromptResult payload.
+ */
+function handlePromptsGet({ name, arguments: promptArguments = {} } = {}, context) {
+	const prompt = name ? getPrompt(name) : undefined;
+	if(!prompt) {
+		const error = new Error(`Unknown prompt: ${ name }`);
+		error.code = -32602;
+		throw error;
+	}
+	assertScopes(name, prompt.scopes, context);
+	return {
+		description: prompt.description,
+		messages: prompt.render(validateParams(prompt.schema, promptArguments, name)),
+	};
+}
+
+/**
+ * Handles MCP `logging/setLevel`, which sets the minimum level of log notifications sent to
+ * the client for the rest of the session.
+ * @param {object} params - The `logging/setLevel` params.
+ * @param {string} params.level - One of the RFC 5424 level names.
+ * @param {RequestContext} context - Request context.
+ * @returns {object} An empty result.
+ */
+function handleSetLogLevel({ level } = {}, context) {
+	if(!LOG_LEVELS.includes(level)) {
+		const error = new Error(`Invalid log level '${ level }'. Expected one of: ${ LOG_LEVELS.join(', ') }`);
+		error.code = -32602;
+		throw error;
+	}
+	if(context.session) {
+		context.session.logLevel = level;
+	}
+	return {};
+}
@@ -0,0 +1,240 @@
+import logger from '../logger.js';
+import { handlePayload, internalErrorResponse } from './dispatcher.js';
+import { SUPPORTED_PROTOCOL_VERSIONS } from './protocol.js';
+import {
+	attachStream,
+	createSession,
+	deleteSession,
+	getSession,
+	openSseStream,
+	sendToSession,
+	writeSseMessage,
+} from './sessions.js';
+
+/**
+ * @fileoverview Express handlers implementing the MCP Streamable HTTP transport on `/mcp`.
+ * - POST carries one client message or a JSON-RPC batch. Requests are answered with JSON, or
+ *   with an event stream when the client accepts `text/event-stream`, so notifications can
+ *   precede the response.
+ * - GET opens an event stream for server-initiated messages of a session.
+ * - DELETE terminates a session.
+ *
+ * Sessions are optional: requests without `Mcp-Session-Id` are served statelessly so existing
+ * scripts keep working, but an unknown session ID is rejected with 404.
+ * @see https://modelcontextprotocol.io/specification/2025-06-18/basic/transports#streamable-http
+ */
+
+/**
+ * Builds a JSON-RPC error response.
+ * @param {number} code - JSON-RPC error code.
+ * @param {string} message - Error message.
+ * @param {string|number|null} [id=null] - Request ID.
+ * @returns {object} The JSON-RPC response.
+ */
+function rpcError(code, message, id = null) {
+	return {
+		jsonrpc: '2.0',
+		error: { code, message },
+		id,
+	};
+}
+
+/**
+ * Maps a JSON-RPC response to the HTTP status sent with it. Batch responses are always 200,
+ * since each item carries its own result or error.
+ * @param {object|Array<object>} response - The JSON-RPC response or batch of responses.
+ * @returns {number} The HTTP status code.
+ */
+function httpStatusForResponse(response) {
+	if(Array.isArray(response) || !response.error) {
+		return 200;
+	}
+	switch(response.error.code) {
+		case -32600:
+			return 400;
+		case -32601:
+		case -32002:
+			return 404;
+		case -32003:
+			return 403;
+		case -32004:
+			return 429;
+		case -32005:
+			return 503;
+		default:
+			return 500;
+	}
+}
+
+/**
+ * Whether a message is a request, i.e. expects a response.
+ * @param {object} message - A JSON-RPC message.
+ * @returns {boolean}
+ */
+function isRequest(message) {
+	return typeof message?.method === 'string' && 'id' in message;
+}
+
+/**
+ * Whether the client explicitly listed `text/event-stream` in its Accept header.
+ * `*\/*` is not enough: plain fetch() callers send it and expect JSON.
+ * @param {import('express').Request} req - The request.
+ * @returns {boolean}
+ */
+function acceptsEventStream(req) {
+	return (req.get('accept') || '').includes('text/event-stream');
+}
+
+/**
+ * Resolves the session named by the `Mcp-Session-Id` header, answering the request
+ * with an error when the header is missing (and required) or the session is unknown.
+ * @param {import('express').Request} req - The request.
+ * @param {import('express').Response} res - The response.
+ * @param {boolean} required - Whether the header must be present.
+ * @returns {object|null|undefined} The session, null when absent and optional, undefined when an error was sent.
+ */
+function resolveSession(req, res, required) {
+	const sessionId = req.get('mcp-session-id');
+	if(!sessionId) {
+		if(required) {
+			res.status(400).json(rpcError(-32600, 'Mcp-Session-Id header is required'));
+			return undefined;
+		}
+		return null;
+	}
+	const session = getSession(sessionId);
+	// A session belongs to the API key that created it
+	if(!session || session.principalId !== req.principal?.id) {
+		res.status(404).json(rpcError(-32001, 'Session not found', req.body?.id ?? null));
+		return undefined;
+	}
+	return session;
+}
+
+/**
+ * POST /mcp
+ * @param {import('express').Request} req - The request.
+ * @param {import('express').Response} res - The response.
+ */
+export async function handlePost(req, res) {
+	const payload = req.body;
+	const isBatch = Array.isArray(payload);
+
+	logger.info({
+		method: isBatch ? undefined : payload?.method,
+		id: isBatch ? undefined : payload?.id,
+		batchSize: isBatch ? payload.length : undefined,
+		ip: req.ip,
+		sessionId: req.get('mcp-session-id'),
+		requestId: `${ Date.now() }-${ Math.random().toString(36).substring(2, 15) }`,
+	}, 'MCP request received');
+
+	const protocolVersion = req.get('mcp-protocol-version');
+	if(protocolVersion && !SUPPORTED_PROTOCOL_VERSIONS.includes(protocolVersion)) {
+		return res.status(400).json(rpcError(-32600, `Unsupported MCP-Protocol-Version: ${ protocolVersion }`));
+	}
+
+	const isInitialize = !isBatch && payload?.method === 'initialize';
+	let session;
+	if(isInitialize) {
+		session = createSession(req.principal);
+		res.set('Mcp-Session-Id', session.id);
+	} else {
+		session = resolveSession(req, res, false);
+		if(session === undefined) {
+			return;
+		}
+	}
+
+	let streamOpen = false;
+	try {
+		const expectsResponse = isBatch ? payload.some(isRequest) : isRequest(payload);
+		if(expectsResponse && !isInitialize && acceptsEventStream(req)) {
+			openSseStream(res);
+			streamOpen = true;
+			const response = await handlePayload(payload, {
+				session,
+				principal: req.principal,
+				sendNotification: notification => writeSseMessage(res, notification),
+			});
+			if(response) {
+				writeSseMessage(res, response);
+			}
+			return res.end();
+		}
+
+		const response = await handlePayload(payload, {
+			session,
+			principal: req.principal,
+			sendNotification: notification => session && sendToSession(session, notification),
+		});
+
+		if(isInitialize) {
+			if(response?.result) {
+				session.protocolVersion = response.result.protocolVersion;
+				session.clientInfo = payload.params?.clientInfo;
+			} else {
+				deleteSession(session.id);
+				res.removeHeader('Mcp-Session-Id');
+			}
+		}
+
+		if(!response) {
+			return res.status(202).end();
+		}
+
+		const retryAfterMs = response.error?.data?.retryAfterMs;
+		if(retryAfterMs !== undefined) {
+			res.set('Retry-After', String(Math.ceil(retryAfterMs / 1000)));
+		}
+		res.status(httpStatusForResponse(response)).json(response);
+	} catch(error) {
+		logger.error({ error: error.message, sessionId: session?.id }, 'Unhandled error processing MCP request');
+		if(isInitialize) {
+			deleteSession(session.id);
+		}
+		const response = internalErrorResponse(payload) ?? rpcError(-32603, 'Internal error');
+		if(streamOpen) {
+			if(!res.writableEnded) {
+				writeSseMessage(res, response);
+				res.end();
+			}
+		} else if(!res.headersSent) {
+			if(isInitialize) {
+				res.removeHeader('Mcp-Session-Id');
+			}
+			res.status(500).json(response);
+		}
+	}
+}
+
+/**
+ * GET /mcp - opens the session's stream for server-initiated messages.
+ * @param {import('express').Request} req - The request.
+ * @param {import('express').Response} res - The response.
+ */
+export function handleGet(req, res) {
+	if(!acceptsEventStream(req)) {
+		return res.status(406).json(rpcError(-32600, 'Accept header must include text/event-stream'));
+	}
+	const session = resolveSession(req, res, true);
+	if(!session) {
+		return;
+	}
+	logger.debug({ sessionId: session.id }, 'MCP event stream opened');
+	attachStream(session, res);
+}
+
+/**
+ * DELETE /mcp - terminates the session.
+ * @param {import('express').Request} req - The request.
+ * @param {import('express').Response} res - The response.
+ */
+export function handleDelete(req, res) {
+	const session = resolveSession(req, res, true);
+	if(!session) {
+		return;
+	}
+	deleteSession(session.id);
+	res.status(204).end();
+}
@@ -0,0 +1,70 @@
+/**
+ * @fileoverview MCP lifecycle helpers: protocol version negotiation and the
+ * server identity/capabilities reported to clients during `initialize`.
+ * @see https://modelcontextprotocol.io/specification/2025-06-18/basic/lifecycle
+ */
+
+/**
+ * Protocol revisions this server understands, newest first.
+ * @type {Array<string>}
+ */
+export const SUPPORTED_PROTOCOL_VERSIONS = [ '2025-06-18', '2025-03-26', '2024-11-05' ];
+
+/**
+ * The revision offered when the client asks for one we do not support.
+ * @type {string}
+ */
+export const LATEST_PROTOCOL_VERSION = SUPPORTED_PROTOCOL_VERSIONS[0];
+
+/**
+ * Implementation details sent back as `serverInfo`.
+ * @type {{name: string, title: string, version: string}}
+ */
+export const SERVER_INFO = {
+	name: 'mcp-solana-analytics',
+	title: 'MCP Solana Analytics - Powered by Vybe API',
+	version: '1.0.0',
+};
+
+/**
+ * Capabilities advertised to every client.
+ * @type {object}
+ */
+export const SERVER_CAPABILITIES = {
+	tools: { listChanged: false },
+	resources: { subscribe: true, listChanged: false },
+	prompts: { listChanged: false },
+	logging: {},
+};
+
+/**
+ * Picks the protocol version to use for a session. Per the spec, the server answers with
+ * the requested version if it supports it, otherwise with the latest version it supports,
+ * and the client decides whether to continue.
+ * @param {string} [requestedVersion] - The `protocolVersion` sent by the client.
+ * @returns {string} The negotiated protocol version.
+ */
+export function negotiateProtocolVersion(requestedVersion) {
+	if(requestedVersion && SUPPORTED_PROTOCOL_VERSIONS.includes(requestedVersion)) {
+		return requestedVersion;
+	}
+	return LATEST_PROTOCOL_VERSION;
+}
+
+/**
+ * Builds the result of an `initialize` request.
+ * @param {object} [params={}] - The `initialize` params.
+ * @param {string} [params.protocolVersion] - Version requested by the client.
+ * @returns {object} The InitializeResult payload.
+ */
+export function buildInitializeResult(params = {}) {
+	return {
+		protocolVersion: negotiateProtocolVersion(params.protocolVersion),
+		capabilities: SERVER_CAPABILITIES,
+		serverInfo: SERVER_INFO,
+		instructions: 'Solana on-chain analytics (wallets, tokens, programs, trades) backed by the Vybe API. ' +
+			'Use tools/list to discover the available solana_* tools, and resources/templates/list for solana:// ' +
+			'resources (wallet tokens, tokens, programs) that can be attached as context. prompts/list offers ' +
+			'ready-made analyses (token due diligence, wallet summary, wallet comparison).',
+	};
+}
@@ -0,0 +1,149 @@
+import { randomUUID } from 'crypto';
+import logger from '../logger.js';
+import { unsubscribeAll } from '../resources/subscriptions.js';
+
+/**
+ * @fileoverview In-process registry of Streamable HTTP sessions. A session is created by
+ * `initialize`, identified by the `Mcp-Session-Id` header, and holds the open GET streams
+ * used to push server-initiated messages to the client.
+ */
+
+const SESSION_IDLE_TIMEOUT_MS = parseInt(process.env.MCP_SESSION_IDLE_TIMEOUT_MS || '', 10) || 30 * 60 * 1000;
+const KEEPALIVE_INTERVAL_MS = 25 * 1000;
+
+/**
+ * @typedef {object} McpSession
+ * @property {string} id - Session ID sent in the `Mcp-Session-Id` header.
+ * @property {string} [principalId] - ID of the API key owner that created the session.
+ * @property {string} [protocolVersion] - Protocol version negotiated during `initialize`.
+ * @property {object} [clientInfo] - Client name and version sent during `initialize`.
+ * @property {string} logLevel - Minimum level of `notifications/message` sent to the client.
+ * @property {Set<import('express').Response>} streams - Open GET event streams.
+ * @property {number} createdAt - Creation timestamp (ms).
+ * @property {number} lastSeen - Timestamp of the last request in this session (ms).
+ * @property {function(object): boolean} send - Pushes a server-initiated message on the session's GET stream.
+ */
+
+/** @type {Map<string, McpSession>} */
+const sessions = new Map();
+
+/**
+ * Creates a new session.
+ * @param {import('../auth.js').Principal|null} [principal=null] - The caller that owns the session.
+ * @returns {McpSession} The session.
+ */
+export function createSession(principal = null) {
+	const session = {
+		id: randomUUID(),
+		principalId: principal?.id,
+		logLevel: 'info',
+		streams: new Set(),
+		createdAt: Date.now(),
+		lastSeen: Date.now(),
+		send: message => sendToSession(session, message),
+	};
+	sessions.set(session.id, session);
+	logger.debug({ sessionId: session.id }, 'MCP session created');
+	return session;
+}
+
+/**
+ * Looks up a session and marks it as active.
+ * @param {string} sessionId - Session ID.
+ * @returns {McpSession|undefined} The session, if it exists.
+ */
+export function getSession(sessionId) {
+	const session = sessions.get(sessionId);
+	if(session) {
+		session.lastSeen = Date.now();
+	}
+	return session;
+}
+
+/**
+ * Terminates a session, closes its event streams and drops its resource subscriptions.
+ * @param {string} sessionId - Session ID.
+ * @returns {boolean} Whether the session existed.
+ */
+export function deleteSession(sessionId) {
+	const session = sessions.get(sessionId);
+	if(!session) {
+		return false;
+	}
+	session.streams.forEach(stream => stream.end());
+	unsubscribeAll(session);
+	sessions.delete(sessionId);
+	logger.debug({ sessionId }, 'MCP session terminated');
+	return true;
+}
+
+/**
+ * Writes one JSON-RPC message as a server-sent event.
+ * @param {import('express').Response} res - An open event stream.
+ * @param {object} message - The JSON-RPC message.
+ */
+export function writeSseMessage(res, message) {
+	if(res.writableEnded || res.destroyed) {
+		return;
+	}
+	res.write(`event: message\ndata: ${ JSON.stringify(message) }\n\n`);
+}
+
+/**
+ * Starts an event stream response with the headers required by the SSE format.
+ * @param {import('express').Response} res - The response to turn into an event stream.
+ */
+export function openSseStream(res) {
+	res.status(200).set({
+		'Content-Type': 'text/event-stream',
+		'Cache-Control': 'no-cache, no-transform',
+		'Connection': 'keep-alive',
+	});
+	res.flushHeaders();
+}
+
+/**
+ * Registers a GET stream on which server-initiated messages are delivered.
+ * @param {McpSession} session - The owning session.
+ * @param {import('express').Response} res - The stream response.
+ */
+export function attachStream(session, res) {
+	openSseStream(res);
+	session.streams.add(res);
+
+	// Comment lines keep proxies from closing an idle stream
+	const keepalive = setInterval(() => res.write(': keepalive\n\n'), KEEPALIVE_INTERVAL_MS);
+	keepalive.unref();
+
+	res.on('close', () => {
+		clearInterval(keepalive);
+		session.streams.delete(res);
+	});
+}
+
+/**
+ * Sends a server-initiated message on the session's GET streams. The message is dropped when
+ * the client has no stream open, which the spec allows for notifications.
+ * @param {McpSession} session - Target session.
+ * @param {object} message - The JSON-RPC message.
+ * @returns {boolean} Whether the message was written to at least one stream.
+ */
+export function sendToSession(session, message) {
+	// A message must go out on only one of the client's streams
+	const [ stream ] = session.streams;
+	if(!stream) {
+		return false;
+	}
+	writeSseMessage(stream, message);
+	return true;
+}
+
+const sweeper = setInterval(() => {
+	const cutoff = Date.now() - SESSION_IDLE_TIMEOUT_MS;
+	sessions.forEach(session => {
+		if(session.lastSeen < cutoff && session.streams.size === 0) {
+			deleteSession(session.id);
+		}
+	});
+}, 60 * 1000);
+sweeper.unref();
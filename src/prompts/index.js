@@ -0,0 +1,8 @@
+import './solana-prompts.js';
+
+/**
+ * @fileoverview Entry point of the prompt registry. Importing it registers every prompt; new
+ * prompt modules must be imported here.
+ */
+
+export { getPrompt, listPrompts, toPromptDefinition } from './registry.js';
@@ -0,0 +1,81 @@
+/**
+ * @fileoverview Registry of the MCP prompt templates served by `prompts/list` and `prompts/get`.
+ * Each prompt validates its arguments with a zod schema and renders the messages that walk the
+ * model through the relevant tools.
+ * @see https://modelcontextprotocol.io/specification/2025-06-18/server/prompts
+ */
+
+/**
+ * @typedef {object} Prompt
+ * @property {string} name - Prompt name.
+ * @property {string} title - Short human readable title.
+ * @property {string} description - What the prompt is for.
+ * @property {import('zod').AnyZodObject} schema - Schema of the arguments.
+ * @property {function(object): Array<object>} render - Builds the prompt messages from validated arguments.
+ * @property {Array<string>} scopes - Scopes the caller needs (see src/auth.js).
+ */
+
+/** @type {Map<string, Prompt>} */
+const prompts = new Map();
+
+/**
+ * Registers a prompt.
+ * @param {object} prompt - The prompt definition; `scopes` is optional.
+ * @returns {Prompt} The registered prompt.
+ */
+export function registerPrompt({ name, title, description, schema, render, scopes = [] }) {
+	if(prompts.has(name)) {
+		throw new Error(`Prompt '${ name }' is already registered`);
+	}
+	const prompt = { name, title, description, schema, render, scopes };
+	prompts.set(name, prompt);
+	return prompt;
+}
+
+/**
+ * Looks up a registered prompt by name.
+ * @param {string} name - Prompt name.
+ * @returns {Prompt|undefined} The prompt, if registered.
+ */
+export function getPrompt(name) {
+	return prompts.get(name);
+}
+
+/**
+ * Lists registered prompts in registration order.
+ * @returns {Array<Prompt>}
+ */
+export function listPrompts() {
+	return [ ...prompts.values() ];
+}
+
+/**
+ * Prompt descriptor in the shape returned by `prompts/list`. Arguments are derived from the
+ * schema: fields with a default or marked optional are not required.
+ * @param {Prompt} prompt - The prompt.
+ * @returns {{ name: string, title: string, description: string, arguments: Array<object> }}
+ */
+export function toPromptDefinition(prompt) {
+	return {
+		name: prompt.name,
+		title: prompt.title,
+		description: prompt.description,
+		arguments: Object.entries(prompt.schema.shape).map(([ name, field ]) => ({
+			name,
+			description: field.description,
+			required: !field.isOptional(),
+		})),
+	};
+}
+
+/**
+ * A single user message with text content.
+ * @param {string} text - The message text.
+ * @returns {object} The PromptMessage.
+ */
+export function userMessage(text) {
+	return {
+		role: 'user',
+		content: { type: 'text', text },
+	};
+}
@@ -0,0 +1,83 @@
+import { SCOPES } from '../auth.js';
+import { SOLANA_PROMPT_SCHEMAS } from '../schemas/solana-schemas.js';
+import { registerPrompt, userMessage } from './registry.js';
+
+/**
+ * @fileoverview Registers the analysis prompts analysts use most. Each one names the tools to
+ * call and their order, so the model gathers the same evidence every time before answering.
+ */
+
+registerPrompt({
+	name: 'token_due_diligence',
+	title: 'Token due diligence',
+	description: 'Reviews a token\'s fundamentals, holder concentration, price action and recent activity, and flags risks.',
+	schema: SOLANA_PROMPT_SCHEMAS.token_due_diligence,
+	scopes: [ SCOPES.SOLANA_READ ],
+	render: ({ mint, days }) => [
+		userMessage(`Perform due diligence on the Solana token ${ mint }.
+
+Call these tools in order:
+1. solana_token_details with mint_address "${ mint }" for name, symbol, supply, price and 24h volume.
+2. solana_token_holders with mint_address "${ mint }" and limit 20 to measure holder concentration.
+3. solana_token_ohlc with mint_address "${ mint }", resolution "1d" and limit ${ days } for the last ${ days } days of price action.
+4. solana_token_transfers with mint_address "${ mint }" and limit 20 to check recent on-chain activity.
+
+Then write a report with:
+- Overview: what the token is, market price and volume.
+- Holder concentration: share held by the top 10 and top 20 holders, and whether any single holder dominates.
+- Price action: trend, volatility and notable moves over the period.
+- Activity: transfer sizes and patterns worth attention.
+- Risks: a short list of red flags, and an overall risk level (low, medium or high) with the reasons.
+
+Only use data returned by the tools; say so when a figure is not available.`),
+	],
+});
+
+registerPrompt({
+	name: 'wallet_trading_summary',
+	title: 'Wallet trading summary',
+	description: 'Summarizes a wallet\'s holdings and trading performance.',
+	schema: SOLANA_PROMPT_SCHEMAS.wallet_trading_summary,
+	scopes: [ SCOPES.SOLANA_READ ],
+	render: ({ address, period }) => [
+		userMessage(`Summarize the trading of the Solana wallet ${ address } over the last ${ period }.
+
+Call these tools in order:
+1. solana_wallet_overview with address "${ address }" for total value and portfolio size.
+2. solana_wallet_pnl with address "${ address }" and resolution "${ period }" for realized and unrealized profit and loss, win rate and trade count over the period.
+3. solana_wallet_tokens with address "${ address }" and limit 20 for the current largest positions.
+
+Then write a summary with:
+- Portfolio: total value and the largest positions.
+- Performance: profit and loss, win rate, volume and number of trades over the period.
+- Style: what the numbers suggest about how this wallet trades (frequency, size, concentration).
+- Notable points: anything unusual, such as outsized positions or a very high or low win rate.
+
+Only use data returned by the tools; say so when a figure is not available.`),
+	],
+});
+
+registerPrompt({
+	name: 'compare_wallets',
+	title: 'Compare wallets',
+	description: 'Compares several wallets by holdings, overlap and trading performance.',
+	schema: SOLANA_PROMPT_SCHEMAS.compare_wallets,
+	scopes: [ SCOPES.SOLANA_READ ],
+	render: ({ addresses }) => [
+		userMessage(`Compare these Solana wallets:
+${ addresses.map(address => `- ${ address }`).join('\n') }
+
+Call these tools in order:
+1. solana_cross_analysis with addresses ${ JSON.stringify(addresses) } for the number of tokens of each wallet and the tokens they share.
+2. solana_wallet_overview for each address, one call per wallet, for its total value.
+3. solana_wallet_pnl for each address, one call per wallet, for trading performance.
+
+Then write a comparison with:
+- A table with one row per wallet: total value, number of tokens, profit and loss, win rate and trade count.
+- Overlap: the tokens held in common and what they suggest (shared strategy, coordinated activity).
+- Differences: how the wallets differ in size, diversification and performance.
+- Conclusion: which wallet performs best and whether the wallets look related.
+
+Only use data returned by the tools; say so when a figure is not available.`),
+	],
+});
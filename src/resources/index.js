@@ -0,0 +1,15 @@
+import './solana-resources.js';
+
+/**
+ * @fileoverview Entry point of the resource registry. Importing it registers every resource
+ * template; new resource modules must be imported here.
+ */
+
+export {
+	listResourceTemplates,
+	listResources,
+	matchResource,
+	toResourceContents,
+	toResourceTemplateDefinition,
+} from './registry.js';
+export { subscribe, unsubscribe, unsubscribeAll } from './subscriptions.js';
@@ -0,0 +1,196 @@
+/**
+ * @fileoverview Registry of the MCP resource templates. A template maps a URI pattern such as
+ * `solana://token/{mint}` to a reader; `resources/templates/list`, `resources/read` and
+ * `resources/subscribe` are all derived from these entries. A few well-known instances are
+ * also registered as concrete resources for `resources/list`.
+ * @see https://modelcontextprotocol.io/specification/2025-06-18/server/resources
+ */
+
+/**
+ * @typedef {object} ResourceTemplate
+ * @property {string} name - Template name, also the key of its variables schema.
+ * @property {string} uriTemplate - RFC 6570 level 1 template, e.g. `solana://token/{mint}`.
+ * @property {string} title - Short human readable title.
+ * @property {string} description - What the resource contains.
+ * @property {string} mimeType - MIME type of the contents.
+ * @property {import('zod').ZodTypeAny} schema - Schema of the template variables.
+ * @property {function(object, object): Promise<*>} read - Receives validated variables and the request context.
+ * @property {import('../tools/registry.js').CachePolicy|false} cache - Cache policy for reads.
+ * @property {Array<string>} scopes - Scopes the caller needs (see src/auth.js).
+ * @property {boolean} subscribable - Whether clients may subscribe to updates (price-sensitive data).
+ * @property {RegExp} pattern - Matcher compiled from `uriTemplate`.
+ * @property {Array<string>} variables - Variable names, in the order they appear in the template.
+ */
+
+/**
+ * @typedef {object} ResourceMatch
+ * @property {ResourceTemplate} template - The matching template.
+ * @property {object} variables - Raw variable values extracted from the URI.
+ */
+
+/** @type {Map<string, ResourceTemplate>} */
+const templates = new Map();
+
+/** @type {Array<object>} */
+const resources = [];
+
+/**
+ * Escapes a string for literal use in a regular expression.
+ * @param {string} value - The string.
+ * @returns {string}
+ */
+function escapeRegExp(value) {
+	return value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Compiles a URI template into a matcher. Each `{variable}` matches one path segment.
+ * @param {string} uriTemplate - The template.
+ * @returns {{ pattern: RegExp, variables: Array<string> }}
+ */
+function compileUriTemplate(uriTemplate) {
+	const variables = [];
+	const source = uriTemplate.split(/(\{[^}]+\})/).map(part => {
+		const variable = part.match(/^\{([^}]+)\}$/);
+		if(variable) {
+			variables.push(variable[1]);
+			return '([^/?#]+)';
+		}
+		return escapeRegExp(part);
+	}).join('');
+	return { pattern: new RegExp(`^${ source }$`), variables };
+}
+
+/**
+ * Registers a resource template.
+ * @param {object} template - The template definition; `cache`, `scopes` and `subscribable` are optional.
+ * @returns {ResourceTemplate} The registered template.
+ */
+export function registerResourceTemplate({
+	name,
+	uriTemplate,
+	title,
+	description,
+	mimeType = 'application/json',
+	schema,
+	read,
+	cache = false,
+	scopes = [],
+	subscribable = false,
+}) {
+	if(templates.has(name)) {
+		throw new Error(`Resource template '${ name }' is already registered`);
+	}
+	const template = {
+		name,
+		uriTemplate,
+		title,
+		description,
+		mimeType,
+		schema,
+		read,
+		cache,
+		scopes,
+		subscribable,
+		...compileUriTemplate(uriTemplate),
+	};
+	templates.set(name, template);
+	return template;
+}
+
+/**
+ * Registers a concrete resource advertised in `resources/list`, built from a template.
+ * @param {string} templateName - Name of a registered template.
+ * @param {object} variables - Template variables.
+ * @param {object} details - `name`, `title` and `description` shown to clients.
+ * @returns {object} The resource descriptor.
+ */
+export function registerResource(templateName, variables, { name, title, description }) {
+	const template = templates.get(templateName);
+	if(!template) {
+		throw new Error(`Resource template '${ templateName }' is not registered`);
+	}
+	const resource = {
+		uri: expandUriTemplate(template, variables),
+		name,
+		title,
+		description,
+		mimeType: template.mimeType,
+	};
+	resources.push(resource);
+	return resource;
+}
+
+/**
+ * Lists the concrete resources advertised in `resources/list`.
+ * @returns {Array<object>}
+ */
+export function listResources() {
+	return [ ...resources ];
+}
+
+/**
+ * Lists registered templates in registration order.
+ * @returns {Array<ResourceTemplate>}
+ */
+export function listResourceTemplates() {
+	return [ ...templates.values() ];
+}
+
+/**
+ * Finds the template a URI belongs to.
+ * @param {string} uri - A concrete resource URI.
+ * @returns {ResourceMatch|null} The template and raw variables, or null when nothing matches.
+ */
+export function matchResource(uri) {
+	for(const template of templates.values()) {
+		const match = template.pattern.exec(uri);
+		if(match) {
+			const variables = Object.fromEntries(
+				template.variables.map((variable, index) => [ variable, decodeURIComponent(match[index + 1]) ]),
+			);
+			return { template, variables };
+		}
+	}
+	return null;
+}
+
+/**
+ * Expands a template with concrete variables.
+ * @param {ResourceTemplate} template - The template.
+ * @param {object} variables - Variable values.
+ * @returns {string} The resource URI.
+ */
+export function expandUriTemplate(template, variables) {
+	return template.uriTemplate.replace(/\{([^}]+)\}/g, (_, variable) => encodeURIComponent(variables[variable]));
+}
+
+/**
+ * Wraps data read from a template as `resources/read` contents.
+ * @param {ResourceTemplate} template - The template.
+ * @param {string} uri - The resource URI.
+ * @param {*} data - Data returned by the template reader.
+ * @returns {{ uri: string, mimeType: string, text: string }}
+ */
+export function toResourceContents(template, uri, data) {
+	return {
+		uri,
+		mimeType: template.mimeType,
+		text: JSON.stringify(data, null, 2),
+	};
+}
+
+/**
+ * Template descriptor in the shape returned by `resources/templates/list`.
+ * @param {ResourceTemplate} template - The template.
+ * @returns {{ uriTemplate: string, name: string, title: string, description: string, mimeType: string }}
+ */
+export function toResourceTemplateDefinition(template) {
+	return {
+		uriTemplate: template.uriTemplate,
+		name: template.name,
+		title: template.title,
+		description: template.description,
+		mimeType: template.mimeType,
+	};
+}
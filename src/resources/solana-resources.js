@@ -0,0 +1,63 @@
+import { SCOPES } from '../auth.js';
+import { SOLANA_RESOURCE_SCHEMAS } from '../schemas/solana-schemas.js';
+import { readProgramResource, readTokenResource, readWalletTokensResource } from '../handlers/resource-handlers.js';
+import { registerResource, registerResourceTemplate } from './registry.js';
+
+/**
+ * @fileoverview Registers the `solana://` resources. Wallet balances and token data move with
+ * prices, so those templates accept subscriptions; program details are static enough to be
+ * read on demand only.
+ */
+
+registerResourceTemplate({
+	name: 'wallet_tokens',
+	uriTemplate: 'solana://wallet/{address}/tokens',
+	title: 'Wallet token balances',
+	description: 'SPL token balances of a Solana wallet with USD values, largest first.',
+	schema: SOLANA_RESOURCE_SCHEMAS.wallet_tokens,
+	read: readWalletTokensResource,
+	cache: { ttl: 60 },
+	scopes: [ SCOPES.SOLANA_READ ],
+	subscribable: true,
+});
+
+registerResourceTemplate({
+	name: 'token',
+	uriTemplate: 'solana://token/{mint}',
+	title: 'Token details',
+	description: 'Details of a Solana token: name, symbol, price, supply, 24h change and volume.',
+	schema: SOLANA_RESOURCE_SCHEMAS.token,
+	read: readTokenResource,
+	cache: { ttl: 60 },
+	scopes: [ SCOPES.SOLANA_READ ],
+	subscribable: true,
+});
+
+registerResourceTemplate({
+	name: 'program',
+	uriTemplate: 'solana://program/{id}',
+	title: 'Program details',
+	description: 'Details of a Solana program (dApp): name, description, labels and activity.',
+	schema: SOLANA_RESOURCE_SCHEMAS.program,
+	read: readProgramResource,
+	cache: { ttl: 120, redisTtl: 300 },
+	scopes: [ SCOPES.SOLANA_READ ],
+});
+
+registerResource('token', { mint: 'So11111111111111111111111111111111111111112' }, {
+	name: 'token_wsol',
+	title: 'Wrapped SOL',
+	description: 'Details of the wrapped SOL token.',
+});
+
+registerResource('token', { mint: 'EPjFWdd5AufqSSqeM2qN1xzybapC8G4wEGGkZwyTDt1v' }, {
+	name: 'token_usdc',
+	title: 'USDC',
+	description: 'Details of the USDC stablecoin.',
+});
+
+registerResource('program', { id: 'JUP6LkbZbjS1jKKwapdHNy74zcZ3tLUZoi5QNyVTaV4' }, {
+	name: 'program_jupiter',
+	title: 'Jupiter Aggregator v6',
+	description: 'Details of the Jupiter swap aggregator program.',
+});
@@ -0,0 +1,108 @@
+import logger from '../logger.js';
+import { toResourceContents } from './registry.js';
+
+/**
+ * @fileoverview `resources/subscribe` support. Subscribed URIs are re-read on a fixed interval,
+ * bypassing the cache, and every subscribed session gets `notifications/resources/updated`
+ * when the contents change. The first read of a URI only records a baseline.
+ */
+
+const POLL_INTERVAL_MS = parseInt(process.env.MCP_RESOURCE_POLL_INTERVAL_MS || '', 10) || 30 * 1000;
+
+/**
+ * @typedef {object} Subscription
+ * @property {import('./registry.js').ResourceTemplate} template - Template the URI belongs to.
+ * @property {object} variables - Validated template variables.
+ * @property {Set<object>} sessions - Subscribed sessions; each exposes `send(message)`.
+ * @property {string} [lastText] - Contents seen by the previous poll.
+ */
+
+/** @type {Map<string, Subscription>} */
+const subscriptions = new Map();
+
+let pollTimer = null;
+let polling = false;
+
+/**
+ * Subscribes a session to a resource.
+ * @param {object} session - The session; must expose `send(message)`.
+ * @param {string} uri - Resource URI.
+ * @param {import('./registry.js').ResourceTemplate} template - Template the URI belongs to.
+ * @param {object} variables - Validated template variables.
+ */
+export function subscribe(session, uri, template, variables) {
+	if(!subscriptions.has(uri)) {
+		subscriptions.set(uri, { template, variables, sessions: new Set() });
+	}
+	subscriptions.get(uri).sessions.add(session);
+	logger.debug({ sessionId: session.id, uri }, 'Resource subscription added');
+
+	if(!pollTimer) {
+		pollTimer = setInterval(pollSubscriptions, POLL_INTERVAL_MS);
+		pollTimer.unref();
+	}
+}
+
+/**
+ * Removes a session's subscription to a resource.
+ * @param {object} session - The session.
+ * @param {string} uri - Resource URI.
+ */
+export function unsubscribe(session, uri) {
+	const subscription = subscriptions.get(uri);
+	if(!subscription) {
+		return;
+	}
+	subscription.sessions.delete(session);
+	if(subscription.sessions.size === 0) {
+		subscriptions.delete(uri);
+	}
+	if(subscriptions.size === 0 && pollTimer) {
+		clearInterval(pollTimer);
+		pollTimer = null;
+	}
+}
+
+/**
+ * Removes every subscription of a session, e.g. when it ends.
+ * @param {object} session - The session.
+ */
+export function unsubscribeAll(session) {
+	[ ...subscriptions.keys() ].forEach(uri => unsubscribe(session, uri));
+}
+
+/**
+ * Re-reads every subscribed resource and notifies the sessions whose resource changed.
+ * @returns {Promise<void>}
+ */
+async function pollSubscriptions() {
+	// A slow Vybe response must not stack polls on top of each other
+	if(polling) {
+		return;
+	}
+	polling = true;
+
+	try {
+		await Promise.all([ ...subscriptions ].map(async ([ uri, subscription ]) => {
+			try {
+				const data = await subscription.template.read(subscription.variables, {});
+				const { text } = toResourceContents(subscription.template, uri, data);
+				const changed = subscription.lastText !== undefined && subscription.lastText !== text;
+				subscription.lastText = text;
+
+				if(changed) {
+					logger.debug({ uri, subscribers: subscription.sessions.size }, 'Resource updated');
+					subscription.sessions.forEach(session => session.send({
+						jsonrpc: '2.0',
+						method: 'notifications/resources/updated',
+						params: { uri, title: subscription.template.title },
+					}));
+				}
+			} catch(error) {
+				logger.warn({ uri, error: error.message }, 'Error polling subscribed resource');
+			}
+		}));
+	} finally {
+		polling = false;
+	}
+}
@@ -0,0 +1,19 @@
+import { z } from 'zod';
+
+/**
+ * @fileoverview Parameter schemas for the administration methods.
+ */
+
+/**
+ * Parameter schema for every administration method, keyed by method name.
+ * @type {Object<string, z.ZodTypeAny>}
+ */
+export const ADMIN_PARAM_SCHEMAS = {
+	cache_invalidate: z.object({
+		method: z.string().min(1).optional().describe('Remove every cached result of this method'),
+		pattern: z.string().min(1).max(500).optional()
+			.describe('Remove the cached results whose key matches this Redis-style glob (keys are `<method>:<params as JSON>` and `resource:<uri>`)'),
+	}).refine(params => Boolean(params.method) !== Boolean(params.pattern), {
+		message: 'Exactly one of method or pattern is required',
+	}),
+};
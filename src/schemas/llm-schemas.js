@@ -0,0 +1,179 @@
+import { z } from 'zod';
+
+/**
+ * @fileoverview Parameter schemas for the language model and conversation context methods.
+ */
+
+const sessionId = z.string().min(1).max(200).describe('Session ID for context management');
+
+const maxTokens = z.coerce.number().int().min(1).max(32000).default(1000).describe('Maximum tokens to generate');
+
+const tools = z.union([
+	z.boolean(),
+	z.array(z.string().min(1)).min(1),
+])
+	.default(false)
+	.describe('Let the model call the solana_* tools: true for all of them, or an array of tool names');
+
+const maxSteps = z.coerce.number().int().min(1).max(10).default(5)
+	.describe('Maximum number of tool-calling rounds before the model must answer (with tools only)');
+
+const system = z.string().min(1).optional()
+	.describe('System prompt; replaces any system message in the conversation');
+
+const messages = z.array(z.object({
+	role: z.enum([ 'system', 'user', 'assistant' ]),
+	content: z.string().min(1),
+}))
+	.min(1)
+	.max(100)
+	.optional()
+	.describe('Full conversation to send instead of the stored session history, ending with a user message unless prompt is given');
+
+/**
+ * Sampling temperature, bounded by what the provider accepts.
+ * @param {number} max - Highest accepted value.
+ * @returns {z.ZodOptional<z.ZodNumber>}
+ */
+function temperature(max) {
+	return z.coerce.number().min(0).max(max).optional().describe(`Sampling temperature (0 to ${ max })`);
+}
+
+/**
+ * Stop sequences, bounded by how many the provider accepts.
+ * @param {number} max - Highest accepted number of sequences.
+ * @returns {z.ZodOptional<z.ZodArray<z.ZodString>>}
+ */
+function stopSequences(max) {
+	return z.array(z.string().min(1)).min(1).max(max).optional()
+		.describe(`Sequences that stop generation (up to ${ max })`);
+}
+
+const summarize = z.boolean().default(false)
+	.describe('Summarize turns that no longer fit the context window of the model instead of dropping them');
+
+const stream = z.boolean().default(false)
+	.describe('Relay the answer as notifications/generate/delta messages while it is generated');
+
+/**
+ * A generate call needs something to answer: a new prompt, a conversation, or both.
+ * @param {object} params - Parsed generate params.
+ * @returns {boolean}
+ */
+const promptOrMessages = params => Boolean(params.prompt || params.messages);
+
+const promptOrMessagesMessage = {
+	message: 'Either prompt or messages is required',
+	path: [ 'prompt' ],
+};
+
+/**
+ * Streaming relays the text of a single completion, so it cannot be combined with the tool loop.
+ * @param {object} params - Parsed generate params.
+ * @returns {boolean}
+ */
+const streamWithoutTools = params => !(params.stream && params.tools);
+
+const streamWithToolsMessage = {
+	message: 'stream cannot be combined with tools',
+	path: [ 'stream' ],
+};
+
+/**
+ * A message of a stored session, as returned by `session_get` and `session_export`.
+ */
+const sessionMessage = z.object({
+	role: z.enum([ 'system', 'user', 'assistant' ]),
+	content: z.string(),
+	createdAt: z.string().datetime({ offset: true }).optional(),
+	summary: z.boolean().optional(),
+});
+
+/**
+ * Schema of a generate method: the given provider-specific fields plus the conversation,
+ * tool-loop and delivery options shared by all of them.
+ * @param {object} shape - Prompt, model and sampling fields.
+ * @returns {z.ZodEffects<z.AnyZodObject>}
+ */
+function generateSchema(shape) {
+	return z.object({
+		...shape,
+		system,
+		messages,
+		max_tokens: maxTokens,
+		session_id: sessionId,
+		tools,
+		max_steps: maxSteps,
+		stream,
+		summarize,
+	})
+		.refine(promptOrMessages, promptOrMessagesMessage)
+		.refine(streamWithoutTools, streamWithToolsMessage);
+}
+
+/**
+ * Parameter schema for every LLM method, keyed by method name.
+ * @type {Object<string, z.ZodTypeAny>}
+ */
+export const LLM_PARAM_SCHEMAS = {
+	llm_generate: generateSchema({
+		prompt: z.string().min(1).optional().describe('The prompt to send to the model'),
+		model: z.string().min(1).optional()
+			.describe('Model to use; its provider is picked by name (defaults to LLM_DEFAULT_MODEL or gpt-4o)'),
+		provider: z.string().min(1).optional()
+			.describe('Provider of the model (openai, anthropic or local), overriding the choice by model name'),
+		fallback_models: z.array(z.string().min(1)).max(5).optional()
+			.describe('Models tried in order when the previous one keeps failing with a rate limit or server error (defaults to LLM_FALLBACK_MODELS)'),
+		temperature: temperature(2),
+		stop_sequences: stopSequences(4),
+	}),
+	openai_generate: generateSchema({
+		prompt: z.string().min(1).optional().describe('The prompt to send to OpenAI'),
+		model: z.string().min(1).default('gpt-4o').describe('OpenAI model to use'),
+		temperature: temperature(2),
+		stop_sequences: stopSequences(4),
+	}),
+	anthropic_generate: generateSchema({
+		prompt: z.string().min(1).optional().describe('The prompt to send to Anthropic'),
+		model: z.string().min(1).default('claude-3-5-sonnet-20240620').describe('Anthropic model to use'),
+		temperature: temperature(1),
+		stop_sequences: stopSequences(8),
+	}),
+	usage_report: z.object({
+		month: z.string().regex(/^\d{4}-(0[1-9]|1[0-2])$/, 'Must be a month in YYYY-MM format').optional()
+			.describe('Month to report (YYYY-MM, UTC); the current month by default'),
+		session_id: sessionId.optional().describe('Only report this session in the per-session breakdown'),
+		principal_id: z.string().min(1).optional()
+			.describe('API key owner to report on; other owners than the caller require the admin scope'),
+	}),
+	session_list: z.object({
+		limit: z.coerce.number().int().min(1).max(500).default(50).describe('Maximum number of sessions to list'),
+	}),
+	session_get: z.object({
+		session_id: sessionId,
+	}),
+	session_export: z.object({
+		session_id: sessionId.describe('Session ID to export'),
+	}),
+	session_import: z.object({
+		session: z.object({
+			version: z.literal(1),
+			sessionId: sessionId.optional(),
+			messages: z.array(sessionMessage).min(1).max(500),
+		}).describe('Document returned by session_export'),
+		session_id: sessionId.optional().describe('Session ID to import into; defaults to the ID in the document'),
+		overwrite: z.boolean().default(false).describe('Replace the session if it already exists'),
+	}).refine(params => params.session_id || params.session.sessionId, {
+		message: 'session_id is required when the document has no sessionId',
+		path: [ 'session_id' ],
+	}),
+	session_fork: z.object({
+		session_id: sessionId.describe('Session ID to fork'),
+		new_session_id: sessionId.optional().describe('Session ID of the fork; generated when omitted'),
+		message_count: z.coerce.number().int().min(1).optional()
+			.describe('Only copy the first N messages, to branch off from an earlier point'),
+	}),
+	clear_context: z.object({
+		session_id: sessionId.describe('Session ID to clear context for'),
+	}),
+};
@@ -0,0 +1,188 @@
+import { z } from 'zod';
+
+/**
+ * @fileoverview Schemas of the `structuredContent` returned by the `solana_*` tools, exported as
+ * each tool's `outputSchema` in `tools/list`. Vybe omits fields it has no data for, so most
+ * values are nullable; amounts and prices are plain numbers (USD where noted), timestamps are
+ * Unix seconds.
+ */
+
+const nullableNumber = description => z.number().nullable().describe(description);
+const nullableString = description => z.string().nullable().describe(description);
+
+const transfer = {
+	blockTime: nullableNumber('Block time (Unix seconds)'),
+	signature: nullableString('Transaction signature'),
+	senderAddress: nullableString('Sender wallet address'),
+	receiverAddress: nullableString('Receiver wallet address'),
+	amount: nullableNumber('Amount transferred, in token units'),
+	usdValue: nullableNumber('USD value of the transfer'),
+};
+
+const listingRange = {
+	timeRange: nullableString('Time range covered, when one was requested'),
+	complete: z.boolean().nullable().describe('Whether every result of the time range was listed; false when limit or the page cap cut the listing short, null without a time range'),
+};
+
+/**
+ * Output schema of every `solana_*` tool, keyed by tool name.
+ * @type {Object<string, z.AnyZodObject>}
+ */
+export const SOLANA_OUTPUT_SCHEMAS = {
+	solana_wallet_overview: z.object({
+		address: z.string(),
+		totalUsdValue: z.number().describe('Combined USD value of tokens and NFTs'),
+		tokenCount: z.number().int(),
+		nftCount: z.number().int(),
+	}),
+	solana_wallet_tokens: z.object({
+		address: z.string(),
+		tokens: z.array(z.object({
+			mintAddress: nullableString('Token mint address'),
+			symbol: nullableString('Token symbol'),
+			name: nullableString('Token name'),
+			amount: nullableNumber('Balance, in token units'),
+			valueUsd: nullableNumber('USD value of the balance'),
+		})).describe('Tokens sorted by USD value, largest first'),
+	}),
+	solana_wallet_nfts: z.object({
+		address: z.string(),
+		nfts: z.array(z.object({
+			name: nullableString('NFT or collection name'),
+			valueUsd: nullableNumber('USD valuation'),
+		})).describe('NFTs sorted by USD value, largest first'),
+	}),
+	solana_wallet_pnl: z.object({
+		address: z.string(),
+		resolution: nullableString('Period the figures cover, or null for all trades'),
+		totalPnlUsd: nullableNumber('Total profit and loss in USD'),
+		totalPnlPercent: nullableNumber('Total profit and loss, in percent'),
+		tradeCount: z.number().int(),
+		profitableTradeCount: z.number().int(),
+		winLossRatio: nullableNumber('Winning trades per losing trade'),
+	}),
+	solana_token_details: z.object({
+		mintAddress: z.string(),
+		name: nullableString('Token name'),
+		symbol: nullableString('Token symbol'),
+		price: nullableNumber('Price in USD'),
+		supply: nullableNumber('Total supply, in token units'),
+		priceChange24h: nullableNumber('Price change over 24 hours, in percent'),
+		volume24h: nullableNumber('Trading volume over 24 hours, in USD'),
+	}),
+	solana_token_price: z.object({
+		mintAddress: nullableString('Token mint address, when requested by mint'),
+		symbol: nullableString('Token symbol'),
+		priceUsd: z.number().describe('Price in USD'),
+		source: z.enum([ 'vybe', 'coingecko', 'pyth' ]).describe('Where the price came from'),
+	}),
+	solana_token_ohlc: z.object({
+		mintAddress: z.string(),
+		resolution: z.string(),
+		candles: z.array(z.object({
+			time: nullableNumber('Candle open time (Unix seconds)'),
+			open: nullableNumber('Open price in USD'),
+			high: nullableNumber('High price in USD'),
+			low: nullableNumber('Low price in USD'),
+			close: nullableNumber('Close price in USD'),
+			volume: nullableNumber('Volume in USD'),
+		})),
+	}),
+	solana_token_holders: z.object({
+		mintAddress: z.string(),
+		holders: z.array(z.object({
+			rank: z.number().int(),
+			owner: nullableString('Holder wallet address'),
+			amount: nullableNumber('Balance, in token units'),
+			percentage: nullableNumber('Share of the supply, in percent'),
+		})),
+	}),
+	solana_program_details: z.object({
+		programId: z.string(),
+		name: nullableString('Program name'),
+		type: nullableString('Program type'),
+		labels: z.array(z.string()),
+		entityName: nullableString('Entity operating the program'),
+		description: nullableString('Program description'),
+	}),
+	solana_program_metrics: z.object({
+		programId: z.string(),
+		range: z.string(),
+		instructions: z.number().int().describe('Instructions over the range'),
+		transactions: z.number().int().describe('Transactions over the range'),
+		activeUsers: z.number().int().describe('Active users over the range'),
+	}),
+	solana_program_users: z.object({
+		programId: z.string(),
+		days: z.number().int(),
+		users: z.array(z.object({
+			rank: z.number().int(),
+			address: nullableString('User wallet address'),
+			instructions: z.number().int(),
+			transactions: z.number().int(),
+		})),
+	}),
+	solana_token_transfers: z.object({
+		mintAddress: z.string(),
+		transfers: z.array(z.object(transfer)).describe('Most recent first'),
+		...listingRange,
+	}),
+	solana_trades: z.object({
+		mintAddress: z.string(),
+		trades: z.array(z.object({
+			blockTime: nullableNumber('Block time (Unix seconds)'),
+			signature: nullableString('Transaction signature'),
+			side: z.enum([ 'buy', 'sell' ]),
+			baseAmount: nullableNumber('Amount of the base token traded'),
+			baseSymbol: nullableString('Base token symbol'),
+			price: nullableNumber('Price in USD'),
+			usdValue: nullableNumber('USD value of the trade'),
+		})).describe('Most recent first'),
+		...listingRange,
+	}),
+	solana_whale_movements: z.object({
+		minUsdAmount: z.number(),
+		movements: z.array(z.object({
+			...transfer,
+			mintAddress: nullableString('Token mint address'),
+			symbol: nullableString('Token symbol'),
+		})).describe('Most recent first'),
+		...listingRange,
+	}),
+	solana_market_sentiment: z.object({
+		topPrograms: z.array(z.object({
+			programId: nullableString('Program ID'),
+			name: nullableString('Program name'),
+			activeUsers24h: z.number().int(),
+		})).describe('Programs with the most active users over 24 hours'),
+		topTokens: z.array(z.object({
+			mintAddress: nullableString('Token mint address'),
+			symbol: nullableString('Token symbol'),
+			price: nullableNumber('Price in USD'),
+			priceChange24h: nullableNumber('Price change over 24 hours, in percent'),
+		})).describe('Tokens with the highest price'),
+	}),
+	solana_network_activity: z.object({
+		instructions: z.number().int().describe('Instructions over the last 24 hours'),
+		transactions: z.number().int().describe('Transactions over the last 24 hours'),
+		activeUsers: z.number().int().describe('Active users over the last 24 hours'),
+		programCount: z.number().int().describe('Number of top programs the totals cover'),
+	}),
+	solana_cross_analysis: z.object({
+		wallets: z.array(z.object({
+			label: z.string().describe('Label used in the text output, e.g. "Wallet 1"'),
+			address: z.string(),
+			tokenCount: z.number().int(),
+		})),
+		commonTokens: z.array(z.object({
+			mintAddress: z.string(),
+			symbol: z.string(),
+			holders: z.array(z.object({
+				label: z.string(),
+				address: z.string(),
+				amount: nullableNumber('Balance, in token units'),
+				usdValue: z.number().describe('USD value of the balance'),
+			})),
+		})).describe('Tokens held by more than one wallet, most widely held first'),
+	}),
+};
@@ -0,0 +1,205 @@
+import { z } from 'zod';
+import { PublicKey } from '@solana/web3.js';
+
+/**
+ * @fileoverview Parameter schemas for the `solana_*` methods. They are the single source of
+ * truth for input validation (including defaults and bounds) and, exported as JSON Schema,
+ * for the `inputSchema` of each tool in `tools/list` (see src/schemas/validation.js). The
+ * variables of the `solana://` resource templates and the prompt arguments are validated the
+ * same way.
+ */
+
+const BASE58_ADDRESS_PATTERN = /^[1-9A-HJ-NP-Za-km-z]{32,44}$/;
+
+/**
+ * A base58-encoded Solana public key (wallet, mint or program address).
+ * @param {string} description - Field description shown to clients.
+ * @returns {z.ZodString}
+ */
+function solanaAddress(description) {
+	return z.string()
+		.regex(BASE58_ADDRESS_PATTERN, 'Must be a base58-encoded Solana address')
+		.refine(value => {
+			// Malformed strings are already reported by the pattern check above
+			if(!BASE58_ADDRESS_PATTERN.test(value)) {
+				return true;
+			}
+			// Off-curve addresses (PDAs) are valid too, so only the length of the key is checked
+			try {
+				new PublicKey(value);
+				return true;
+			} catch(error) {
+				return false;
+			}
+		}, 'Must decode to a 32-byte Solana public key')
+		.describe(description);
+}
+
+/**
+ * A bounded integer that also accepts numeric strings, as older clients send `"10"`.
+ * @param {object} options - Bounds and default.
+ * @param {number} options.min - Minimum value.
+ * @param {number} options.max - Maximum value.
+ * @param {number} options.defaultValue - Value used when the field is omitted.
+ * @param {string} description - Field description shown to clients.
+ * @returns {z.ZodDefault<z.ZodNumber>}
+ */
+function boundedInt({ min, max, defaultValue }, description) {
+	return z.coerce.number().int().min(min).max(max).default(defaultValue).describe(description);
+}
+
+const walletAddress = solanaAddress('Solana wallet address');
+const mintAddress = solanaAddress('Token mint address');
+const programId = solanaAddress('Solana program ID');
+
+/**
+ * Candle resolutions accepted by the Vybe token OHLCV endpoint.
+ * @type {Array<string>}
+ */
+export const OHLC_RESOLUTIONS = [ '1s', '1m', '3m', '5m', '15m', '30m', '1h', '2h', '3h', '4h', '1d', '1w', '1mo', '1y' ];
+
+/**
+ * Time ranges accepted by the Vybe program time-series endpoints.
+ * @type {Array<string>}
+ */
+export const PROGRAM_METRIC_RANGES = [ '1h', '24h', '7d', '30d' ];
+
+/**
+ * Past time ranges the transfer and trade listings can cover.
+ * @type {Array<string>}
+ */
+export const ACTIVITY_RANGES = [ '1h', '6h', '24h', '7d' ];
+
+/**
+ * Periods over which Vybe computes the profit and loss of a wallet.
+ * @type {Array<string>}
+ */
+export const PNL_PERIODS = [ '1d', '7d', '30d' ];
+
+/**
+ * Optional time range of a transfer or trade listing.
+ * @param {string} noun - What is listed, e.g. `transfers`.
+ * @returns {z.ZodOptional<z.ZodEnum>}
+ */
+function activityRange(noun) {
+	return z.enum(ACTIVITY_RANGES).optional()
+		.describe(`List all ${ noun } of this past time range, fetching as many pages as needed up to limit, instead of only the latest ones`);
+}
+
+/**
+ * Parameter schema for every `solana_*` method, keyed by method name.
+ * @type {Object<string, z.ZodTypeAny>}
+ */
+export const SOLANA_PARAM_SCHEMAS = {
+	solana_wallet_overview: z.object({
+		address: walletAddress,
+	}),
+	solana_wallet_tokens: z.object({
+		address: walletAddress,
+		include_no_price: z.boolean().default(false).describe('Include tokens without price data'),
+		limit: boundedInt({ min: 1, max: 1000, defaultValue: 100 }, 'Maximum number of results'),
+	}),
+	solana_wallet_nfts: z.object({
+		address: walletAddress,
+		include_no_price: z.boolean().default(false).describe('Include NFTs without price data'),
+		limit: boundedInt({ min: 1, max: 1000, defaultValue: 100 }, 'Maximum number of results'),
+	}),
+	solana_wallet_pnl: z.object({
+		address: walletAddress,
+		resolution: z.enum(PNL_PERIODS).optional().describe('Only count the trades of this past period; all trades when omitted'),
+	}),
+	solana_token_details: z.object({
+		mint_address: mintAddress,
+	}),
+	solana_token_price: z.object({
+		mint_address: mintAddress.optional(),
+		symbol: z.string().trim().min(1).max(20).optional().describe('Token symbol (e.g., SOL, USDC), used if mint_address is not provided'),
+	}).refine(params => params.mint_address || params.symbol, {
+		message: 'Either mint_address or symbol is required',
+		path: [ 'mint_address' ],
+	}),
+	solana_token_ohlc: z.object({
+		mint_address: mintAddress,
+		resolution: z.enum(OHLC_RESOLUTIONS).default('1d').describe('Candle resolution'),
+		limit: boundedInt({ min: 1, max: 1000, defaultValue: 7 }, 'Number of data points'),
+	}),
+	solana_token_holders: z.object({
+		mint_address: mintAddress,
+		limit: boundedInt({ min: 1, max: 1000, defaultValue: 10 }, 'Maximum number of holders to list'),
+	}),
+	solana_program_details: z.object({
+		program_id: programId,
+	}),
+	solana_program_metrics: z.object({
+		program_id: programId,
+		range: z.enum(PROGRAM_METRIC_RANGES).default('7d').describe('Time range'),
+	}),
+	solana_program_users: z.object({
+		program_id: programId,
+		days: boundedInt({ min: 1, max: 30, defaultValue: 7 }, 'Number of past days to analyze'),
+		limit: boundedInt({ min: 1, max: 1000, defaultValue: 10 }, 'Maximum number of users to list'),
+	}),
+	solana_token_transfers: z.object({
+		mint_address: mintAddress,
+		limit: boundedInt({ min: 1, max: 1000, defaultValue: 10 }, 'Maximum number of transfers to list'),
+		time_range: activityRange('transfers'),
+	}),
+	solana_trades: z.object({
+		mint_address: mintAddress,
+		limit: boundedInt({ min: 1, max: 1000, defaultValue: 10 }, 'Maximum number of trades to list'),
+		time_range: activityRange('trades'),
+	}),
+	solana_whale_movements: z.object({
+		min_usd_amount: z.coerce.number().min(0).default(10000).describe('Minimum USD value of transfers'),
+		limit: boundedInt({ min: 1, max: 1000, defaultValue: 10 }, 'Maximum number of movements to list'),
+		time_range: activityRange('movements'),
+	}),
+	solana_market_sentiment: z.object({}),
+	solana_network_activity: z.object({}),
+	solana_cross_analysis: z.object({
+		addresses: z.array(walletAddress)
+			.min(1)
+			.max(25)
+			.refine(list => new Set(list).size === list.length, 'Addresses must be unique')
+			.describe('Array of Solana wallet addresses to compare'),
+	}),
+};
+
+/**
+ * Schema of the variables of each `solana://` resource template, keyed by template name.
+ * @type {Object<string, z.ZodTypeAny>}
+ */
+export const SOLANA_RESOURCE_SCHEMAS = {
+	wallet_tokens: z.object({
+		address: walletAddress,
+	}),
+	token: z.object({
+		mint: mintAddress,
+	}),
+	program: z.object({
+		id: programId,
+	}),
+};
+
+/**
+ * Schema of the arguments of each analysis prompt, keyed by prompt name. MCP prompt arguments
+ * are always strings, so numbers are coerced and lists are comma-separated.
+ * @type {Object<string, z.ZodTypeAny>}
+ */
+export const SOLANA_PROMPT_SCHEMAS = {
+	token_due_diligence: z.object({
+		mint: mintAddress,
+		days: boundedInt({ min: 1, max: 30, defaultValue: 7 }, 'Number of past days of price history to review'),
+	}),
+	wallet_trading_summary: z.object({
+		address: walletAddress,
+		period: z.enum(PNL_PERIODS).default('30d').describe('Past period of trading to summarize (1d, 7d or 30d)'),
+	}),
+	compare_wallets: z.object({
+		addresses: z.string()
+			.transform(value => value.split(',').map(address => address.trim()).filter(Boolean))
+			.pipe(z.array(walletAddress).min(2).max(25)
+				.refine(list => new Set(list).size === list.length, 'Addresses must be unique'))
+			.describe('Comma-separated Solana wallet addresses to compare (2 to 25)'),
+	}),
+};
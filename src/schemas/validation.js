@@ -0,0 +1,40 @@
+import { zodToJsonSchema } from 'zod-to-json-schema';
+
+/**
+ * @fileoverview Helpers shared by every method schema: request validation with JSON-RPC
+ * errors, and conversion to JSON Schema for tool listings and docs.
+ */
+
+/**
+ * Validates method parameters against a schema.
+ * @param {import('zod').ZodTypeAny} schema - The method's parameter schema.
+ * @param {object} [params] - Raw parameters from the request.
+ * @param {string} method - Method name, used in the error message.
+ * @returns {object} The parsed parameters, with defaults applied and numbers coerced.
+ * @throws {Error} JSON-RPC -32602 error whose `data.issues` lists every invalid field.
+ */
+export function validateParams(schema, params, method) {
+	const parsed = schema.safeParse(params ?? {});
+	if(parsed.success) {
+		return parsed.data;
+	}
+
+	const issues = parsed.error.issues.map(issue => ({
+		field: issue.path.join('.') || null,
+		message: issue.message,
+	}));
+	const error = new Error(`Invalid params for '${ method }': ${ issues.map(issue => issue.field ? `${ issue.field }: ${ issue.message }` : issue.message).join('; ') }`);
+	error.code = -32602;
+	error.data = { issues };
+	throw error;
+}
+
+/**
+ * Converts a parameter schema to the JSON Schema used in tool listings.
+ * @param {import('zod').ZodTypeAny} schema - The zod schema.
+ * @returns {object} A JSON Schema (draft-07) object, inlined without `$ref`s.
+ */
+export function toJsonSchema(schema) {
+	const { $schema, ...jsonSchema } = zodToJsonSchema(schema, { $refStrategy: 'none' });
+	return jsonSchema;
+}
@@ -0,0 +1,76 @@
+/**
+ * @fileoverview Circuit breaker for calls to an unreliable upstream. After `failureThreshold`
+ * consecutive failures the circuit opens and calls are refused for `cooldownMs`; then a single
+ * trial call is let through, which closes the circuit on success or opens it again on failure.
+ */
+
+/**
+ * @typedef {object} CircuitBreaker
+ * @property {function(): boolean} allowRequest - Whether a call may be made now. In the half-open
+ *   state it reserves the trial call.
+ * @property {function(): number} retryAfterMs - Time until calls are let through again.
+ * @property {function(): void} recordSuccess - Reports a call that succeeded.
+ * @property {function(): void} recordFailure - Reports a call that failed.
+ * @property {function(): 'closed'|'open'|'half-open'} state - Current state.
+ */
+
+/**
+ * Creates a circuit breaker.
+ * @param {object} [options] - Breaker options.
+ * @param {number} [options.failureThreshold=5] - Consecutive failures that open the circuit.
+ * @param {number} [options.cooldownMs=30000] - How long the circuit stays open before a trial call.
+ * @returns {CircuitBreaker}
+ */
+export function createCircuitBreaker({ failureThreshold = 5, cooldownMs = 30 * 1000 } = {}) {
+	let state = 'closed';
+	let failures = 0;
+	let openedAt = 0;
+	// A trial call that never reports back (e.g. it was cancelled) frees its slot after the cooldown
+	let trialStartedAt = null;
+
+	return {
+		allowRequest() {
+			const now = Date.now();
+			if(state === 'open') {
+				if(now - openedAt < cooldownMs) {
+					return false;
+				}
+				state = 'half-open';
+				trialStartedAt = null;
+			}
+			if(state === 'half-open') {
+				if(trialStartedAt !== null && now - trialStartedAt < cooldownMs) {
+					return false;
+				}
+				trialStartedAt = now;
+			}
+			return true;
+		},
+		retryAfterMs() {
+			const now = Date.now();
+			if(state === 'open') {
+				return Math.max(0, openedAt + cooldownMs - now);
+			}
+			if(state === 'half-open' && trialStartedAt !== null) {
+				return Math.max(0, trialStartedAt + cooldownMs - now);
+			}
+			return 0;
+		},
+		recordSuccess() {
+			state = 'closed';
+			failures = 0;
+			trialStartedAt = null;
+		},
+		recordFailure() {
+			failures++;
+			trialStartedAt = null;
+			if(state === 'half-open' || failures >= failureThreshold) {
+				state = 'open';
+				openedAt = Date.now();
+			}
+		},
+		state() {
+			return state;
+		},
+	};
+}
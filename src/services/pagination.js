@@ -0,0 +1,105 @@
+/**
+ * @fileoverview Pagination of the Vybe list endpoints, which return one `page` of `limit`
+ * results per request. `paginate` walks the pages as an async iterator of results and stops
+ * when enough results were read, a result is older than a time boundary, the last page was
+ * reached or the page cap was hit; no further page is requested once the caller breaks out of
+ * `for await`. The cap defaults to `VYBE_MAX_PAGES` (20).
+ */
+
+const DEFAULT_PAGE_SIZE = 100;
+const DEFAULT_MAX_PAGES = parseInt(process.env.VYBE_MAX_PAGES || '', 10) || 20;
+
+/**
+ * @typedef {object} PaginateOptions
+ * @property {number} [pageSize=100] - Results requested per page; lowered to `maxItems` when smaller.
+ * @property {number} [maxItems=Infinity] - Stop after this many results.
+ * @property {number} [maxPages=VYBE_MAX_PAGES] - Stop after this many pages, whatever else is set.
+ * @property {number|null} [since=null] - Stop at the first result whose `timeField` (Unix
+ *   seconds) is older than this. The results must be sorted newest first.
+ * @property {string} [timeField='blockTime'] - Field holding the time of a result.
+ * @property {number} [firstPage=0] - Number of the first page.
+ * @property {function(number, number): void} [onPage] - Called after each page with the number
+ *   of pages read so far and the number of results on the page.
+ */
+
+/**
+ * @typedef {object} Paginator
+ * @property {function(): AsyncGenerator<object>} [Symbol.asyncIterator] - Iterates over the results.
+ * @property {number} pagesRead - Pages fetched so far.
+ * @property {'limit'|'time'|'end'|'max-pages'|null} stopReason - Why the iteration ended, or
+ *   null while it runs or when the caller stopped it. Only `time` and `end` mean that every
+ *   matching result was read.
+ */
+
+/**
+ * Creates an async iterator over the results of a paginated endpoint.
+ * @param {function(number, number): Promise<{ data?: Array<object> }>} fetchPage - Fetches a page,
+ *   given its number and size.
+ * @param {PaginateOptions} [options] - When to stop.
+ * @returns {Paginator}
+ */
+export function paginate(fetchPage, {
+	pageSize = DEFAULT_PAGE_SIZE,
+	maxItems = Infinity,
+	maxPages = DEFAULT_MAX_PAGES,
+	since = null,
+	timeField = 'blockTime',
+	firstPage = 0,
+	onPage,
+} = {}) {
+	// Pages are offsets of `limit` results, so the size must stay the same from page to page
+	const limit = Math.min(pageSize, maxItems);
+
+	const paginator = {
+		pagesRead: 0,
+		stopReason: null,
+		async *[Symbol.asyncIterator]() {
+			let count = 0;
+			if(limit <= 0) {
+				paginator.stopReason = 'limit';
+				return;
+			}
+			for(let page = firstPage; ; page++) {
+				if(paginator.pagesRead >= maxPages) {
+					paginator.stopReason = 'max-pages';
+					return;
+				}
+				const response = await fetchPage(page, limit);
+				const results = Array.isArray(response?.data) ? response.data : [];
+				paginator.pagesRead++;
+				onPage?.(paginator.pagesRead, results.length);
+
+				for(const result of results) {
+					const time = Number(result?.[timeField]);
+					if(since !== null && Number.isFinite(time) && time < since) {
+						paginator.stopReason = 'time';
+						return;
+					}
+					yield result;
+					if(++count >= maxItems) {
+						paginator.stopReason = 'limit';
+						return;
+					}
+				}
+				if(results.length < limit) {
+					paginator.stopReason = 'end';
+					return;
+				}
+			}
+		},
+	};
+	return paginator;
+}
+
+/**
+ * Reads every result of a paginator.
+ * @param {Paginator} paginator - The paginator.
+ * @returns {Promise<Array<object>>} The results, in order.
+ */
+export async function collect(paginator) {
+	const results = [];
+	for await (const result of paginator) {
+		results.push(result);
+	}
+	return results;
+}
@@ -0,0 +1,58 @@
+/**
+ * @fileoverview Errors thrown by `VybeClient` when a request to the Vybe API fails. They carry
+ * the HTTP status (null when no response was received) and whether the failure is temporary,
+ * so callers can decide to retry and the MCP layer can report a matching JSON-RPC error.
+ */
+
+/**
+ * A failed Vybe API request.
+ */
+export class VybeApiError extends Error {
+	/**
+	 * @param {string} message - Error message.
+	 * @param {object} details - Error details.
+	 * @param {string} details.path - API path of the request.
+	 * @param {number|null} [details.status=null] - HTTP status, or null when no response was received.
+	 * @param {boolean} [details.retryable=false] - Whether the same request may succeed later.
+	 * @param {number|null} [details.retryAfterMs=null] - How long to wait before retrying, when known.
+	 * @param {*} [details.body] - Error body returned by the API.
+	 */
+	constructor(message, { path, status = null, retryable = false, retryAfterMs = null, body } = {}) {
+		super(message);
+		this.name = 'VybeApiError';
+		this.path = path;
+		this.status = status;
+		this.retryable = retryable;
+		this.retryAfterMs = retryAfterMs;
+		this.body = body;
+	}
+}
+
+/**
+ * A Vybe API request that got no response within the configured timeout.
+ */
+export class VybeTimeoutError extends VybeApiError {
+	/**
+	 * @param {string} path - API path of the request.
+	 * @param {number} timeoutMs - The timeout.
+	 */
+	constructor(path, timeoutMs) {
+		super(`Vybe API request timed out after ${ timeoutMs } ms for path ${ path }`, { path, retryable: true });
+		this.name = 'VybeTimeoutError';
+	}
+}
+
+/**
+ * A Vybe API request refused without being sent, because its endpoint kept failing recently.
+ */
+export class VybeCircuitOpenError extends VybeApiError {
+	/**
+	 * @param {string} path - API path of the request.
+	 * @param {string} endpoint - Endpoint whose circuit is open.
+	 * @param {number} retryAfterMs - Time left until the endpoint is tried again.
+	 */
+	constructor(path, endpoint, retryAfterMs) {
+		super(`Vybe API endpoint ${ endpoint } is temporarily unavailable after repeated failures`, { path, retryable: true, retryAfterMs });
+		this.name = 'VybeCircuitOpenError';
+	}
+}
@@ -1,15 +1,28 @@
-import fetch from 'node-fetch';
-import WebSocket from 'ws';
 import 'dotenv/config'; // Ensure dotenv is configured to load environment variables
+import logger from '../logger.js';
+import { sleep } from '../sleep.js';
+import { createCircuitBreaker } from './circuit-breaker.js';
+import { paginate } from './pagination.js';
+import { VybeStream } from './vybe-stream.js';
+import { VybeApiError, VybeCircuitOpenError, VybeTimeoutError } from './vybe-errors.js';
 
 /**
- * @fileoverview VybeService - Static class for interacting with the Vybe Network API (v2).
+ * @fileoverview VybeClient - Client for the Vybe Network API (v2).
  * Provides methods for accessing Solana on-chain data including accounts, tokens,
  * programs, prices, and real-time data via WebSockets.
  *
- * **IMPORTANT:** This version automatically retrieves the API key from the
- * environment variable `process.env.VYBE_API_KEY`. Ensure this variable is set
- * in your Node.js environment.
+ * Each client is configured with its own API key, base URL, `fetch` implementation and logger,
+ * so several keys can be used side by side (`new VybeClient({ apiKey })`) and tests can pass a
+ * fake `fetch`. The default export, `VybeService`, is the default client: it uses the key from
+ * `process.env.VYBE_API_KEY`, so set this variable in your Node.js environment, and the stream
+ * URI from `VYBE_WEBSOCKET_URL`.
+ *
+ * Requests are made resiliently; the defaults can be tuned with environment variables:
+ * `VYBE_TIMEOUT_MS` (per attempt, default 10000), `VYBE_MAX_RETRIES` (default 3),
+ * `VYBE_RETRY_BASE_MS` (first backoff delay, default 500), `VYBE_MAX_RETRY_AFTER_MS` (longest
+ * `Retry-After` worth waiting for, default 30000), `VYBE_BREAKER_THRESHOLD` (consecutive
+ * failures that open an endpoint's circuit, default 5) and `VYBE_BREAKER_COOLDOWN_MS`
+ * (default 30000).
  *
  * @version 1.1.0
  * @see https://docs.vybenetwork.com/ (Replace with actual documentation link if available)
@@ -22,77 +35,257 @@ if(typeof process === 'undefined' || !process.env) {
 	// throw new Error("VybeService requires a Node.js environment.");
 }
 
+/**
+ * Reads a non-negative integer setting from the environment.
+ * @param {string} name - Variable name.
+ * @param {number} fallback - Value when the variable is unset or invalid.
+ * @returns {number}
+ */
+function envInteger(name, fallback) {
+	const value = parseInt(process.env[name] || '', 10);
+	return Number.isNaN(value) || value < 0 ? fallback : value;
+}
+
+/**
+ * Default timeouts, retries and circuit breaking of `VybeClient._request`, overridable per client.
+ * @type {{ timeoutMs: number, maxRetries: number, retryBaseMs: number, maxRetryAfterMs: number, breakerThreshold: number, breakerCooldownMs: number }}
+ */
+const REQUEST_CONFIG = {
+	timeoutMs: envInteger('VYBE_TIMEOUT_MS', 10 * 1000),
+	maxRetries: envInteger('VYBE_MAX_RETRIES', 3),
+	retryBaseMs: envInteger('VYBE_RETRY_BASE_MS', 500),
+	maxRetryAfterMs: envInteger('VYBE_MAX_RETRY_AFTER_MS', 30 * 1000),
+	breakerThreshold: envInteger('VYBE_BREAKER_THRESHOLD', 5),
+	breakerCooldownMs: envInteger('VYBE_BREAKER_COOLDOWN_MS', 30 * 1000),
+};
+
+/** Statuses worth retrying: rate limits and temporary server failures. */
+const RETRYABLE_STATUSES = [ 408, 429, 500, 502, 503, 504 ];
+
+/**
+ * Parses a `Retry-After` header, given either in seconds or as an HTTP date.
+ * @param {string|null} value - Header value.
+ * @returns {number|null} Delay in ms, or null when absent or invalid.
+ */
+function parseRetryAfter(value) {
+	if(!value) {
+		return null;
+	}
+	if(/^\d+$/.test(value.trim())) {
+		return parseInt(value, 10) * 1000;
+	}
+	const date = Date.parse(value);
+	return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+}
+
 /**
  * Represents the structure for wallet arrays used in POST requests.
  * @typedef {Array<string>} WalletAddresses
  */
 
 /**
- * Represents the structure for filter objects used in WebSocket configuration.
- * @typedef {object} WebSocketFilterConfig
- * @property {Array<object>} [trades] - Filters for the trades stream. Empty array receives all. Omit to receive none.
- * @property {Array<object>} [transfers] - Filters for the transfers stream. Empty array receives all. Omit to receive none.
- * @property {Array<object>} [oraclePrices] - Filters for the Pyth oracle prices stream. Empty array receives all. Omit to receive none.
- * // Add other potential streams like NFT Events when available
+ * The base URL for the Vybe API V2.
+ * Confirm the exact URL from your Vybe API dashboard.
+ * @type {string}
+ */
+const DEFAULT_BASE_URL = 'https://api.vybenetwork.xyz'; // Example URL, verify this!
+
+/**
+ * The base URL for the Vybe WebSocket API, from `VYBE_WEBSOCKET_URL`.
+ * Confirm the exact URL from your Vybe API dashboard (available for Business/Premium plans).
+ * @type {string}
  */
+const DEFAULT_WEBSOCKET_URL = process.env.VYBE_WEBSOCKET_URL || 'wss://your-websocket-uri-here'; // Example URL, verify this!
 
 /**
- * @class VybeService
- * @description Provides static methods to interact with the Vybe Network API V2 for Solana data analysis.
- * Automatically uses the API key from the `process.env.VYBE_API_KEY` environment variable.
+ * @class VybeClient
+ * @description Provides methods to interact with the Vybe Network API V2 for Solana data analysis.
  * @see https://alpha.vybenetwork.com/api-plans
  * @see https://alpha.vybenetwork.com/dashboard/api-management
  */
-class VybeService {
+export class VybeClient {
+
+	/**
+	 * Creates a client.
+	 * @param {object} [options={}] - Client options.
+	 * @param {string} [options.apiKey=process.env.VYBE_API_KEY] - Vybe API key.
+	 * @param {string} [options.baseUrl] - Base URL of the Vybe API.
+	 * @param {string} [options.websocketUrl] - URI of the Vybe WebSocket API.
+	 * @param {function} [options.fetch] - `fetch` implementation; defaults to the global `fetch`.
+	 * @param {import('pino').Logger} [options.logger] - Logger; defaults to the server logger.
+	 * @param {Partial<typeof REQUEST_CONFIG>} [options.requestConfig] - Overrides of the timeouts,
+	 *   retries and circuit breaking set through the environment.
+	 */
+	constructor({
+		apiKey = process.env.VYBE_API_KEY,
+		baseUrl = DEFAULT_BASE_URL,
+		websocketUrl = DEFAULT_WEBSOCKET_URL,
+		fetch: fetchImplementation = globalThis.fetch,
+		logger: clientLogger = logger,
+		requestConfig = {},
+	} = {}) {
+		this._apiKey = apiKey;
+		this._baseUrl = baseUrl.replace(/\/+$/, '');
+		this._websocketUrl = websocketUrl;
+		this._fetch = fetchImplementation;
+		this._logger = clientLogger;
+		this._config = { ...REQUEST_CONFIG, ...requestConfig };
+
+		/**
+		 * Circuit breakers of the endpoints called so far, keyed by `_endpointOf`.
+		 * @type {Map<string, import('./circuit-breaker.js').CircuitBreaker>}
+		 * @private
+		 */
+		this._circuitBreakers = new Map();
+	}
+
+	/**
+	 * Returns the API key of the client.
+	 * @returns {string} The API key.
+	 * @throws {Error} If the client has no API key.
+	 * @private
+	 */
+	_getApiKey() {
+		if(!this._apiKey) {
+			throw new Error('API Key Error: No Vybe API key is configured. Set the \'VYBE_API_KEY\' environment variable or pass `apiKey` to the client.');
+		}
+		return this._apiKey;
+	}
 
 	/**
-	 * The base URL for the Vybe API V2.
-	 * Confirm the exact URL from your Vybe API dashboard.
-	 * @type {string}
+	 * Identifies the endpoint of a request for its circuit breaker: the method and the path with
+	 * addresses replaced, so all wallets share the breaker of `/account/token-balance/{address}`.
+	 * @param {string} method - The HTTP method.
+	 * @param {string} path - The API path.
+	 * @returns {string} The endpoint, e.g. `GET /account/pnl/{address}`.
 	 * @private
-	 * @static
 	 */
-	static _BASE_URL = 'https://api.vybenetwork.xyz'; // Example URL, verify this!
+	_endpointOf(method, path) {
+		return `${ method } ${ path.replace(/\/[1-9A-HJ-NP-Za-km-z]{32,44}(?=\/|$)/g, '/{address}') }`;
+	}
 
 	/**
-	 * The base URL for the Vybe WebSocket API.
-	 * Confirm the exact URL from your Vybe API dashboard (available for Business/Premium plans).
-	 * @type {string}
+	 * Returns the circuit breaker of an endpoint, creating it on first use.
+	 * @param {string} endpoint - Endpoint from `_endpointOf`.
+	 * @returns {import('./circuit-breaker.js').CircuitBreaker}
 	 * @private
-	 * @static
 	 */
-	static _WEBSOCKET_URL = 'wss://your-websocket-uri-here'; // Example URL, verify this!
+	_getCircuitBreaker(endpoint) {
+		if(!this._circuitBreakers.has(endpoint)) {
+			this._circuitBreakers.set(endpoint, createCircuitBreaker({
+				failureThreshold: this._config.breakerThreshold,
+				cooldownMs: this._config.breakerCooldownMs,
+			}));
+		}
+		return this._circuitBreakers.get(endpoint);
+	}
 
 	/**
-	 * Retrieves the API key from the environment variable.
-	 * @returns {string} The API key.
-	 * @throws {Error} If the VYBE_API_KEY environment variable is not set.
+	 * How long to wait before retrying a failed attempt: the `Retry-After` of the response when
+	 * it sent one, exponential backoff with jitter otherwise.
+	 * @param {Error} error - Error of the attempt.
+	 * @param {number} attempt - Zero-based attempt number.
+	 * @returns {number|null} Delay in ms, or null if the request must not be retried.
 	 * @private
-	 * @static
 	 */
-	static _getApiKey() {
-		const apiKey = process.env.VYBE_API_KEY;
-		if(!apiKey) {
-			throw new Error('API Key Error: The \'VYBE_API_KEY\' environment variable is not set.');
+	_retryDelay(error, attempt) {
+		if(!(error instanceof VybeApiError) || !error.retryable || attempt >= this._config.maxRetries) {
+			return null;
+		}
+		if(error.retryAfterMs !== null) {
+			return error.retryAfterMs <= this._config.maxRetryAfterMs ? error.retryAfterMs : null;
+		}
+		const backoff = this._config.retryBaseMs * 2 ** attempt;
+		return Math.round(backoff / 2 + Math.random() * backoff / 2);
+	}
+
+	/**
+	 * Makes a single attempt of a request, aborted after `timeoutMs`.
+	 * @param {string} path - The API path, for errors.
+	 * @param {string} url - The full URL.
+	 * @param {object} options - `fetch` options.
+	 * @param {AbortSignal} [signal] - Caller's signal; aborting it rejects with an `AbortError`.
+	 * @returns {Promise<object>} The JSON response data.
+	 * @throws {VybeApiError} If the API returns an error status, times out or cannot be reached.
+	 * @private
+	 */
+	async _fetchOnce(path, url, options, signal) {
+		const controller = new AbortController();
+		let timedOut = false;
+		const timer = setTimeout(() => {
+			timedOut = true;
+			controller.abort();
+		}, this._config.timeoutMs);
+		const abort = () => controller.abort();
+		signal?.addEventListener('abort', abort, { once: true });
+
+		try {
+			if(signal?.aborted) {
+				controller.abort();
+			}
+			const response = await this._fetch(url, { ...options, signal: controller.signal });
+
+			if(!response.ok) {
+				const text = await response.text();
+				let errorBody;
+				try {
+					errorBody = JSON.parse(text);
+				} catch(e) {
+					errorBody = text;
+				}
+				throw new VybeApiError(`API Error: ${ response.status } ${ response.statusText } - ${ JSON.stringify(errorBody) }`, {
+					path,
+					status: response.status,
+					retryable: RETRYABLE_STATUSES.includes(response.status),
+					retryAfterMs: parseRetryAfter(response.headers.get('retry-after')),
+					body: errorBody,
+				});
+			}
+
+			if(response.status === 204) {
+				return {};
+			}
+
+			return await response.json();
+		} catch(error) {
+			if(error instanceof VybeApiError) {
+				throw error;
+			}
+			if(error.name === 'AbortError') {
+				if(timedOut) {
+					throw new VybeTimeoutError(path, this._config.timeoutMs);
+				}
+				// Cancellations are expected and handled by the caller
+				throw error;
+			}
+			throw new VybeApiError(`Vybe API request failed for path ${ path }: ${ error.message }`, { path, retryable: true });
+		} finally {
+			clearTimeout(timer);
+			signal?.removeEventListener('abort', abort);
 		}
-		return apiKey;
 	}
 
 	/**
 	 * Internal helper method to make authenticated requests to the Vybe API.
-	 * Uses API key from `process.env.VYBE_API_KEY`.
+	 * Uses the client's API key. Each attempt times out after `timeoutMs`;
+	 * rate limits (429), server errors, timeouts and network errors are retried up to
+	 * `maxRetries` times, waiting as long as the API asks with `Retry-After` or with
+	 * exponential backoff. Endpoints that keep failing are short-circuited for a while.
 	 * @param {string} path - The API endpoint path (e.g., '/accounts/known-accounts').
 	 * @param {string} [method='GET'] - The HTTP method (GET, POST).
 	 * @param {object|null} [queryParams=null] - Object containing query parameters.
 	 * @param {object|null} [body=null] - Object containing the request body for POST requests.
+	 * @param {object} [requestOptions={}] - Transport options.
+	 * @param {AbortSignal} [requestOptions.signal] - Aborts the request when signalled.
 	 * @returns {Promise<object>} A promise that resolves with the JSON response data.
-	 * @throws {Error} If the network request fails, the API returns an error status, or the API key is missing.
+	 * @throws {VybeApiError} If the API returns an error status, times out or cannot be reached,
+	 *   or the endpoint's circuit is open (see src/services/vybe-errors.js).
+	 * @throws {Error} If the client has no API key.
 	 * @private
-	 * @static
 	 */
-	static async _request(path, method = 'GET', queryParams = null, body = null) {
+	async _request(path, method = 'GET', queryParams = null, body = null, requestOptions = {}) {
 		const apiKey = this._getApiKey(); // Get API key or throw error
-		const url = new URL(this._BASE_URL + path);
+		const url = new URL(this._baseUrl + path);
 
 		if(queryParams) {
 			Object.keys(queryParams).forEach(key => {
@@ -114,55 +307,66 @@ class VybeService {
 			options.body = JSON.stringify(body);
 		}
 
-		try {
-			const response = await fetch(url.toString(), options);
+		const endpoint = this._endpointOf(method, path);
+		const breaker = this._getCircuitBreaker(endpoint);
 
-			if(!response.ok) {
-				let errorBody;
-				try {
-					errorBody = await response.json();
-				} catch(e) {
-					errorBody = await response.text();
-				}
-				throw new Error(`API Error: ${ response.status } ${ response.statusText } - ${ JSON.stringify(errorBody) }`);
+		for(let attempt = 0; ; attempt++) {
+			if(!breaker.allowRequest()) {
+				this._logger.warn({ endpoint, path }, 'Vybe API circuit open, request refused');
+				throw new VybeCircuitOpenError(path, endpoint, breaker.retryAfterMs());
 			}
 
-			if(response.status === 204) {
-				return {};
-			}
+			try {
+				const data = await this._fetchOnce(path, url.toString(), options, requestOptions.signal);
+				breaker.recordSuccess();
+				return data;
+			} catch(error) {
+				if(error.name === 'AbortError') {
+					throw error;
+				}
+				// Client errors show the endpoint is up; only temporary failures count towards the circuit
+				if(error.retryable) {
+					breaker.recordFailure();
+				} else {
+					breaker.recordSuccess();
+				}
 
-			return await response.json();
-		} catch(error) {
-			// Include the original error message if available
-			const errorMessage = error instanceof Error ? error.message : String(error);
-			console.error(`Vybe API request failed for path ${ path }: ${ errorMessage }`);
-			// Re-throw a potentially more informative error or the original
-			throw new Error(`Vybe API request failed for path ${ path }: ${ errorMessage }`);
+				// Once the failures open the circuit, retrying would only be refused
+				const delay = breaker.state() === 'open' ? null : this._retryDelay(error, attempt);
+				if(delay === null) {
+					this._logger.error({ path, status: error.status, attempts: attempt + 1, error: error.message }, 'Vybe API request failed');
+					throw error;
+				}
+				this._logger.warn({ path, status: error.status, attempt: attempt + 1, delay, error: error.message }, 'Vybe API request failed, retrying');
+				await sleep(delay, requestOptions.signal);
+			}
 		}
 	}
 
 	/**
 	 * Retrieves comprehensive analysis of a wallet's trading performance (PnL).
+	 * @param {object} [requestOptions] - Transport options, e.g. `{ signal }` to abort the request.
 	 */
-	static getWalletPnl(ownerAddress, params = {}) {
+	getWalletPnl(ownerAddress, params = {}, requestOptions) {
 		if(!ownerAddress) {
 			throw new Error('ownerAddress parameter is required to get wallet PnL.');
 		}
-		return this._request(`/account/pnl/${ ownerAddress }`, 'GET', params);
+		return this._request(`/account/pnl/${ ownerAddress }`, 'GET', params, null, requestOptions);
 	}
 
 	/**
 	 * Retrieves a ranked list of Solana programs.
+	 * @param {object} [requestOptions] - Transport options, e.g. `{ signal }` to abort the request.
 	 */
-	static getProgramRanking(params = {}) {
-		return this._request('/program/ranking', 'GET', params);
+	getProgramRanking(params = {}, requestOptions) {
+		return this._request('/program/ranking', 'GET', params, null, requestOptions);
 	}
 
 	// --- Account Endpoints ---
 
 	/**
 	 * Retrieve a categorized list of labeled Solana accounts.
-	 * Uses API key from `process.env.VYBE_API_KEY`.
+	 * Uses the client's API key.
 	 * @param {object} [params={}] - Query parameters.
 	 * @param {string} [params.ownerAddress] - Filter by owner address.
 	 * @param {string} [params.name] - Filter by account name label.
@@ -172,16 +376,15 @@ class VybeService {
 	 * @param {string} [params.sortByAsc] - Field to sort by ascending.
 	 * @param {string} [params.sortByDesc] - Field to sort by descending.
 	 * @returns {Promise<object>} A promise resolving to the list of known accounts.
-	 * @static
 	 * @see https://docs.vybenetwork.com/reference/get_known_accounts
 	 */
-	static getKnownAccounts(params = {}) {
+	getKnownAccounts(params = {}) {
 		return this._request('/account/known-accounts', 'GET', params);
 	}
 
 	/**
 	 * Obtain NFT balances for a single provided account address.
-	 * Uses API key from `process.env.VYBE_API_KEY`.
+	 * Uses the client's API key.
 	 * @param {string} ownerAddress - The Solana wallet address.
 	 * @param {object} [params={}] - Query parameters.
 	 * @param {boolean} [params.includeNoPriceBalance] - Include NFTs without price data.
@@ -189,18 +392,18 @@ class VybeService {
 	 * @param {string} [params.sortByDesc] - Field to sort by descending.
 	 * @param {number} [params.limit] - Number of results per page.
 	 * @param {number} [params.page] - Page number.
+	 * @param {object} [requestOptions] - Transport options, e.g. `{ signal }` to abort the request.
 	 * @returns {Promise<object>} A promise resolving to the NFT balances.
-	 * @static
 	 * @see https://docs.vybenetwork.com/reference/get_wallet_nfts
 	 */
-	static getWalletNfts(ownerAddress, params = {}) {
+	getWalletNfts(ownerAddress, params = {}, requestOptions) {
 		if(!ownerAddress) throw new Error('ownerAddress parameter is required.');
-		return this._request(`/account/nft-balance/${ ownerAddress }`, 'GET', params);
+		return this._request(`/account/nft-balance/${ ownerAddress }`, 'GET', params, null, requestOptions);
 	}
 
 	/**
 	 * Get NFT balances for multiple account addresses. (Requires Developer plan or higher for >1 wallet?)
-	 * Uses API key from `process.env.VYBE_API_KEY`.
+	 * Uses the client's API key.
 	 * @param {WalletAddresses} wallets - An array of Solana wallet addresses.
 	 * @param {object} [params={}] - Query parameters and body options combined.
 	 * @param {boolean} [params.includeNoPriceBalance] - Include NFTs without price data.
@@ -209,10 +412,9 @@ class VybeService {
 	 * @param {string} [params.sortByAsc] - Field to sort by ascending.
 	 * @param {string} [params.sortByDesc] - Field to sort by descending.
 	 * @returns {Promise<object>} A promise resolving to the NFT balances for the specified wallets.
-	 * @static
 	 * @see https://docs.vybenetwork.com/reference/post_wallet_nfts_many
 	 */
-	static postWalletNftsMany(wallets, params = {}) {
+	postWalletNftsMany(wallets, params = {}) {
 		if(!wallets || !Array.isArray(wallets) || wallets.length === 0) {
 			throw new Error('wallets parameter (array of strings) is required.');
 		}
@@ -224,22 +426,21 @@ class VybeService {
 
 	/**
 	 * Retrieve daily SPL token balances for a given account address in time-series format. (Requires Business plan or higher)
-	 * Uses API key from `process.env.VYBE_API_KEY`.
+	 * Uses the client's API key.
 	 * @param {string} ownerAddress - The Solana wallet address.
 	 * @param {object} [params={}] - Query parameters.
 	 * @param {number} [params.days] - Number of past days of data to retrieve (check API docs for limits).
 	 * @returns {Promise<object>} A promise resolving to the time-series token balances.
-	 * @static
 	 * @see https://docs.vybenetwork.com/reference/get_wallet_tokens_ts
 	 */
-	static getWalletTokensTimeSeries(ownerAddress, params = {}) {
+	getWalletTokensTimeSeries(ownerAddress, params = {}) {
 		if(!ownerAddress) throw new Error('ownerAddress parameter is required.');
 		return this._request(`/account/token-balance-ts/${ ownerAddress }`, 'GET', params);
 	}
 
 	/**
 	 * Get SPL token balances for a single provided account address.
-	 * Uses API key from `process.env.VYBE_API_KEY`.
+	 * Uses the client's API key.
 	 * @param {string} ownerAddress - The Solana wallet address.
 	 * @param {object} [params={}] - Query parameters.
 	 * @param {boolean} [params.includeNoPriceBalance] - Include tokens without price data.
@@ -247,18 +448,18 @@ class VybeService {
 	 * @param {string} [params.sortByDesc] - Field to sort by descending.
 	 * @param {number} [params.limit] - Number of results per page.
 	 * @param {number} [params.page] - Page number.
+	 * @param {object} [requestOptions] - Transport options, e.g. `{ signal }` to abort the request.
 	 * @returns {Promise<object>} A promise resolving to the SPL token balances.
-	 * @static
 	 * @see https://docs.vybenetwork.com/reference/get_wallet_tokens
 	 */
-	static getWalletTokens(ownerAddress, params = {}) {
+	getWalletTokens(ownerAddress, params = {}, requestOptions) {
 		if(!ownerAddress) throw new Error('ownerAddress parameter is required.');
-		return this._request(`/account/token-balance/${ ownerAddress }`, 'GET', params);
+		return this._request(`/account/token-balance/${ ownerAddress }`, 'GET', params, null, requestOptions);
 	}
 
 	/**
 	 * Get SPL token balances for multiple account addresses. (Requires Developer plan or higher?)
-	 * Uses API key from `process.env.VYBE_API_KEY`.
+	 * Uses the client's API key.
 	 * @param {WalletAddresses} wallets - An array of Solana wallet addresses.
 	 * @param {object} [params={}] - Query parameters and body options combined.
 	 * @param {boolean} [params.includeNoPriceBalance] - Include tokens without price data.
@@ -267,10 +468,9 @@ class VybeService {
 	 * @param {string} [params.sortByAsc] - Field to sort by ascending.
 	 * @param {string} [params.sortByDesc] - Field to sort by descending.
 	 * @returns {Promise<object>} A promise resolving to the SPL token balances for the specified wallets.
-	 * @static
 	 * @see https://docs.vybenetwork.com/reference/post_wallet_tokens_many
 	 */
-	static postWalletTokensMany(wallets, params = {}) {
+	postWalletTokensMany(wallets, params = {}) {
 		if(!wallets || !Array.isArray(wallets) || wallets.length === 0) {
 			throw new Error('wallets parameter (array of strings) is required.');
 		}
@@ -282,15 +482,14 @@ class VybeService {
 
 	/**
 	 * Retrieve daily SPL token balances for multiple account addresses in time-series format. (Requires Business plan or higher)
-	 * Uses API key from `process.env.VYBE_API_KEY`.
+	 * Uses the client's API key.
 	 * @param {WalletAddresses} wallets - An array of Solana wallet addresses.
 	 * @param {object} [params={}] - Query parameters and body options combined.
 	 * @param {number} [params.days] - Number of past days of data to retrieve.
 	 * @returns {Promise<object>} A promise resolving to the time-series token balances for the specified wallets.
-	 * @static
 	 * @see https://docs.vybenetwork.com/reference/post_wallet_tokens_ts_many
 	 */
-	static postWalletTokensTimeSeriesMany(wallets, params = {}) {
+	postWalletTokensTimeSeriesMany(wallets, params = {}) {
 		if(!wallets || !Array.isArray(wallets) || wallets.length === 0) {
 			throw new Error('wallets parameter (array of strings) is required.');
 		}
@@ -304,7 +503,7 @@ class VybeService {
 
 	/**
 	 * Get a categorized list of labeled programs.
-	 * Uses API key from `process.env.VYBE_API_KEY`.
+	 * Uses the client's API key.
 	 * @param {object} [params={}] - Query parameters.
 	 * @param {string} [params.programId] - Filter by program ID.
 	 * @param {string} [params.name] - Filter by program name label.
@@ -314,103 +513,115 @@ class VybeService {
 	 * @param {string} [params.sortByAsc] - Field to sort by ascending.
 	 * @param {string} [params.sortByDesc] - Field to sort by descending.
 	 * @returns {Promise<object>} A promise resolving to the list of known programs.
-	 * @static
 	 * @see https://docs.vybenetwork.com/reference/get_known_program_accounts
 	 */
-	static getKnownProgramAccounts(params = {}) {
+	getKnownProgramAccounts(params = {}) {
 		return this._request('/program/known-program-accounts', 'GET', params);
 	}
 
 	/**
 	 * Get program details including metrics for a specific program ID.
-	 * Uses API key from `process.env.VYBE_API_KEY`.
+	 * Uses the client's API key.
 	 * @param {string} programID - The Program ID.
+	 * @param {object} [requestOptions] - Transport options, e.g. `{ signal }` to abort the request.
 	 * @returns {Promise<object>} A promise resolving to the program details.
-	 * @static
 	 * @see https://docs.vybenetwork.com/reference/get_program
 	 */
-	static getProgramDetails(programID) {
+	getProgramDetails(programID, requestOptions) {
 		if(!programID) throw new Error('programID parameter is required.');
-		return this._request(`/program/${ programID }`, 'GET');
+		return this._request(`/program/${ programID }`, 'GET', null, null, requestOptions);
 	}
 
 	/**
 	 * Get active users with instruction/transaction counts for a program. (Requires Developer plan or higher)
-	 * Uses API key from `process.env.VYBE_API_KEY`.
+	 * Uses the client's API key.
 	 * @param {string} programId - The Program ID.
 	 * @param {object} [params={}] - Query parameters.
 	 * @param {number} [params.days] - Number of past days (1-30).
 	 * @param {number} [params.limit] - Limit number of results.
+	 * @param {number} [params.page] - Page number.
 	 * @param {string} [params.sortByAsc] - Field to sort by ascending.
 	 * @param {string} [params.sortByDesc] - Field to sort by descending.
+	 * @param {object} [requestOptions] - Transport options, e.g. `{ signal }` to abort the request.
 	 * @returns {Promise<object>} A promise resolving to the active user data.
-	 * @static
 	 * @see https://docs.vybenetwork.com/reference/get_program_active_users
 	 */
-	static getProgramActiveUsers(programId, params = {}) {
+	getProgramActiveUsers(programId, params = {}, requestOptions) {
+		if(!programId) throw new Error('programId parameter is required.');
+		return this._request(`/program/${ programId }/active-users`, 'GET', params, null, requestOptions);
+	}
+
+	/**
+	 * Iterates over the active users of a program, page by page.
+	 * @param {string} programId - The Program ID.
+	 * @param {object} [params={}] - Query parameters of `getProgramActiveUsers`, without `page` and `limit`.
+	 * @param {import('./pagination.js').PaginateOptions} [options] - When to stop, e.g. `{ maxItems }`.
+	 * @param {object} [requestOptions] - Transport options, e.g. `{ signal }` to abort the requests.
+	 * @returns {import('./pagination.js').Paginator}
+	 */
+	iterateProgramActiveUsers(programId, params = {}, options, requestOptions) {
 		if(!programId) throw new Error('programId parameter is required.');
-		return this._request(`/program/${ programId }/active-users`, 'GET', params);
+		return paginate((page, limit) => this.getProgramActiveUsers(programId, { ...params, page, limit }, requestOptions), options);
 	}
 
 	/**
 	 * Get time series data for active users of a program. (Requires Business plan or higher)
-	 * Uses API key from `process.env.VYBE_API_KEY`.
+	 * Uses the client's API key.
 	 * @param {string} programId - The Program ID.
 	 * @param {object} params - Query parameters.
 	 * @param {string} params.range - Time range (e.g., '1h', '24h', '7d', '30d'). Required.
+	 * @param {object} [requestOptions] - Transport options, e.g. `{ signal }` to abort the request.
 	 * @returns {Promise<object>} A promise resolving to the time series data.
-	 * @static
 	 * @see https://docs.vybenetwork.com/reference/get_program_active_users_count
 	 */
-	static getProgramActiveUsersTimeSeries(programId, params) {
+	getProgramActiveUsersTimeSeries(programId, params, requestOptions) {
 		if(!programId) throw new Error('programId parameter is required.');
 		if(!params || !params.range) throw new Error('params.range is required.');
-		return this._request(`/program/${ programId }/active-users-ts`, 'GET', params);
+		return this._request(`/program/${ programId }/active-users-ts`, 'GET', params, null, requestOptions);
 	}
 
 	/**
 	 * Get time series data for instruction counts of a program. (Requires Business plan or higher)
-	 * Uses API key from `process.env.VYBE_API_KEY`.
+	 * Uses the client's API key.
 	 * @param {string} programId - The Program ID.
 	 * @param {object} params - Query parameters.
 	 * @param {string} params.range - Time range (e.g., '1h', '24h', '7d', '30d'). Required.
+	 * @param {object} [requestOptions] - Transport options, e.g. `{ signal }` to abort the request.
 	 * @returns {Promise<object>} A promise resolving to the time series data.
-	 * @static
 	 * @see https://docs.vybenetwork.com/reference/get_program_instructions_count
 	 */
-	static getProgramInstructionsCountTimeSeries(programId, params) {
+	getProgramInstructionsCountTimeSeries(programId, params, requestOptions) {
 		if(!programId) throw new Error('programId parameter is required.');
 		if(!params || !params.range) throw new Error('params.range is required.');
-		return this._request(`/program/${ programId }/instructions-count-ts`, 'GET', params);
+		return this._request(`/program/${ programId }/instructions-count-ts`, 'GET', params, null, requestOptions);
 	}
 
 	/**
 	 * Get time series data for transaction counts of a program. (Requires Business plan or higher)
-	 * Uses API key from `process.env.VYBE_API_KEY`.
+	 * Uses the client's API key.
 	 * @param {string} programId - The Program ID.
 	 * @param {object} params - Query parameters.
 	 * @param {string} params.range - Time range (e.g., '1h', '24h', '7d', '30d'). Required.
+	 * @param {object} [requestOptions] - Transport options, e.g. `{ signal }` to abort the request.
 	 * @returns {Promise<object>} A promise resolving to the time series data.
-	 * @static
 	 * @see https://docs.vybenetwork.com/reference/get_program_transactions_count
 	 */
-	static getProgramTransactionsCountTimeSeries(programId, params) {
+	getProgramTransactionsCountTimeSeries(programId, params, requestOptions) {
 		if(!programId) throw new Error('programId parameter is required.');
 		if(!params || !params.range) throw new Error('params.range is required.');
-		return this._request(`/program/${ programId }/transactions-count-ts`, 'GET', params);
+		return this._request(`/program/${ programId }/transactions-count-ts`, 'GET', params, null, requestOptions);
 	}
 
 	/**
 	 * Get Total Value Locked (TVL) time series data for a program. (Requires Business plan or higher)
-	 * Uses API key from `process.env.VYBE_API_KEY`.
+	 * Uses the client's API key.
 	 * @param {string} programId - The Program ID.
 	 * @param {object} params - Query parameters.
 	 * @param {string} params.resolution - Time resolution ('1h', '1d', '1w', '1m', '1y'). Required.
 	 * @returns {Promise<object>} A promise resolving to the TVL time series data.
-	 * @static
 	 * @see https://docs.vybenetwork.com/reference/get_program_tvl
 	 */
-	static getProgramTvlTimeSeries(programId, params) {
+	getProgramTvlTimeSeries(programId, params) {
 		if(!programId) throw new Error('programId parameter is required.');
 		if(!params || !params.resolution) throw new Error('params.resolution is required.');
 		return this._request(`/program/${ programId }/tvl`, 'GET', params);
@@ -418,7 +629,7 @@ class VybeService {
 
 	/**
 	 * Get a list of all Solana programs with IDLs (Interface Description Languages).
-	 * Uses API key from `process.env.VYBE_API_KEY`.
+	 * Uses the client's API key.
 	 * @param {object} [params={}] - Query parameters.
 	 * @param {string} [params.labels] - Filter by comma-separated labels.
 	 * @param {number} [params.limit] - Number of results per page.
@@ -426,10 +637,9 @@ class VybeService {
 	 * @param {string} [params.sortByAsc] - Field to sort by ascending.
 	 * @param {string} [params.sortByDesc] - Field to sort by descending.
 	 * @returns {Promise<object>} A promise resolving to the list of programs.
-	 * @static
 	 * @see https://docs.vybenetwork.com/reference/get_programs_list
 	 */
-	static getProgramsList(params = {}) {
+	getProgramsList(params = {}) {
 		return this._request('/programs', 'GET', params);
 	}
 
@@ -437,48 +647,46 @@ class VybeService {
 
 	/**
 	 * Get all available market IDs queryable via the Vybe API for a given program.
-	 * Uses API key from `process.env.VYBE_API_KEY`.
+	 * Uses the client's API key.
 	 * @param {object} params - Query parameters.
 	 * @param {string} params.programId - The program ID (DEX/AMM). Required.
 	 * @param {number} [params.page] - Page number.
 	 * @param {number} [params.limit] - Number of results per page.
 	 * @returns {Promise<object>} A promise resolving to the list of market IDs.
-	 * @static
 	 * @see https://docs.vybenetwork.com/reference/get_markets
 	 */
-	static getPriceMarkets(params) {
+	getPriceMarkets(params) {
 		if(!params || !params.programId) throw new Error('params.programId is required.');
 		return this._request('/price/markets', 'GET', params);
 	}
 
 	/**
 	 * Get all available DEXs' and AMMs' programs used for trades and prices.
-	 * Uses API key from `process.env.VYBE_API_KEY`.
+	 * Uses the client's API key.
 	 * @returns {Promise<object>} A promise resolving to the list of DEX/AMM programs.
-	 * @static
 	 * @see https://docs.vybenetwork.com/reference/get_programs
 	 */
-	static getPricePrograms() {
+	getPricePrograms() {
 		return this._request('/price/programs', 'GET');
 	}
 
 	/**
 	 * Retrieve a list of all Pyth oracle price accounts with corresponding product accounts and symbols.
-	 * Uses API key from `process.env.VYBE_API_KEY`.
+	 * Uses the client's API key.
 	 * @param {object} [params={}] - Query parameters.
 	 * @param {string} [params.productId] - Filter by Pyth product ID.
 	 * @param {string} [params.priceFeedId] - Filter by Pyth price feed ID.
+	 * @param {object} [requestOptions] - Transport options, e.g. `{ signal }` to abort the request.
 	 * @returns {Promise<object>} A promise resolving to the list of Pyth accounts.
-	 * @static
 	 * @see https://docs.vybenetwork.com/reference/get_pyth_price_product_pairs
 	 */
-	static getPythAccounts(params = {}) {
-		return this._request('/price/pyth-accounts', 'GET', params);
+	getPythAccounts(params = {}, requestOptions) {
+		return this._request('/price/pyth-accounts', 'GET', params, null, requestOptions);
 	}
 
 	/**
 	 * Retrieve trade price (OHLCV) for a base/quote token pair. (Requires Business plan or higher)
-	 * Uses API key from `process.env.VYBE_API_KEY`.
+	 * Uses the client's API key.
 	 * @param {string} baseMintAddress - The mint address of the base token.
 	 * @param {string} quoteMintAddress - The mint address of the quote token.
 	 * @param {object} [params={}] - Query parameters.
@@ -489,10 +697,9 @@ class VybeService {
 	 * @param {number} [params.page] - Page number.
 	 * @param {number} [params.limit] - Number of results per page.
 	 * @returns {Promise<object>} A promise resolving to the OHLCV data.
-	 * @static
 	 * @see https://docs.vybenetwork.com/reference/get_pair_trade_ohlcv_program
 	 */
-	static getPairTradeOhlcv(baseMintAddress, quoteMintAddress, params = {}) {
+	getPairTradeOhlcv(baseMintAddress, quoteMintAddress, params = {}) {
 		if(!baseMintAddress) throw new Error('baseMintAddress parameter is required.');
 		if(!quoteMintAddress) throw new Error('quoteMintAddress parameter is required.');
 		const path = `/price/${ baseMintAddress }+${ quoteMintAddress }/pair-ohlcv`;
@@ -501,7 +708,7 @@ class VybeService {
 
 	/**
 	 * Get OHLCV price for a unique trading pair or liquidity pool market ID. (Requires Business plan or higher)
-	 * Uses API key from `process.env.VYBE_API_KEY`.
+	 * Uses the client's API key.
 	 * @param {string} marketId - The unique market ID.
 	 * @param {object} [params={}] - Query parameters.
 	 * @param {string} [params.resolution] - Time interval (e.g., '1m', '1h', '1d'). Check docs for options.
@@ -510,17 +717,16 @@ class VybeService {
 	 * @param {number} [params.page] - Page number.
 	 * @param {number} [params.limit] - Number of results per page.
 	 * @returns {Promise<object>} A promise resolving to the OHLCV data.
-	 * @static
 	 * @see https://docs.vybenetwork.com/reference/get_market_filtered_ohlcv
 	 */
-	static getMarketOhlcv(marketId, params = {}) {
+	getMarketOhlcv(marketId, params = {}) {
 		if(!marketId) throw new Error('marketId parameter is required.');
 		return this._request(`/price/${ marketId }/market-ohlcv`, 'GET', params);
 	}
 
 	/**
 	 * Retrieve OHLC for a token's USD price based on aggregated trades.
-	 * Uses API key from `process.env.VYBE_API_KEY`.
+	 * Uses the client's API key.
 	 * @param {string} mintAddress - The token mint address.
 	 * @param {object} [params={}] - Query parameters.
 	 * @param {string} [params.resolution] - Time interval (e.g., '1m', '1h', '1d'). Check docs for options.
@@ -528,31 +734,31 @@ class VybeService {
 	 * @param {number} [params.timeEnd] - End timestamp (Unix seconds).
 	 * @param {number} [params.limit] - Number of results per page.
 	 * @param {number} [params.page] - Page number.
+	 * @param {object} [requestOptions] - Transport options, e.g. `{ signal }` to abort the request.
 	 * @returns {Promise<object>} A promise resolving to the token OHLC data.
-	 * @static
 	 * @see https://docs.vybenetwork.com/reference/get_token_trade_ohlc
 	 */
-	static getTokenOhlc(mintAddress, params = {}) {
+	getTokenOhlc(mintAddress, params = {}, requestOptions) {
 		if(!mintAddress) throw new Error('mintAddress parameter is required.');
-		return this._request(`/price/${ mintAddress }/token-ohlcv`, 'GET', params);
+		return this._request(`/price/${ mintAddress }/token-ohlcv`, 'GET', params, null, requestOptions);
 	}
 
 	/**
 	 * Access up-to-date pricing information through a Pyth Price feed ID.
-	 * Uses API key from `process.env.VYBE_API_KEY`.
+	 * Uses the client's API key.
 	 * @param {string} priceFeedId - The Pyth Price Feed ID.
+	 * @param {object} [requestOptions] - Transport options, e.g. `{ signal }` to abort the request.
 	 * @returns {Promise<object>} A promise resolving to the current Pyth price data.
-	 * @static
 	 * @see https://docs.vybenetwork.com/reference/get_pyth_price
 	 */
-	static getPythPrice(priceFeedId) {
+	getPythPrice(priceFeedId, requestOptions) {
 		if(!priceFeedId) throw new Error('priceFeedId parameter is required.');
-		return this._request(`/price/${ priceFeedId }/pyth-price`, 'GET');
+		return this._request(`/price/${ priceFeedId }/pyth-price`, 'GET', null, null, requestOptions);
 	}
 
 	/**
 	 * Retrieve OHLC data from a Pyth Oracle price feed ID.
-	 * Uses API key from `process.env.VYBE_API_KEY`.
+	 * Uses the client's API key.
 	 * @param {string} priceFeedId - The Pyth Price Feed ID.
 	 * @param {object} [params={}] - Query parameters.
 	 * @param {string} [params.resolution] - Time interval (e.g., '1m', '1h', '1d'). Check docs for options.
@@ -561,17 +767,16 @@ class VybeService {
 	 * @param {number} [params.limit] - Number of results per page.
 	 * @param {number} [params.page] - Page number.
 	 * @returns {Promise<object>} A promise resolving to the Pyth OHLC data.
-	 * @static
 	 * @see https://docs.vybenetwork.com/reference/get_pyth_price_ohlc
 	 */
-	static getPythPriceOhlc(priceFeedId, params = {}) {
+	getPythPriceOhlc(priceFeedId, params = {}) {
 		if(!priceFeedId) throw new Error('priceFeedId parameter is required.');
 		return this._request(`/price/${ priceFeedId }/pyth-price-ohlc`, 'GET', params);
 	}
 
 	/**
 	 * Access real-time and historical oracle prices (time series) of a Pyth Price feed ID.
-	 * Uses API key from `process.env.VYBE_API_KEY`.
+	 * Uses the client's API key.
 	 * @param {string} priceFeedId - The Pyth Price Feed ID.
 	 * @param {object} [params={}] - Query parameters.
 	 * @param {string} [params.resolution] - Time interval (e.g., '1m', '1h', '1d'). Check docs for options.
@@ -580,23 +785,21 @@ class VybeService {
 	 * @param {number} [params.limit] - Number of results per page.
 	 * @param {number} [params.page] - Page number.
 	 * @returns {Promise<object>} A promise resolving to the Pyth price time series data.
-	 * @static
 	 * @see https://docs.vybenetwork.com/reference/get_pyth_price_ts
 	 */
-	static getPythPriceTimeSeries(priceFeedId, params = {}) {
+	getPythPriceTimeSeries(priceFeedId, params = {}) {
 		if(!priceFeedId) throw new Error('priceFeedId parameter is required.');
 		return this._request(`/price/${ priceFeedId }/pyth-price-ts`, 'GET', params);
 	}
 
 	/**
 	 * Retrieve metadata for a specific product using its Product ID from the Pyth network.
-	 * Uses API key from `process.env.VYBE_API_KEY`.
+	 * Uses the client's API key.
 	 * @param {string} productId - The Pyth Product ID.
 	 * @returns {Promise<object>} A promise resolving to the Pyth product metadata.
-	 * @static
 	 * @see https://docs.vybenetwork.com/reference/get_pyth_product
 	 */
-	static getPythProduct(productId) {
+	getPythProduct(productId) {
 		if(!productId) throw new Error('productId parameter is required.');
 		return this._request(`/price/${ productId }/pyth-product`, 'GET');
 	}
@@ -605,23 +808,22 @@ class VybeService {
 
 	/**
 	 * Retrieves a comprehensive list of instruction names derived from discriminants.
-	 * Uses API key from `process.env.VYBE_API_KEY`.
+	 * Uses the client's API key.
 	 * @param {object} [params={}] - Query parameters.
 	 * @param {string} [params.ixName] - Filter by instruction name.
 	 * @param {string} [params.callingInstructions] - Filter by calling instruction.
 	 * @param {string} [params.callingProgram] - Filter by calling program ID.
 	 * @param {string} [params.programName] - Filter by program name label.
 	 * @returns {Promise<object>} A promise resolving to the list of instruction names.
-	 * @static
 	 * @see https://docs.vybenetwork.com/reference/get_token_instruction_names
 	 */
-	static getTokenInstructionNames(params = {}) {
+	getTokenInstructionNames(params = {}) {
 		return this._request('/token/instruction-names', 'GET', params);
 	}
 
 	/**
 	 * Access trade data executed within programs. (Requires Business plan or higher)
-	 * Uses API key from `process.env.VYBE_API_KEY`.
+	 * Uses the client's API key.
 	 * Default window is 14 days if timeStart/timeEnd omitted.
 	 * @param {object} [params={}] - Query parameters.
 	 * @param {string} [params.programId] - Filter by DEX/AMM program ID.
@@ -638,17 +840,30 @@ class VybeService {
 	 * @param {string} [params.sortByAsc] - Field to sort by ascending.
 	 * @param {string} [params.sortByDesc] - Field to sort by descending.
 	 * @param {string} [params.feePayer] - Filter by fee payer address.
+	 * @param {object} [requestOptions] - Transport options, e.g. `{ signal }` to abort the request.
 	 * @returns {Promise<object>} A promise resolving to the trade data.
-	 * @static
 	 * @see https://docs.vybenetwork.com/reference/get_trade_data_program
 	 */
-	static getTokenTrades(params = {}) {
-		return this._request('/token/trades', 'GET', params);
+	getTokenTrades(params = {}, requestOptions) {
+		return this._request('/token/trades', 'GET', params, null, requestOptions);
+	}
+
+	/**
+	 * Iterates over trades, newest first, page by page. With `options.since`, only the trades
+	 * since then are requested (`timeStart`) unless `params` sets its own window.
+	 * @param {object} [params={}] - Query parameters of `getTokenTrades`, without `page` and `limit`.
+	 * @param {import('./pagination.js').PaginateOptions} [options] - When to stop, e.g. `{ since, maxItems }`.
+	 * @param {object} [requestOptions] - Transport options, e.g. `{ signal }` to abort the requests.
+	 * @returns {import('./pagination.js').Paginator}
+	 */
+	iterateTokenTrades(params = {}, options = {}, requestOptions) {
+		const query = this._timeWindowQuery(params, options);
+		return paginate((page, limit) => this.getTokenTrades({ ...query, page, limit }, requestOptions), options);
 	}
 
 	/**
 	 * Retrieve token transfer transactions with filtering options. (Requires Business plan or higher)
-	 * Uses API key from `process.env.VYBE_API_KEY`.
+	 * Uses the client's API key.
 	 * @param {object} [params={}] - Query parameters.
 	 * @param {string} [params.mintAddress] - Filter by token mint address.
 	 * @param {string} [params.signature] - Filter by transaction signature.
@@ -667,47 +882,89 @@ class VybeService {
 	 * @param {number} [params.limit] - Number of results per page.
 	 * @param {string} [params.sortByAsc] - Field to sort by ascending (e.g., 'blockTime').
 	 * @param {string} [params.sortByDesc] - Field to sort by descending (e.g., 'blockTime').
+	 * @param {object} [requestOptions] - Transport options, e.g. `{ signal }` to abort the request.
 	 * @returns {Promise<object>} A promise resolving to the token transfer data.
-	 * @static
 	 * @see https://docs.vybenetwork.com/reference/get_token_transfers
 	 */
-	static getTokenTransfers(params = {}) {
-		return this._request('/token/transfers', 'GET', params);
+	getTokenTransfers(params = {}, requestOptions) {
+		return this._request('/token/transfers', 'GET', params, null, requestOptions);
+	}
+
+	/**
+	 * Iterates over token transfers, newest first, page by page. With `options.since`, only the
+	 * transfers since then are requested (`timeStart`) unless `params` sets its own window.
+	 * @param {object} [params={}] - Query parameters of `getTokenTransfers`, without `page` and `limit`.
+	 * @param {import('./pagination.js').PaginateOptions} [options] - When to stop, e.g. `{ since, maxItems }`.
+	 * @param {object} [requestOptions] - Transport options, e.g. `{ signal }` to abort the requests.
+	 * @returns {import('./pagination.js').Paginator}
+	 */
+	iterateTokenTransfers(params = {}, options = {}, requestOptions) {
+		const query = this._timeWindowQuery(params, options);
+		return paginate((page, limit) => this.getTokenTransfers({ ...query, page, limit }, requestOptions), options);
+	}
+
+	/**
+	 * Builds the query of a time-ordered listing: newest first, so that `paginate` can stop at
+	 * `options.since`, which also becomes `timeStart` when the caller gave no window.
+	 * @param {object} params - Caller's query parameters.
+	 * @param {import('./pagination.js').PaginateOptions} options - Pagination options.
+	 * @returns {object} The query parameters.
+	 * @private
+	 */
+	_timeWindowQuery(params, options) {
+		const query = { sortByDesc: 'blockTime', ...params };
+		if(options.since !== undefined && options.since !== null && query.timeStart === undefined) {
+			query.timeStart = options.since;
+		}
+		return query;
 	}
 
 	/**
 	 * Retrieves token details and 24h activity overview for a specific mint address.
-	 * Uses API key from `process.env.VYBE_API_KEY`.
+	 * Uses the client's API key.
 	 * @param {string} mintAddress - The token mint address.
+	 * @param {object} [requestOptions] - Transport options, e.g. `{ signal }` to abort the request.
 	 * @returns {Promise<object>} A promise resolving to the token details.
-	 * @static
 	 * @see https://docs.vybenetwork.com/reference/get_token_details
 	 */
-	static getTokenDetails(mintAddress) {
+	getTokenDetails(mintAddress, requestOptions) {
 		if(!mintAddress) throw new Error('mintAddress parameter is required.');
-		return this._request(`/token/${ mintAddress }`, 'GET');
+		return this._request(`/token/${ mintAddress }`, 'GET', null, null, requestOptions);
 	}
 
 	/**
 	 * Retrieves the top 1,000 token holders for a specific mint address. (Requires Business plan or higher)
-	 * Uses API key from `process.env.VYBE_API_KEY`.
+	 * Uses the client's API key.
 	 * Data is updated every three hours.
 	 * @param {string} mintAddress - The token mint address.
 	 * @param {object} [params={}] - Query parameters.
 	 * @param {number} [params.page] - Page number (for pagination within the top 1000).
 	 * @param {number} [params.limit] - Number of results per page (max likely 1000 total).
+	 * @param {object} [requestOptions] - Transport options, e.g. `{ signal }` to abort the request.
 	 * @returns {Promise<object>} A promise resolving to the list of top holders.
-	 * @static
 	 * @see https://docs.vybenetwork.com/reference/get_top_holders
 	 */
-	static getTopTokenHolders(mintAddress, params = {}) {
+	getTopTokenHolders(mintAddress, params = {}, requestOptions) {
+		if(!mintAddress) throw new Error('mintAddress parameter is required.');
+		return this._request(`/token/${ mintAddress }/top-holders`, 'GET', params, null, requestOptions);
+	}
+
+	/**
+	 * Iterates over the top holders of a token, largest first, page by page.
+	 * @param {string} mintAddress - The token mint address.
+	 * @param {object} [params={}] - Query parameters of `getTopTokenHolders`, without `page` and `limit`.
+	 * @param {import('./pagination.js').PaginateOptions} [options] - When to stop, e.g. `{ maxItems }`.
+	 * @param {object} [requestOptions] - Transport options, e.g. `{ signal }` to abort the requests.
+	 * @returns {import('./pagination.js').Paginator}
+	 */
+	iterateTopTokenHolders(mintAddress, params = {}, options, requestOptions) {
 		if(!mintAddress) throw new Error('mintAddress parameter is required.');
-		return this._request(`/token/${ mintAddress }/top-holders`, 'GET', params);
+		return paginate((page, limit) => this.getTopTokenHolders(mintAddress, { ...params, page, limit }, requestOptions), options);
 	}
 
 	/**
 	 * Retrieves time series data of token holders count for a specific mint ID. (Requires Business plan or higher)
-	 * Uses API key from `process.env.VYBE_API_KEY`.
+	 * Uses the client's API key.
 	 * @param {string} mintId - The token mint address.
 	 * @param {object} [params={}] - Query parameters.
 	 * @param {number} [params.startTime] - Start timestamp (Unix seconds).
@@ -716,17 +973,16 @@ class VybeService {
 	 * @param {number} [params.limit] - Limit number of data points.
 	 * @param {number} [params.page] - Page number.
 	 * @returns {Promise<object>} A promise resolving to the holders time series data.
-	 * @static
 	 * @see https://docs.vybenetwork.com/reference/get_token_holders_time_series
 	 */
-	static getTokenHoldersTimeSeries(mintId, params = {}) {
+	getTokenHoldersTimeSeries(mintId, params = {}) {
 		if(!mintId) throw new Error('mintId parameter is required.');
 		return this._request(`/token/${ mintId }/holders-ts`, 'GET', params);
 	}
 
 	/**
 	 * Retrieves token volume in USD over a specified period for a specific mint ID. (Requires Business plan or higher)
-	 * Uses API key from `process.env.VYBE_API_KEY`.
+	 * Uses the client's API key.
 	 * @param {string} mintId - The token mint address.
 	 * @param {object} [params={}] - Query parameters.
 	 * @param {number} [params.startTime] - Start timestamp (Unix seconds).
@@ -735,143 +991,65 @@ class VybeService {
 	 * @param {number} [params.limit] - Limit number of data points.
 	 * @param {number} [params.page] - Page number.
 	 * @returns {Promise<object>} A promise resolving to the volume time series data.
-	 * @static
 	 * @see https://docs.vybenetwork.com/reference/get_token_volume_time_series
 	 */
-	static getTokenVolumeTimeSeries(mintId, params = {}) {
+	getTokenVolumeTimeSeries(mintId, params = {}) {
 		if(!mintId) throw new Error('mintId parameter is required.');
 		return this._request(`/token/${ mintId }/transfer-volume`, 'GET', params);
 	}
 
 	/**
 	 * Retrieves a list of tracked tokens with sorting options.
-	 * Uses API key from `process.env.VYBE_API_KEY`.
+	 * Uses the client's API key.
 	 * @param {object} [params={}] - Query parameters.
 	 * @param {string} [params.sortByAsc] - Field to sort by ascending.
 	 * @param {string} [params.sortByDesc] - Field to sort by descending.
 	 * @param {number} [params.limit] - Number of results per page.
 	 * @param {number} [params.page] - Page number.
+	 * @param {object} [requestOptions] - Transport options, e.g. `{ signal }` to abort the request.
 	 * @returns {Promise<object>} A promise resolving to the list of tokens.
-	 * @static
 	 * @see https://docs.vybenetwork.com/reference/get_tokens_summary
 	 */
-	static getTokensSummary(params = {}) {
-		return this._request('/tokens', 'GET', params);
+	getTokensSummary(params = {}, requestOptions) {
+		return this._request('/tokens', 'GET', params, null, requestOptions);
 	}
 
 	// --- NFT Collection Endpoints ---
 
 	/**
 	 * Get owners of NFTs within a specific collection address. (Requires Business plan or higher)
-	 * Uses API key from `process.env.VYBE_API_KEY`.
+	 * Uses the client's API key.
 	 * @param {string} collectionAddress - The address of the NFT collection.
 	 * @param {object} [params={}] - Query parameters.
 	 * @returns {Promise<object>} A promise resolving to the list of collection owners.
-	 * @static
 	 * @see https://docs.vybenetwork.com/reference/get_collection_owners
 	 */
-	static getNftCollectionOwners(collectionAddress, params = {}) {
+	getNftCollectionOwners(collectionAddress, params = {}) {
 		if(!collectionAddress) throw new Error('collectionAddress parameter is required.');
 		return this._request(`/nft/collection-owners/${ collectionAddress }`, 'GET', params);
 	}
 
 	// --- WebSocket Interaction ---
 	// Note: WebSockets require a Business or Premium subscription plan.
-	// These methods help initiate and configure the connection. The caller manages the WebSocket object itself.
-
-	/**
-	 * Creates and initiates a WebSocket connection to the Vybe real-time data stream.
-	 * **Requires a Business or Premium plan.**
-	 * Uses API key from `process.env.VYBE_API_KEY` (must be a Business/Premium key).
-	 * Remember to get your specific WebSocket URI from the Vybe dashboard.
-	 * @param {object} callbacks - Callback functions for WebSocket events.
-	 * @param {function} [callbacks.onOpen] - Called when the connection is established. Receives the WebSocket event.
-	 * @param {function} [callbacks.onMessage] - Called when a message is received. Receives the WebSocket message event. Message data needs parsing (JSON.parse).
-	 * @param {function} [callbacks.onError] - Called when an error occurs. Receives the WebSocket error event.
-	 * @param {function} [callbacks.onClose] - Called when the connection is closed. Receives the WebSocket close event.
-	 * @param {string} [websocketUri=VybeService._WEBSOCKET_URL] - The specific WebSocket URI provided by Vybe. Defaults to the class placeholder.
-	 * @param {boolean} [enableReconnect=false] - Simple flag for basic reconnect logic example (implement robust reconnect separately).
-	 * @returns {WebSocket} The WebSocket instance. The caller is responsible for managing this instance.
-	 * @throws {Error} If the VYBE_API_KEY environment variable is not set.
-	 * @static
-	 * @see https://docs.vybenetwork.com/docs/connecting-to-websocket
-	 */
-	static createWebSocketConnection(callbacks, websocketUri = VybeService._WEBSOCKET_URL, enableReconnect = false) {
-		// Dynamically import 'ws' only if in Node.js and needed
-		const WebSocket = require('ws'); // Ensure 'ws' is installed (`npm install ws`)
-
-		const apiKey = this._getApiKey(); // Get API key or throw error (Must be Business/Premium for WS)
-
-		if(!websocketUri || websocketUri === 'wss://your-websocket-uri-here') {
-			console.warn('WebSocket URI is not set or is using the placeholder. Get the correct URI from your Vybe dashboard.');
-			// Consider throwing an error if a real URI is strictly required
-			// throw new Error("WebSocket URI is required. Obtain it from your Vybe dashboard.");
-		}
-
-		const ws = new WebSocket(websocketUri, {
-			headers: { 'X-API-Key': apiKey },
-		});
-
-		// Attach event listeners (same as before)
-		ws.onopen = (event) => {
-			console.log('Vybe WebSocket connection established.', event);
-			if(callbacks.onOpen) callbacks.onOpen(event);
-		};
-		ws.onmessage = (messageEvent) => {
-			if(callbacks.onMessage) callbacks.onMessage(messageEvent);
-		};
-		ws.onerror = (errorEvent) => {
-			console.error('Vybe WebSocket error:', errorEvent);
-			if(callbacks.onError) callbacks.onError(errorEvent);
-			if(enableReconnect) {
-				console.log('Attempting WebSocket reconnect...');
-				setTimeout(() => VybeService.createWebSocketConnection(callbacks, websocketUri, enableReconnect), 5000);
-			}
-		};
-		ws.onclose = (closeEvent) => {
-			console.log('Vybe WebSocket connection closed:', closeEvent.code, closeEvent.reason);
-			if(callbacks.onClose) callbacks.onClose(closeEvent);
-			if(enableReconnect && !closeEvent.wasClean) {
-				console.log('Attempting WebSocket reconnect...');
-				setTimeout(() => VybeService.createWebSocketConnection(callbacks, websocketUri, enableReconnect), 5000);
-			}
-		};
-
-		return ws;
-	}
 
 	/**
-	 * Sends a filter configuration message to an active Vybe WebSocket connection.
-	 * Use this after the 'open' event to specify which data streams and filters you need.
-	 * Sending a new configuration updates the stream without reconnecting.
-	 * @param {WebSocket} wsInstance - The active WebSocket instance returned by `createWebSocketConnection`.
-	 * @param {WebSocketFilterConfig} filters - The filter configuration object.
-	 * @static
-	 * @see https://docs.vybenetwork.com/docs/filter-configuration
+	 * Creates a managed stream of Vybe real-time data, which reconnects by itself and re-sends
+	 * its filters after each reconnect. **Requires a Business or Premium plan.**
+	 * Uses the client's API key and WebSocket URL. Remember to get your specific WebSocket URI
+	 * from the Vybe dashboard. Listen for `trades`, `transfers` or `oraclePrices`, call
+	 * `configure(filters)` and `connect()`.
+	 * @param {object} [options={}] - Stream options (see `VybeStream`), e.g. `{ heartbeatIntervalMs }`.
+	 * @returns {VybeStream} The stream, not yet connected.
+	 * @throws {Error} If the client has no API key or WebSocket URL.
+	 * @see https://docs.vybenetwork.com/docs/connecting-to-websocket
 	 */
-	static sendWebSocketConfigure(wsInstance, filters) {
-		// Check if wsInstance is a valid WebSocket object from 'ws' library
-		const WebSocket = require('ws'); // Make sure WebSocket is defined
-		if(!wsInstance || !(wsInstance instanceof WebSocket) || wsInstance.readyState !== WebSocket.OPEN) {
-			console.error('WebSocket is not open or not a valid instance. Cannot send configuration.');
-			return;
-		}
-		if(!filters || typeof filters !== 'object') {
-			throw new Error('Filters object is required.');
-		}
-
-		const configureMessage = JSON.stringify({
-			type: 'configure',
-			filters: filters,
+	createStream(options = {}) {
+		return new VybeStream({
+			url: this._websocketUrl,
+			apiKey: this._getApiKey(),
+			logger: this._logger,
+			...options,
 		});
-
-		try {
-			wsInstance.send(configureMessage);
-			console.log('Sent WebSocket configuration:', filters);
-		} catch(error) {
-			console.error('Failed to send WebSocket configuration:', error);
-			throw error;
-		}
 	}
 
 	// --- Network Graph Widget --- (No change needed, doesn't use API key)
@@ -882,10 +1060,9 @@ class VybeService {
 	 * @param {'wallet' | 'program' | 'token'} params.entity - The type of the entity address. Required.
 	 * @param {'program' | 'token' | 'wallet'} [params.connectionNode='program'] - How to display connections.
 	 * @returns {string} The URL for the iframe src attribute.
-	 * @static
 	 * @see https://docs.vybenetwork.com/docs/network-graph
 	 */
-	static getNetworkGraphWidgetUrl(params) {
+	getNetworkGraphWidgetUrl(params) {
 		if(!params || !params.address || !params.entity) {
 			throw new Error('address and entity parameters are required for the Network Graph Widget.');
 		}
@@ -900,21 +1077,25 @@ class VybeService {
 	}
 
 	// --- Informational Methods --- (No change needed)
-	/** @static */
-	static getBulkDataExportInfo() { /* ... unchanged ... */
+	getBulkDataExportInfo() { /* ... unchanged ... */
 		return 'Vybe Network\'s Bulk Data Export service provides historical Solana data for enterprise use. Access requires contacting Vybe via their Enterprise Bulk Data Export Request Form or support@vybenetwork.com. See: https://docs.vybenetwork.com/docs/bulk-data-export';
 	}
 
-	/** @static */
-	static getApiKeyInfo() { /* ... unchanged ... */
+	getApiKeyInfo() { /* ... unchanged ... */
 		return 'To get a Vybe API Key, sign in to AlphaVybe (https://alpha.vybenetwork.com/api-plans) using a Solana wallet or social login. Navigate to your dashboard -> API Management to generate a free API key or manage subscriptions. Set the key in the \'VYBE_API_KEY\' environment variable for this class to use it. See: https://docs.vybenetwork.com/docs/getting-started';
 	}
 
-	/** @static */
-	static getSubscriptionInfo() { /* ... unchanged ... */
+	getSubscriptionInfo() { /* ... unchanged ... */
 		return 'Manage your Vybe API subscription via the AlphaVybe dashboard (https://alpha.vybenetwork.com/dashboard/api-management or https://alpha.vybenetwork.com/api-plans). Upgrades and downgrades are handled through Stripe. See: https://docs.vybenetwork.com/docs/upgrading-your-subscription';
 	}
 
 }
 
+/**
+ * The default client, configured from the environment. Kept as the module's default export so
+ * existing `VybeService.<method>()` callers work unchanged.
+ * @type {VybeClient}
+ */
+const VybeService = new VybeClient();
+
 export default VybeService;
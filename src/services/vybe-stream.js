@@ -0,0 +1,333 @@
+import { EventEmitter } from 'node:events';
+import WebSocket from 'ws';
+import logger from '../logger.js';
+
+/**
+ * @fileoverview VybeStream - Managed connection to the Vybe real-time WebSocket API (Business
+ * and Premium plans). A stream keeps a single socket open: when it drops, or stops answering
+ * the heartbeat pings, it reconnects with jittered exponential backoff and sends the last
+ * `configure` filters again, so subscribers keep receiving data without doing anything.
+ * Messages are emitted as `trades`, `transfers` and `oraclePrices` events.
+ */
+
+/** Placeholder URI used until the one from the Vybe dashboard is configured. */
+const PLACEHOLDER_URL = 'wss://your-websocket-uri-here';
+
+/**
+ * Streams of the Vybe WebSocket API, which are also the names of the events emitted for them.
+ * @type {Array<string>}
+ */
+export const STREAMS = [ 'trades', 'transfers', 'oraclePrices' ];
+
+/**
+ * Represents the structure for filter objects used in WebSocket configuration.
+ * @typedef {object} WebSocketFilterConfig
+ * @property {Array<object>} [trades] - Filters for the trades stream. Empty array receives all. Omit to receive none.
+ * @property {Array<object>} [transfers] - Filters for the transfers stream. Empty array receives all. Omit to receive none.
+ * @property {Array<object>} [oraclePrices] - Filters for the Pyth oracle prices stream. Empty array receives all. Omit to receive none.
+ * // Add other potential streams like NFT Events when available
+ */
+
+/**
+ * Tells which stream a message belongs to: its `type` when it names one, otherwise the fields
+ * that only messages of that stream carry.
+ * @param {object} message - A parsed message.
+ * @returns {string|null} One of the `STREAMS`, or null for other messages (e.g. acknowledgements).
+ */
+function streamOf(message) {
+	if(STREAMS.includes(message.type)) {
+		return message.type;
+	}
+	if('senderAddress' in message || 'receiverAddress' in message) {
+		return 'transfers';
+	}
+	if('baseMintAddress' in message || 'quoteMintAddress' in message) {
+		return 'trades';
+	}
+	if('priceFeedAccount' in message || 'confidence' in message) {
+		return 'oraclePrices';
+	}
+	return null;
+}
+
+/**
+ * Managed Vybe WebSocket connection.
+ *
+ * Events:
+ * - `open` - The socket is connected (again); the last filters were sent.
+ * - `trades`, `transfers`, `oraclePrices` - A message of that stream (parsed JSON).
+ * - `message` - Every parsed message, including those of no known stream.
+ * - `reconnecting` - `{ attempt, delay }` before a reconnect is scheduled.
+ * - `close` - The stream was closed with `close()` or gave up reconnecting.
+ * - `error` - A socket error or an unparseable message. Without listeners, errors are only logged.
+ */
+export class VybeStream extends EventEmitter {
+
+	/**
+	 * Creates a stream; call `connect()` to open it.
+	 * @param {object} options - Stream options.
+	 * @param {string} options.url - URI of the Vybe WebSocket API.
+	 * @param {string} options.apiKey - Vybe API key (Business or Premium).
+	 * @param {import('pino').Logger} [options.logger] - Logger; defaults to the server logger.
+	 * @param {number} [options.heartbeatIntervalMs=30000] - Interval of the pings; a socket that
+	 *   has not answered by the next ping is considered dead and replaced.
+	 * @param {number} [options.reconnectBaseMs=1000] - First reconnect delay, doubled on each attempt.
+	 * @param {number} [options.reconnectMaxMs=30000] - Longest reconnect delay.
+	 * @param {number} [options.maxReconnectAttempts=Infinity] - Consecutive failed attempts
+	 *   after which the stream gives up and closes.
+	 */
+	constructor({
+		url,
+		apiKey,
+		logger: streamLogger = logger,
+		heartbeatIntervalMs = 30 * 1000,
+		reconnectBaseMs = 1000,
+		reconnectMaxMs = 30 * 1000,
+		maxReconnectAttempts = Infinity,
+	}) {
+		super();
+		if(!url || url === PLACEHOLDER_URL) {
+			throw new Error('WebSocket URI is not set. Get the URI from your Vybe dashboard and set VYBE_WEBSOCKET_URL.');
+		}
+		if(!apiKey) {
+			throw new Error('apiKey is required to open a Vybe stream.');
+		}
+		this._url = url;
+		this._apiKey = apiKey;
+		this._logger = streamLogger;
+		this._heartbeatIntervalMs = heartbeatIntervalMs;
+		this._reconnectBaseMs = reconnectBaseMs;
+		this._reconnectMaxMs = reconnectMaxMs;
+		this._maxReconnectAttempts = maxReconnectAttempts;
+
+		/** @type {WebSocket|null} */
+		this._socket = null;
+		/** @type {WebSocketFilterConfig|null} */
+		this._filters = null;
+		this._state = 'idle';
+		this._attempts = 0;
+		this._alive = false;
+		this._heartbeatTimer = null;
+		this._reconnectTimer = null;
+	}
+
+	/**
+	 * Connection state.
+	 * @type {'idle'|'connecting'|'open'|'reconnecting'|'closed'}
+	 */
+	get state() {
+		return this._state;
+	}
+
+	/**
+	 * Opens the connection. Does nothing when it is already open or being opened.
+	 * @returns {VybeStream} The stream, for chaining.
+	 */
+	connect() {
+		if(this._state === 'idle' || this._state === 'closed') {
+			this._attempts = 0;
+			this._open();
+		}
+		return this;
+	}
+
+	/**
+	 * Sets the filters of the stream: sent now when connected, and again after every reconnect.
+	 * Sending a new configuration updates the stream without reconnecting.
+	 * @param {WebSocketFilterConfig} filters - The filter configuration object.
+	 * @returns {boolean} Whether the filters were sent now (otherwise they are sent on connect).
+	 * @see https://docs.vybenetwork.com/docs/filter-configuration
+	 */
+	configure(filters) {
+		if(!filters || typeof filters !== 'object' || Array.isArray(filters)) {
+			throw new Error('Filters object is required.');
+		}
+		this._filters = filters;
+		return this._sendFilters();
+	}
+
+	/**
+	 * Closes the connection for good; no reconnect follows. `connect()` opens it again.
+	 */
+	close() {
+		if(this._state === 'idle' || this._state === 'closed') {
+			return;
+		}
+		this._shutdown();
+		this.emit('close');
+	}
+
+	/**
+	 * Opens a new socket and wires its events. Events of replaced sockets are ignored, so there
+	 * is never more than one live connection.
+	 * @private
+	 */
+	_open() {
+		this._state = this._attempts === 0 ? 'connecting' : 'reconnecting';
+		const socket = new WebSocket(this._url, { headers: { 'X-API-Key': this._apiKey } });
+		this._socket = socket;
+
+		socket.on('open', () => {
+			if(socket !== this._socket) {
+				return;
+			}
+			this._state = 'open';
+			this._attempts = 0;
+			this._alive = true;
+			this._startHeartbeat();
+			this._logger.info({ url: this._url }, 'Vybe stream connected');
+			this._sendFilters();
+			this.emit('open');
+		});
+		socket.on('pong', () => {
+			if(socket !== this._socket) {
+				return;
+			}
+			this._alive = true;
+		});
+		socket.on('message', data => {
+			if(socket !== this._socket) {
+				return;
+			}
+			this._alive = true;
+			this._handleMessage(data);
+		});
+		socket.on('error', error => {
+			if(socket !== this._socket) {
+				return;
+			}
+			// A 'close' always follows, and that is where reconnects are scheduled
+			this._reportError(error, 'Vybe stream socket error');
+		});
+		socket.on('close', (code, reason) => {
+			if(socket !== this._socket) {
+				return;
+			}
+			this._socket = null;
+			this._stopHeartbeat();
+			this._logger.warn({ code, reason: String(reason || '') }, 'Vybe stream disconnected');
+			this._scheduleReconnect();
+		});
+	}
+
+	/**
+	 * Parses a message and emits it on `message` and on the event of its stream.
+	 * @param {Buffer|string} data - Raw message.
+	 * @private
+	 */
+	_handleMessage(data) {
+		let message;
+		try {
+			message = JSON.parse(String(data));
+		} catch(error) {
+			this._reportError(new Error(`Unparseable Vybe stream message: ${ error.message }`, { cause: error }), 'Unparseable Vybe stream message');
+			return;
+		}
+		if(!message || typeof message !== 'object') {
+			return;
+		}
+		this.emit('message', message);
+		const stream = streamOf(message);
+		if(stream) {
+			this.emit(stream, message);
+		}
+	}
+
+	/**
+	 * Sends the current filters if the socket is open.
+	 * @returns {boolean} Whether they were sent.
+	 * @private
+	 */
+	_sendFilters() {
+		if(!this._filters || !this._socket || this._socket.readyState !== WebSocket.OPEN) {
+			return false;
+		}
+		this._socket.send(JSON.stringify({ type: 'configure', filters: this._filters }));
+		this._logger.debug({ filters: this._filters }, 'Sent Vybe stream configuration');
+		return true;
+	}
+
+	/**
+	 * Pings the socket every `heartbeatIntervalMs` and drops it when the previous ping got no
+	 * answer (and no message arrived meanwhile).
+	 * @private
+	 */
+	_startHeartbeat() {
+		this._stopHeartbeat();
+		this._heartbeatTimer = setInterval(() => {
+			const socket = this._socket;
+			if(!socket) {
+				return;
+			}
+			if(!this._alive) {
+				this._logger.warn({ url: this._url }, 'Vybe stream heartbeat missed, reconnecting');
+				// terminate() emits 'close', which schedules the reconnect
+				socket.terminate();
+				return;
+			}
+			this._alive = false;
+			socket.ping();
+		}, this._heartbeatIntervalMs);
+	}
+
+	/** @private */
+	_stopHeartbeat() {
+		clearInterval(this._heartbeatTimer);
+		this._heartbeatTimer = null;
+	}
+
+	/**
+	 * Schedules the next connection attempt with exponential backoff and jitter, or closes the
+	 * stream once `maxReconnectAttempts` is exhausted.
+	 * @private
+	 */
+	_scheduleReconnect() {
+		if(this._attempts >= this._maxReconnectAttempts) {
+			this._logger.error({ url: this._url, attempts: this._attempts }, 'Vybe stream gave up reconnecting');
+			this._shutdown();
+			this.emit('close');
+			return;
+		}
+		const backoff = Math.min(this._reconnectMaxMs, this._reconnectBaseMs * 2 ** this._attempts);
+		const delay = Math.round(backoff / 2 + Math.random() * backoff / 2);
+		this._attempts++;
+		this._state = 'reconnecting';
+		this._logger.info({ attempt: this._attempts, delay }, 'Vybe stream reconnecting');
+		this.emit('reconnecting', { attempt: this._attempts, delay });
+		this._reconnectTimer = setTimeout(() => {
+			this._reconnectTimer = null;
+			this._open();
+		}, delay);
+	}
+
+	/**
+	 * Stops the timers and the socket and marks the stream closed.
+	 * @private
+	 */
+	_shutdown() {
+		this._state = 'closed';
+		this._stopHeartbeat();
+		clearTimeout(this._reconnectTimer);
+		this._reconnectTimer = null;
+		const socket = this._socket;
+		this._socket = null;
+		if(socket) {
+			// Errors of a socket being discarded are of no interest
+			socket.on('error', () => {});
+			socket.terminate();
+		}
+	}
+
+	/**
+	 * Emits `error` when someone listens for it, and logs it in any case.
+	 * @param {Error} error - The error.
+	 * @param {string} message - Log message.
+	 * @private
+	 */
+	_reportError(error, message) {
+		this._logger.warn({ error: error.message }, message);
+		if(this.listenerCount('error') > 0) {
+			this.emit('error', error);
+		}
+	}
+}
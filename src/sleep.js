@@ -0,0 +1,30 @@
+/**
+ * @fileoverview Abort-aware delay, used between retries of upstream requests (the Vybe API
+ * and the model APIs) so a cancelled request stops waiting at once instead of retrying.
+ */
+
+/**
+ * Waits before a retry, giving up early if the request is cancelled.
+ * @param {number} ms - Delay.
+ * @param {AbortSignal} [signal] - Caller's signal.
+ * @returns {Promise<void>} Rejects with an `AbortError` on cancellation.
+ */
+export function sleep(ms, signal) {
+	return new Promise((resolve, reject) => {
+		const abort = () => {
+			clearTimeout(timer);
+			const error = new Error('The operation was aborted');
+			error.name = 'AbortError';
+			reject(error);
+		};
+		const timer = setTimeout(() => {
+			signal?.removeEventListener('abort', abort);
+			resolve();
+		}, ms);
+		if(signal?.aborted) {
+			abort();
+			return;
+		}
+		signal?.addEventListener('abort', abort, { once: true });
+	});
+}
@@ -0,0 +1,78 @@
+/**
+ * @fileoverview stdio entry point, for MCP clients that launch the server as a child process
+ * and exchange newline-delimited JSON-RPC messages over stdin/stdout. Uses the same dispatch as
+ * `POST /mcp`, without the HTTP-only API key and rate limit middleware.
+ *
+ * Example client configuration:
+ *   { "command": "node", "args": ["/path/to/src/stdio.js"], "env": { "VYBE_API_KEY": "..." } }
+ */
+import readline from 'readline';
+
+// stdout carries protocol messages only; the logger checks this before it is first imported
+process.env.MCP_TRANSPORT = 'stdio';
+
+const { default: logger } = await import('./logger.js');
+const { handlePayload, internalErrorResponse } = await import('./mcp/dispatcher.js');
+const { LOCAL_PRINCIPAL } = await import('./auth.js');
+
+/**
+ * Writes one JSON-RPC message to stdout.
+ * @param {object} message - The message to send.
+ */
+function send(message) {
+	process.stdout.write(`${ JSON.stringify(message) }\n`);
+}
+
+const rl = readline.createInterface({ input: process.stdin });
+const pending = new Set();
+
+// The stdio connection is a single implicit session, owned by whoever launched the process
+const connection = {
+	session: { id: 'stdio', logLevel: 'info', send },
+	principal: LOCAL_PRINCIPAL,
+	sendNotification: send,
+};
+
+rl.on('line', line => {
+	if(!line.trim()) {
+		return;
+	}
+
+	let message;
+	try {
+		message = JSON.parse(line);
+	} catch(error) {
+		logger.warn({ error: error.message }, 'Invalid JSON received on stdin');
+		send({
+			jsonrpc: '2.0',
+			error: {
+				code: -32700,
+				message: 'Parse error',
+			},
+			id: null,
+		});
+		return;
+	}
+
+	const task = handlePayload(message, connection).then(response => {
+		if(response) {
+			send(response);
+		}
+	}).catch(error => {
+		logger.error({ error: error.message }, 'Unhandled error processing stdin message');
+		const response = internalErrorResponse(message);
+		if(response) {
+			send(response);
+		}
+	}).finally(() => pending.delete(task));
+	pending.add(task);
+});
+
+rl.on('close', async () => {
+	logger.info('stdin closed, shutting down stdio MCP server');
+	// Let in-flight requests answer before exiting
+	await Promise.allSettled([ ...pending ]);
+	process.exit(0);
+});
+
+logger.info('Solana On-Chain Analytics MCP server running on stdio');
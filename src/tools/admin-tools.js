@@ -0,0 +1,20 @@
+import { SCOPES } from '../auth.js';
+import { ADMIN_PARAM_SCHEMAS } from '../schemas/admin-schemas.js';
+import { handleCacheInvalidate } from '../handlers/admin-handlers.js';
+import { registerTool } from './registry.js';
+
+/**
+ * @fileoverview Registers the administration methods. They require the admin scope and are
+ * callable as JSON-RPC methods only (not advertised as MCP tools).
+ */
+
+registerTool({
+	name: 'cache_invalidate',
+	description: 'Removes cached results, from memory and Redis, for a method or for the cache keys matching a pattern.',
+	category: 'Administration',
+	schema: ADMIN_PARAM_SCHEMAS.cache_invalidate,
+	handler: handleCacheInvalidate,
+	scopes: [ SCOPES.ADMIN ],
+	listed: false,
+	example: { method: 'solana_token_price' },
+});
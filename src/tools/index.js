@@ -0,0 +1,11 @@
+import './solana-tools.js';
+import './llm-tools.js';
+import './session-tools.js';
+import './admin-tools.js';
+
+/**
+ * @fileoverview Entry point of the tool registry. Importing it registers every tool; new tool
+ * modules must be imported here.
+ */
+
+export { getInputSchema, getOutputSchema, getTool, listTools, toToolDefinition } from './registry.js';
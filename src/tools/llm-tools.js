@@ -0,0 +1,85 @@
+import { SCOPES } from '../auth.js';
+import { LLM_PARAM_SCHEMAS } from '../schemas/llm-schemas.js';
+import { handleLlmGenerate, handleOpenAIGenerate, handleAnthropicGenerate, handleUsageReport, handleClearContext } from '../handlers/llm-handlers.js';
+import { registerTool } from './registry.js';
+
+/**
+ * @fileoverview Registers the language model and conversation context methods. They depend on
+ * per-session state, so they are never cached, and they are callable as JSON-RPC methods only
+ * (not advertised as MCP tools).
+ */
+
+registerTool({
+	name: 'llm_generate',
+	description: 'Generates a response with any configured provider (OpenAI, Anthropic or an OpenAI-compatible local server), chosen by model name, with optional failover to other models.',
+	category: 'Language Model',
+	schema: LLM_PARAM_SCHEMAS.llm_generate,
+	handler: handleLlmGenerate,
+	scopes: [ SCOPES.LLM_GENERATE ],
+	listed: false,
+	example: {
+		prompt: 'Summarize what makes a Solana wallet look like a market maker.',
+		model: 'llama3.1:8b',
+		fallback_models: [ 'gpt-4o-mini', 'claude-3-5-haiku-20241022' ],
+		max_tokens: 500,
+		session_id: 'session-123456',
+	},
+});
+
+registerTool({
+	name: 'openai_generate',
+	description: 'Generates a response using OpenAI models.',
+	category: 'Language Model',
+	schema: LLM_PARAM_SCHEMAS.openai_generate,
+	handler: handleOpenAIGenerate,
+	scopes: [ SCOPES.LLM_GENERATE ],
+	listed: false,
+	example: {
+		prompt: 'Who are the top holders of USDC, and how concentrated is the supply?',
+		model: 'gpt-4o',
+		max_tokens: 500,
+		session_id: 'session-123456',
+		tools: [ 'solana_token_holders', 'solana_token_details' ],
+		max_steps: 3,
+	},
+});
+
+registerTool({
+	name: 'anthropic_generate',
+	description: 'Generates a response using Anthropic Claude models.',
+	category: 'Language Model',
+	schema: LLM_PARAM_SCHEMAS.anthropic_generate,
+	handler: handleAnthropicGenerate,
+	scopes: [ SCOPES.LLM_GENERATE ],
+	listed: false,
+	example: {
+		system: 'You are a concise blockchain engineer.',
+		prompt: 'Explain how Solana\'s architecture differs from Ethereum.',
+		model: 'claude-3-5-sonnet-20240620',
+		max_tokens: 500,
+		temperature: 0.3,
+		session_id: 'session-123456',
+	},
+});
+
+registerTool({
+	name: 'usage_report',
+	description: 'Reports LLM token usage and cost for the month, in total, per model and per session, with the remaining monthly spend cap.',
+	category: 'Language Model',
+	schema: LLM_PARAM_SCHEMAS.usage_report,
+	handler: handleUsageReport,
+	scopes: [ SCOPES.LLM_GENERATE ],
+	listed: false,
+	example: { month: '2025-01' },
+});
+
+registerTool({
+	name: 'clear_context',
+	description: 'Clears conversation context for a specific session.',
+	category: 'Language Model',
+	schema: LLM_PARAM_SCHEMAS.clear_context,
+	handler: handleClearContext,
+	scopes: [ SCOPES.LLM_GENERATE ],
+	listed: false,
+	example: { session_id: 'session-123456' },
+});
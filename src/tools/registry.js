@@ -0,0 +1,124 @@
+import { cachePolicy } from '../cache.js';
+import { toJsonSchema } from '../schemas/validation.js';
+
+/**
+ * @fileoverview Registry of the methods served by the MCP server. Every method is registered
+ * once with its schema, handler, cache policy and required scopes; dispatch, caching,
+ * `tools/list` and the `/api-docs` page are all derived from these entries.
+ */
+
+/**
+ * @typedef {object} CachePolicy
+ * @property {number} ttl - Seconds to keep a result in the in-memory cache.
+ * @property {number} [redisTtl] - Seconds to keep a result in Redis. Results are not shared through Redis when omitted.
+ * @property {number} [staleTtl] - Seconds an expired result is still served while it is refreshed in the background.
+ */
+
+/**
+ * @typedef {object} Tool
+ * @property {string} name - Method name, also the MCP tool name.
+ * @property {string} description - Human readable description for clients and models.
+ * @property {string} category - Heading the tool is grouped under in the API docs.
+ * @property {import('zod').ZodTypeAny} schema - Parameter schema used for validation and `inputSchema`.
+ * @property {import('zod').AnyZodObject} [outputSchema] - Shape of the result's `structuredContent`, advertised as `outputSchema`.
+ * @property {function(object, object): Promise<object>} handler - Receives validated params and the request context.
+ * @property {CachePolicy|false} cache - Cache policy, or false for methods that must always run. `MCP_CACHE_POLICIES` overrides it (see src/cache.js).
+ * @property {Array<string>} scopes - Scopes the caller needs (see src/auth.js).
+ * @property {boolean} listed - Whether the tool is advertised in `tools/list` and callable through `tools/call`.
+ * @property {object} [example] - Example params shown in the API docs.
+ */
+
+/** @type {Map<string, Tool>} */
+const tools = new Map();
+
+/** @type {Map<string, object>} */
+const inputSchemas = new Map();
+
+/** @type {Map<string, object>} */
+const outputSchemas = new Map();
+
+/**
+ * Registers a method.
+ * @param {object} tool - The tool definition; `outputSchema`, `cache`, `scopes` and `listed` are optional.
+ * @returns {Tool} The registered tool.
+ */
+export function registerTool({
+	name,
+	description,
+	category,
+	schema,
+	outputSchema,
+	handler,
+	cache = false,
+	scopes = [],
+	listed = true,
+	example,
+}) {
+	if(tools.has(name)) {
+		throw new Error(`Tool '${ name }' is already registered`);
+	}
+	const tool = { name, description, category, schema, outputSchema, handler, cache: cachePolicy(name, cache), scopes, listed, example };
+	tools.set(name, tool);
+	return tool;
+}
+
+/**
+ * Looks up a registered method by name.
+ * @param {string} name - Method name.
+ * @returns {Tool|undefined} The tool, if registered.
+ */
+export function getTool(name) {
+	return tools.get(name);
+}
+
+/**
+ * Lists registered methods in registration order.
+ * @param {object} [filter={}] - Optional filters.
+ * @param {boolean} [filter.listed] - Only tools with this `listed` flag.
+ * @returns {Array<Tool>}
+ */
+export function listTools({ listed } = {}) {
+	const all = [ ...tools.values() ];
+	return listed === undefined ? all : all.filter(tool => tool.listed === listed);
+}
+
+/**
+ * JSON Schema of a tool's parameters, generated once per tool.
+ * @param {Tool} tool - The tool.
+ * @returns {object} The JSON Schema.
+ */
+export function getInputSchema(tool) {
+	if(!inputSchemas.has(tool.name)) {
+		inputSchemas.set(tool.name, toJsonSchema(tool.schema));
+	}
+	return inputSchemas.get(tool.name);
+}
+
+/**
+ * JSON Schema of a tool's `structuredContent`, generated once per tool.
+ * @param {Tool} tool - The tool.
+ * @returns {object|undefined} The JSON Schema, if the tool declares an output schema.
+ */
+export function getOutputSchema(tool) {
+	if(!tool.outputSchema) {
+		return undefined;
+	}
+	if(!outputSchemas.has(tool.name)) {
+		outputSchemas.set(tool.name, toJsonSchema(tool.outputSchema));
+	}
+	return outputSchemas.get(tool.name);
+}
+
+/**
+ * Tool descriptor in the shape returned by `tools/list`.
+ * @param {Tool} tool - The tool.
+ * @returns {{ name: string, description: string, inputSchema: object, outputSchema?: object }}
+ */
+export function toToolDefinition(tool) {
+	return {
+		name: tool.name,
+		description: tool.description,
+		inputSchema: getInputSchema(tool),
+		...(tool.outputSchema && { outputSchema: getOutputSchema(tool) }),
+	};
+}
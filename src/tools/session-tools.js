@@ -0,0 +1,76 @@
+import { SCOPES } from '../auth.js';
+import { LLM_PARAM_SCHEMAS } from '../schemas/llm-schemas.js';
+import {
+	handleSessionList,
+	handleSessionGet,
+	handleSessionExport,
+	handleSessionImport,
+	handleSessionFork,
+} from '../handlers/session-handlers.js';
+import { registerTool } from './registry.js';
+
+/**
+ * @fileoverview Registers the session management methods, which list, read, copy and move the
+ * conversation histories of the generate methods. Like those methods they work on per-caller
+ * state, so they are never cached and are callable as JSON-RPC methods only.
+ */
+
+/**
+ * Registers a session method with the defaults shared by all of them.
+ * @param {object} tool - Tool definition without category, scopes and listing.
+ * @returns {import('./registry.js').Tool}
+ */
+function registerSessionTool(tool) {
+	return registerTool({
+		category: 'Conversation Session',
+		schema: LLM_PARAM_SCHEMAS[tool.name],
+		scopes: [ SCOPES.LLM_GENERATE ],
+		listed: false,
+		...tool,
+	});
+}
+
+registerSessionTool({
+	name: 'session_list',
+	description: 'Lists the caller\'s conversation sessions, most recently updated first.',
+	handler: handleSessionList,
+	example: { limit: 20 },
+});
+
+registerSessionTool({
+	name: 'session_get',
+	description: 'Returns the full transcript of a session, with the time of each message.',
+	handler: handleSessionGet,
+	example: { session_id: 'session-123456' },
+});
+
+registerSessionTool({
+	name: 'session_export',
+	description: 'Exports a session as a JSON document that session_import accepts.',
+	handler: handleSessionExport,
+	example: { session_id: 'session-123456' },
+});
+
+registerSessionTool({
+	name: 'session_import',
+	description: 'Imports a session exported with session_export, e.g. to take over a colleague\'s investigation.',
+	handler: handleSessionImport,
+	example: {
+		session: {
+			version: 1,
+			sessionId: 'session-123456',
+			messages: [
+				{ role: 'user', content: 'Is this wallet a market maker?', createdAt: '2025-01-15T10:00:00.000Z' },
+				{ role: 'assistant', content: 'It trades both sides of SOL/USDC dozens of times a day...', createdAt: '2025-01-15T10:00:04.000Z' },
+			],
+		},
+		session_id: 'session-from-alice',
+	},
+});
+
+registerSessionTool({
+	name: 'session_fork',
+	description: 'Copies a session, or its first messages, into a new session to branch an investigation.',
+	handler: handleSessionFork,
+	example: { session_id: 'session-123456', new_session_id: 'session-123456-alt', message_count: 4 },
+});
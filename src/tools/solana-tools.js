@@ -0,0 +1,203 @@
+import { SCOPES } from '../auth.js';
+import { annotateUntrustedText } from '../sanitize.js';
+import { SOLANA_PARAM_SCHEMAS } from '../schemas/solana-schemas.js';
+import { SOLANA_OUTPUT_SCHEMAS } from '../schemas/solana-output-schemas.js';
+import { registerTool } from './registry.js';
+import {
+	handleSolanaWalletOverview,
+	handleSolanaWalletTokens,
+	handleSolanaWalletNFTs,
+	handleSolanaWalletPnL,
+	handleSolanaTokenDetails,
+	handleSolanaTokenPrice,
+	handleSolanaTokenOHLC,
+	handleSolanaTokenHolders,
+	handleSolanaProgramDetails,
+	handleSolanaProgramMetrics,
+	handleSolanaProgramUsers,
+	handleSolanaTokenTransfers,
+	handleSolanaTrades,
+	handleSolanaWhaleMovements,
+	handleSolanaMarketSentiment,
+	handleSolanaNetworkActivity,
+	handleSolanaCrossAnalysis,
+} from '../handlers/solana-handlers.js';
+
+/**
+ * @fileoverview Registers the `solana_*` analytics tools. They are read-only, so results are
+ * cached in memory for as long as the data stays useful: seconds for prices and trades, a few
+ * minutes for analytics, hours for program metadata. Hot and slow-changing lookups (prices,
+ * trades, overviews, details, holders, market sentiment) are also shared through Redis, and
+ * served stale for a while after they expire so callers never wait on a refresh. Results
+ * whose text carries fenced on-chain names get a note marking them as untrusted, with a
+ * warning for values that read like instructions (see src/sanitize.js).
+ */
+
+const EXAMPLE_WALLET = '9xQeWvG816bUx9EPjHmaT23yvVM2ZWbrrpZb9PusVFin';
+const EXAMPLE_MINT = 'EPjFWdd5AufqSSqeM2qN1xzybapC8G4wEGGkZwyTDt1v';
+const EXAMPLE_PROGRAM = 'JUP6LkbZbjS1jKKwapdHNy74zcZ3tLUZoi5QNyVTaV4';
+
+const CACHE_REALTIME = { ttl: 10, redisTtl: 10, staleTtl: 30 };
+const CACHE_MEMORY = { ttl: 120 };
+const CACHE_SHARED = { ttl: 120, redisTtl: 300, staleTtl: 300 };
+const CACHE_STATIC = { ttl: 60 * 60, redisTtl: 6 * 60 * 60, staleTtl: 60 * 60 };
+
+/**
+ * Registers a `solana_*` tool with the defaults shared by all of them.
+ * @param {object} tool - Tool fields; see `registerTool`.
+ */
+function registerSolanaTool(tool) {
+	registerTool({
+		cache: CACHE_MEMORY,
+		scopes: [ SCOPES.SOLANA_READ ],
+		...tool,
+		handler: async (params, context) => annotateUntrustedText(await tool.handler(params, context), tool.name),
+		schema: SOLANA_PARAM_SCHEMAS[tool.name],
+		outputSchema: SOLANA_OUTPUT_SCHEMAS[tool.name],
+	});
+}
+
+registerSolanaTool({
+	name: 'solana_wallet_overview',
+	description: 'Gets a general overview of a Solana wallet, including total value, tokens, and NFTs.',
+	category: 'Wallet Analysis',
+	handler: handleSolanaWalletOverview,
+	cache: CACHE_SHARED,
+	example: { address: EXAMPLE_WALLET },
+});
+
+registerSolanaTool({
+	name: 'solana_wallet_tokens',
+	description: 'Lists SPL tokens in a Solana wallet.',
+	category: 'Wallet Analysis',
+	handler: handleSolanaWalletTokens,
+	example: { address: EXAMPLE_WALLET, include_no_price: true, limit: 50 },
+});
+
+registerSolanaTool({
+	name: 'solana_wallet_nfts',
+	description: 'Lists NFTs in a Solana wallet.',
+	category: 'Wallet Analysis',
+	handler: handleSolanaWalletNFTs,
+	example: { address: EXAMPLE_WALLET, include_no_price: true },
+});
+
+registerSolanaTool({
+	name: 'solana_wallet_pnl',
+	description: 'Analyzes wallet trading performance (Profit and Loss).',
+	category: 'Wallet Analysis',
+	handler: handleSolanaWalletPnL,
+	example: { address: EXAMPLE_WALLET },
+});
+
+registerSolanaTool({
+	name: 'solana_token_details',
+	description: 'Gets detailed information about a Solana token.',
+	category: 'Token and Price',
+	handler: handleSolanaTokenDetails,
+	cache: CACHE_SHARED,
+	example: { mint_address: EXAMPLE_MINT },
+});
+
+registerSolanaTool({
+	name: 'solana_token_price',
+	description: 'Gets the current price of a Solana token by mint address or symbol.',
+	category: 'Token and Price',
+	handler: handleSolanaTokenPrice,
+	cache: CACHE_REALTIME,
+	example: { symbol: 'SOL' },
+});
+
+registerSolanaTool({
+	name: 'solana_token_ohlc',
+	description: 'Gets OHLC (Open, High, Low, Close) data for a token.',
+	category: 'Token and Price',
+	handler: handleSolanaTokenOHLC,
+	example: { mint_address: EXAMPLE_MINT, resolution: '1d', limit: 14 },
+});
+
+registerSolanaTool({
+	name: 'solana_token_holders',
+	description: 'Lists the top holders of a token.',
+	category: 'Token and Price',
+	handler: handleSolanaTokenHolders,
+	cache: CACHE_SHARED,
+	example: { mint_address: EXAMPLE_MINT, limit: 5 },
+});
+
+registerSolanaTool({
+	name: 'solana_program_details',
+	description: 'Gets detailed information about a Solana program.',
+	category: 'Program (dApp)',
+	handler: handleSolanaProgramDetails,
+	cache: CACHE_STATIC,
+	example: { program_id: EXAMPLE_PROGRAM },
+});
+
+registerSolanaTool({
+	name: 'solana_program_metrics',
+	description: 'Gets activity metrics for a Solana program.',
+	category: 'Program (dApp)',
+	handler: handleSolanaProgramMetrics,
+	example: { program_id: EXAMPLE_PROGRAM, range: '30d' },
+});
+
+registerSolanaTool({
+	name: 'solana_program_users',
+	description: 'Lists the most active users of a Solana program.',
+	category: 'Program (dApp)',
+	handler: handleSolanaProgramUsers,
+	example: { program_id: EXAMPLE_PROGRAM, days: 30, limit: 20 },
+});
+
+registerSolanaTool({
+	name: 'solana_token_transfers',
+	description: 'Lists recent transfers of a token.',
+	category: 'Transaction',
+	handler: handleSolanaTokenTransfers,
+	cache: CACHE_REALTIME,
+	example: { mint_address: EXAMPLE_MINT, limit: 5 },
+});
+
+registerSolanaTool({
+	name: 'solana_trades',
+	description: 'Lists recent trades of a token.',
+	category: 'Transaction',
+	handler: handleSolanaTrades,
+	cache: CACHE_REALTIME,
+	example: { mint_address: EXAMPLE_MINT, limit: 5 },
+});
+
+registerSolanaTool({
+	name: 'solana_whale_movements',
+	description: 'Tracks large token transfers (whale movements).',
+	category: 'Advanced Analysis',
+	handler: handleSolanaWhaleMovements,
+	cache: CACHE_REALTIME,
+	example: { min_usd_amount: 50000, limit: 5 },
+});
+
+registerSolanaTool({
+	name: 'solana_market_sentiment',
+	description: 'Analyzes current market sentiment based on program activity and token metrics.',
+	category: 'Advanced Analysis',
+	handler: handleSolanaMarketSentiment,
+	cache: CACHE_SHARED,
+	example: {},
+});
+
+registerSolanaTool({
+	name: 'solana_network_activity',
+	description: 'Gets overall network activity metrics for Solana.',
+	category: 'Advanced Analysis',
+	handler: handleSolanaNetworkActivity,
+	example: {},
+});
+
+registerSolanaTool({
+	name: 'solana_cross_analysis',
+	description: 'Performs cross-analysis between multiple wallet addresses.',
+	category: 'Advanced Analysis',
+	handler: handleSolanaCrossAnalysis,
+	example: { addresses: [ EXAMPLE_WALLET, '2LecshUwdy9xi7meFgHtFJQNSKk4KdTrcpvaB56dP2NQ' ] },
+});
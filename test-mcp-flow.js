@@ -113,114 +113,30 @@ class SimpleMCPAgent {
     return defaultValue;
   }
 
-  getTools() {
-    // Predefined tools available for the agent
-    return [
-      {
-        name: 'solana_wallet_overview',
-        description: 'Get an overview of a Solana wallet, including total value, number of tokens, and NFTs',
-        parameters: {
-          type: 'object',
-          properties: {
-            address: {
-              type: 'string',
-              description: 'Solana wallet address'
-            }
-          },
-          required: ['address']
-        }
-      },
-      {
-        name: 'solana_wallet_tokens',
-        description: 'Get tokens in a Solana wallet',
-        parameters: {
-          type: 'object',
-          properties: {
-            address: {
-              type: 'string',
-              description: 'Solana wallet address'
-            },
-            include_no_price: {
-              type: 'boolean',
-              description: 'Include tokens without price data'
-            },
-            limit: {
-              type: 'integer',
-              description: 'Maximum number of tokens to return'
-            }
-          },
-          required: ['address']
-        }
-      },
-      {
-        name: 'solana_token_price',
-        description: 'Get the current price of a Solana token',
-        parameters: {
-          type: 'object',
-          properties: {
-            symbol: {
-              type: 'string',
-              description: 'Token symbol (e.g., SOL, USDC)'
-            },
-            mint_address: {
-              type: 'string',
-              description: 'Token mint address (alternative to symbol)'
-            }
-          },
-          anyOf: [
-            { required: ['symbol'] },
-            { required: ['mint_address'] }
-          ]
-        }
-      },
-      {
-        name: 'solana_wallet_pnl',
-        description: 'Get Profit and Loss (PnL) data for a Solana wallet',
-        parameters: {
-          type: 'object',
-          properties: {
-            address: {
-              type: 'string',
-              description: 'Solana wallet address'
-            }
-          },
-          required: ['address']
-        }
-      },
-      {
-        name: 'solana_market_sentiment',
-        description: 'Get current Solana market sentiment based on token prices and program activity',
-        parameters: {
-          type: 'object',
-          properties: {}
-        }
-      },
-      {
-        name: 'solana_whale_movements',
-        description: 'Get recent large transactions (whale movements) on Solana',
-        parameters: {
-          type: 'object',
-          properties: {
-            min_usd_amount: {
-              type: 'number',
-              description: 'Minimum USD value to consider a whale movement'
-            },
-            limit: {
-              type: 'integer',
-              description: 'Maximum number of movements to return'
-            }
-          }
-        }
-      },
-      {
-        name: 'solana_network_activity',
-        description: 'Get overall Solana network activity metrics',
-        parameters: {
-          type: 'object',
-          properties: {}
-        }
-      }
-    ];
+  async getTools() {
+    // Tools come from the server registry, so the agent always sees the current set
+    if (!this.tools) {
+      const { tools } = await this.callMcp('tools/list');
+      this.tools = tools.map(tool => ({
+        name: tool.name,
+        description: tool.description,
+        parameters: tool.inputSchema
+      }));
+    }
+    return this.tools;
+  }
+
+  logToolTrace(result) {
+    // The server runs the model's tool calls itself and reports them in the trace
+    for (const call of result?.trace?.toolCalls || []) {
+      console.log(`[TOOL] Step ${call.step}: ${call.name} ${JSON.stringify(call.arguments)}${call.isError ? ' (error)' : ''} - ${call.durationMs}ms`);
+      this.memory.toolCalls.push({
+        method: call.name,
+        params: call.arguments,
+        timestamp: new Date().toISOString(),
+        duration: call.durationMs
+      });
+    }
   }
 
   async generateWithLLM(prompt) {
@@ -229,7 +145,6 @@ class SimpleMCPAgent {
 
     // Build conversation history
     let messages;
-    let fullPrompt;
 
     if (isOpenAI) {
       // Format for OpenAI models
@@ -247,8 +162,10 @@ class SimpleMCPAgent {
         model,
         messages,
         max_tokens: 2000,
-        session_id: this.sessionId
+        session_id: this.sessionId,
+        tools: true
       });
+      this.logToolTrace(result);
 
       // Save the exchange in memory
       if (this.memory.messages.length === 0) {
@@ -261,34 +178,21 @@ class SimpleMCPAgent {
 
       return responseContent;
     } else {
-      // Format for Anthropic/Claude
-      if (this.memory.messages.length === 0) {
-        fullPrompt = 'You are an AI assistant specialized in Solana blockchain analysis. Use the available tools to help the user.\n\n';
-      } else {
-        fullPrompt = '';
-      }
-
-      // Add conversation history
-      for (const msg of this.memory.messages) {
-        if (msg.role === 'system') continue;
-
-        if (msg.role === 'user') {
-          fullPrompt += `Human: ${msg.content}\n\n`;
-        } else if (msg.role === 'assistant') {
-          fullPrompt += `Assistant: ${msg.content}\n\n`;
-        } else if (msg.role === 'tool') {
-          fullPrompt += `Tool Result (${msg.name}): ${msg.content}\n\n`;
-        }
-      }
-
-      fullPrompt += `Human: ${prompt}\n\nAssistant: `;
+      // Anthropic takes the system prompt separately; the server translates the messages
+      messages = [
+        ...this.memory.messages.filter(msg => msg.role !== 'system'),
+        { role: 'user', content: prompt }
+      ];
 
       const result = await this.callMcp('anthropic_generate', {
-        prompt: fullPrompt,
+        system: 'You are an AI assistant specialized in Solana blockchain analysis. Use the available tools to help the user.',
+        messages,
         model,
         max_tokens: 2000,
-        session_id: this.sessionId
+        session_id: this.sessionId,
+        tools: true
       });
+      this.logToolTrace(result);
 
       // Save the exchange in memory
       if (this.memory.messages.length === 0) {
@@ -355,7 +259,7 @@ class SimpleMCPAgent {
         if (userInput.trim().toLowerCase() === '/tools') {
           console.log('\n🛠️  Available tools:');
 
-          for (const tool of this.getTools()) {
+          for (const tool of await this.getTools()) {
             console.log(`   - ${tool.name}: ${tool.description}`);
           }
 
@@ -0,0 +1,117 @@
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+
+/**
+ * @fileoverview Tests of the in-memory tier of `getOrCompute`: coalescing of concurrent calls,
+ * stale-while-revalidate and refreshes. Time is driven by the mock clock of node:test.
+ */
+
+// Memory only, whatever the local .env says, and no log output
+process.env.REDIS_URL = '';
+process.env.LOG_LEVEL = 'silent';
+const { getOrCompute } = await import('../src/cache.js');
+
+const POLICY = { ttl: 10, staleTtl: 30 };
+
+/**
+ * Creates a promise with its resolve and reject functions.
+ * @returns {{ promise: Promise<*>, resolve: function(*): void, reject: function(Error): void }}
+ */
+function deferred() {
+	let resolve;
+	let reject;
+	const promise = new Promise((resolvePromise, rejectPromise) => {
+		resolve = resolvePromise;
+		reject = rejectPromise;
+	});
+	return { promise, resolve, reject };
+}
+
+/**
+ * Lets pending promise callbacks, such as background refreshes, run.
+ * @returns {Promise<void>}
+ */
+function flush() {
+	return new Promise(resolve => setImmediate(resolve));
+}
+
+describe('getOrCompute', () => {
+	it('shares one computation between concurrent calls', async () => {
+		let calls = 0;
+		const pending = deferred();
+		const compute = () => {
+			calls++;
+			return pending.promise;
+		};
+		const first = getOrCompute('coalesce', POLICY, compute);
+		const second = getOrCompute('coalesce', POLICY, compute);
+		pending.resolve('value');
+		assert.deepEqual(await first, { value: 'value', cachedAt: null, stale: false });
+		assert.deepEqual(await second, { value: 'value', cachedAt: null, stale: false });
+		assert.equal(calls, 1);
+	});
+
+	it('rejects every waiting call when the computation fails, and caches nothing', async () => {
+		const pending = deferred();
+		const first = getOrCompute('failure', POLICY, () => pending.promise);
+		const second = getOrCompute('failure', POLICY, () => assert.fail('joined calls must not compute'));
+		pending.reject(new Error('upstream down'));
+		await assert.rejects(first, /upstream down/);
+		await assert.rejects(second, /upstream down/);
+
+		const retried = await getOrCompute('failure', POLICY, async () => 'recovered');
+		assert.equal(retried.value, 'recovered');
+	});
+
+	it('computes again for a joined call when the call that started the computation is cancelled', async () => {
+		const controller = new AbortController();
+		const pending = deferred();
+		const first = getOrCompute('cancelled', POLICY, () => pending.promise, { signal: controller.signal });
+		const second = getOrCompute('cancelled', POLICY, async () => 'own value', { signal: new AbortController().signal });
+		controller.abort();
+		pending.reject(Object.assign(new Error('aborted'), { name: 'AbortError' }));
+		await assert.rejects(first, /aborted/);
+		assert.equal((await second).value, 'own value');
+	});
+
+	it('serves cached values until the TTL, then stale ones while refreshing in the background', async t => {
+		t.mock.timers.enable({ apis: [ 'Date' ], now: 1000000 });
+		const backgroundCalls = [];
+		let version = 0;
+		const compute = async (options = {}) => {
+			if(options.background) {
+				backgroundCalls.push(options);
+			}
+			return `v${ ++version }`;
+		};
+
+		assert.equal((await getOrCompute('stale', POLICY, compute)).value, 'v1');
+
+		t.mock.timers.tick(5 * 1000);
+		assert.deepEqual(await getOrCompute('stale', POLICY, compute), { value: 'v1', cachedAt: 1000000, stale: false });
+
+		t.mock.timers.tick(6 * 1000);
+		assert.deepEqual(await getOrCompute('stale', POLICY, compute), { value: 'v1', cachedAt: 1000000, stale: true });
+		await flush();
+		assert.deepEqual(backgroundCalls, [ { background: true } ]);
+		assert.deepEqual(await getOrCompute('stale', POLICY, compute), { value: 'v2', cachedAt: 1011000, stale: false });
+
+		// Past TTL and stale TTL the entry is gone, and the call waits for a new value
+		t.mock.timers.tick(41 * 1000);
+		assert.deepEqual(await getOrCompute('stale', POLICY, compute), { value: 'v3', cachedAt: null, stale: false });
+		assert.equal(backgroundCalls.length, 1);
+	});
+
+	it('skips the cached value on refresh and stores the new one', async () => {
+		await getOrCompute('refresh', POLICY, async () => 'old');
+		assert.equal((await getOrCompute('refresh', POLICY, async () => 'new', { refresh: true })).value, 'new');
+		assert.equal((await getOrCompute('refresh', POLICY, async () => 'unused')).value, 'new');
+	});
+
+	it('computes every call when caching is disabled', async () => {
+		let calls = 0;
+		const compute = async () => ++calls;
+		await getOrCompute('disabled', false, compute);
+		assert.deepEqual(await getOrCompute('disabled', false, compute), { value: 2, cachedAt: null, stale: false });
+	});
+});
@@ -0,0 +1,224 @@
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+import pino from 'pino';
+import { createCircuitBreaker } from '../src/services/circuit-breaker.js';
+import { VybeApiError, VybeCircuitOpenError, VybeTimeoutError } from '../src/services/vybe-errors.js';
+import { VybeClient } from '../src/services/vybe-service.js';
+
+/**
+ * @fileoverview Tests of the resilience of `VybeClient._request` (timeouts, retries honouring
+ * `Retry-After`, cancellation, per-endpoint circuit breaking) and of the circuit breaker itself.
+ * The client gets a fake `fetch`, and time is driven by the mock clock of node:test.
+ */
+
+const silentLogger = pino({ level: 'silent' });
+
+const WALLET = '9WzDXwBbmkg8ZTbNMqUxvQRAyrZzDsGYdLVL9zYtAWWM';
+const OTHER_WALLET = '5Q544fKrFoe6tsEbD7S8EmxGTJYAKtTVhAW5Q5pge4j1';
+
+/**
+ * Creates a fake `fetch` answering with the given responses in turn; the last one is repeated.
+ * A response of `'hang'` never arrives, until the request is aborted.
+ * @param {...(object|string)} responses - `{ status, body, headers }` descriptions.
+ * @returns {function & { calls: Array<{ url: string, options: object }> }}
+ */
+function fakeFetch(...responses) {
+	const fetch = async (url, options) => {
+		const response = responses[Math.min(fetch.calls.length, responses.length - 1)];
+		fetch.calls.push({ url, options });
+		if(response === 'hang') {
+			return new Promise((resolve, reject) => {
+				options.signal.addEventListener('abort', () => reject(Object.assign(new Error('aborted'), { name: 'AbortError' })));
+			});
+		}
+		const { status = 200, body = { data: [] }, headers = {} } = response;
+		return new Response(JSON.stringify(body), { status, headers });
+	};
+	fetch.calls = [];
+	return fetch;
+}
+
+/**
+ * Creates a client using a fake `fetch`.
+ * @param {function} fetch - The fake `fetch`.
+ * @param {object} [requestConfig] - Overrides of the request settings.
+ * @returns {VybeClient}
+ */
+function createClient(fetch, requestConfig = {}) {
+	return new VybeClient({
+		apiKey: 'test-key',
+		baseUrl: 'https://vybe.test/',
+		fetch,
+		logger: silentLogger,
+		requestConfig: {
+			timeoutMs: 10 * 1000,
+			maxRetries: 3,
+			retryBaseMs: 500,
+			maxRetryAfterMs: 30 * 1000,
+			breakerThreshold: 5,
+			breakerCooldownMs: 30 * 1000,
+			...requestConfig,
+		},
+	});
+}
+
+/**
+ * Lets pending promise callbacks run, so the request reaches its next timer.
+ * @returns {Promise<void>}
+ */
+async function flush() {
+	for(let round = 0; round < 5; round++) {
+		await new Promise(resolve => setImmediate(resolve));
+	}
+}
+
+describe('VybeClient requests', () => {
+	it('sends the API key and query params, skipping empty ones', async () => {
+		const fetch = fakeFetch({ body: { data: [ 1 ] } });
+		const result = await createClient(fetch).getWalletTokens(WALLET, { limit: 5, page: null });
+		assert.deepEqual(result, { data: [ 1 ] });
+		assert.equal(fetch.calls[0].url, `https://vybe.test/account/token-balance/${ WALLET }?limit=5`);
+		assert.equal(fetch.calls[0].options.headers['X-API-Key'], 'test-key');
+	});
+
+	it('waits as long as Retry-After asks before retrying', async t => {
+		t.mock.timers.enable({ apis: [ 'setTimeout', 'Date' ] });
+		const fetch = fakeFetch({ status: 429, headers: { 'Retry-After': '2' } }, { body: { data: [ 'ok' ] } });
+		const request = createClient(fetch).getWalletTokens(WALLET);
+		await flush();
+		assert.equal(fetch.calls.length, 1);
+
+		t.mock.timers.tick(1999);
+		await flush();
+		assert.equal(fetch.calls.length, 1);
+
+		t.mock.timers.tick(1);
+		await flush();
+		assert.equal(fetch.calls.length, 2);
+		assert.deepEqual(await request, { data: [ 'ok' ] });
+	});
+
+	it('does not retry when Retry-After is longer than maxRetryAfterMs', async () => {
+		const fetch = fakeFetch({ status: 429, headers: { 'Retry-After': '120' } });
+		await assert.rejects(createClient(fetch).getWalletTokens(WALLET), error => error instanceof VybeApiError && error.status === 429);
+		assert.equal(fetch.calls.length, 1);
+	});
+
+	it('retries with exponential backoff and gives up after maxRetries', async t => {
+		t.mock.timers.enable({ apis: [ 'setTimeout', 'Date' ] });
+		// Without jitter the delays are the full backoff: 500, 1000, 2000 ms
+		t.mock.method(Math, 'random', () => 1);
+		const fetch = fakeFetch({ status: 503 });
+		const request = createClient(fetch).getWalletTokens(WALLET);
+		const failed = assert.rejects(request, error => error.status === 503);
+		for(const delay of [ 500, 1000, 2000 ]) {
+			await flush();
+			const calls = fetch.calls.length;
+			t.mock.timers.tick(delay - 1);
+			await flush();
+			assert.equal(fetch.calls.length, calls);
+			t.mock.timers.tick(1);
+		}
+		await failed;
+		assert.equal(fetch.calls.length, 4);
+	});
+
+	it('does not retry client errors', async () => {
+		const fetch = fakeFetch({ status: 404, body: { message: 'not found' } });
+		await assert.rejects(createClient(fetch).getWalletTokens(WALLET), error => error.status === 404 && error.retryable === false);
+		assert.equal(fetch.calls.length, 1);
+	});
+
+	it('times out an attempt after timeoutMs', async t => {
+		t.mock.timers.enable({ apis: [ 'setTimeout', 'Date' ] });
+		const fetch = fakeFetch('hang');
+		const request = createClient(fetch, { maxRetries: 0 }).getWalletTokens(WALLET);
+		const failed = assert.rejects(request, VybeTimeoutError);
+		await flush();
+		t.mock.timers.tick(10 * 1000);
+		await failed;
+	});
+
+	it('stops at once when cancelled during a retry delay', async t => {
+		t.mock.timers.enable({ apis: [ 'setTimeout', 'Date' ] });
+		const controller = new AbortController();
+		const fetch = fakeFetch({ status: 503, headers: { 'Retry-After': '5' } });
+		const request = createClient(fetch).getWalletTokens(WALLET, {}, { signal: controller.signal });
+		await flush();
+		controller.abort();
+		await assert.rejects(request, { name: 'AbortError' });
+		t.mock.timers.tick(60 * 1000);
+		await flush();
+		assert.equal(fetch.calls.length, 1);
+	});
+
+	it('opens the circuit of an endpoint after repeated failures, for every address', async t => {
+		t.mock.timers.enable({ apis: [ 'setTimeout', 'Date' ] });
+		const fetch = fakeFetch({ status: 503 }, { status: 503 }, { body: { data: [ 'ok' ] } });
+		const client = createClient(fetch, { maxRetries: 0, breakerThreshold: 2, breakerCooldownMs: 1000 });
+		await assert.rejects(client.getWalletTokens(WALLET), error => error.status === 503);
+		await assert.rejects(client.getWalletTokens(WALLET), error => error.status === 503);
+
+		await assert.rejects(client.getWalletTokens(OTHER_WALLET), error => error instanceof VybeCircuitOpenError && error.retryAfterMs === 1000);
+		assert.equal(fetch.calls.length, 2);
+		// Other endpoints keep their own circuit
+		await client.getWalletPnl(WALLET);
+		assert.equal(fetch.calls.length, 3);
+
+		t.mock.timers.tick(1000);
+		assert.deepEqual(await client.getWalletTokens(OTHER_WALLET), { data: [ 'ok' ] });
+	});
+
+	it('stops retrying once the failures open the circuit', async () => {
+		const fetch = fakeFetch({ status: 503, headers: { 'Retry-After': '0' } });
+		const client = createClient(fetch, { maxRetries: 5, breakerThreshold: 2 });
+		await assert.rejects(client.getWalletTokens(WALLET), error => error.status === 503);
+		assert.equal(fetch.calls.length, 2);
+	});
+});
+
+describe('createCircuitBreaker', () => {
+	it('lets a single trial call through after the cooldown', t => {
+		t.mock.timers.enable({ apis: [ 'Date' ] });
+		const breaker = createCircuitBreaker({ failureThreshold: 2, cooldownMs: 1000 });
+		breaker.recordFailure();
+		assert.equal(breaker.state(), 'closed');
+		breaker.recordFailure();
+		assert.equal(breaker.state(), 'open');
+		assert.equal(breaker.allowRequest(), false);
+
+		t.mock.timers.tick(1000);
+		assert.equal(breaker.allowRequest(), true);
+		assert.equal(breaker.state(), 'half-open');
+		assert.equal(breaker.allowRequest(), false);
+
+		breaker.recordSuccess();
+		assert.equal(breaker.state(), 'closed');
+		assert.equal(breaker.allowRequest(), true);
+	});
+
+	it('opens again when the trial call fails', t => {
+		t.mock.timers.enable({ apis: [ 'Date' ] });
+		const breaker = createCircuitBreaker({ failureThreshold: 2, cooldownMs: 1000 });
+		breaker.recordFailure();
+		breaker.recordFailure();
+		t.mock.timers.tick(1000);
+		assert.equal(breaker.allowRequest(), true);
+		breaker.recordFailure();
+		assert.equal(breaker.state(), 'open');
+		assert.equal(breaker.retryAfterMs(), 1000);
+	});
+
+	it('frees the trial slot when the trial call never reports back', t => {
+		t.mock.timers.enable({ apis: [ 'Date' ] });
+		const breaker = createCircuitBreaker({ failureThreshold: 1, cooldownMs: 1000 });
+		breaker.recordFailure();
+		t.mock.timers.tick(1000);
+		assert.equal(breaker.allowRequest(), true);
+		t.mock.timers.tick(999);
+		assert.equal(breaker.allowRequest(), false);
+		assert.equal(breaker.retryAfterMs(), 1);
+		t.mock.timers.tick(1);
+		assert.equal(breaker.allowRequest(), true);
+	});
+});
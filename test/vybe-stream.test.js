@@ -0,0 +1,185 @@
+import assert from 'node:assert/strict';
+import { once } from 'node:events';
+import { afterEach, beforeEach, describe, it } from 'node:test';
+import pino from 'pino';
+import WebSocket from 'ws';
+import { VybeStream } from '../src/services/vybe-stream.js';
+
+/**
+ * @fileoverview Runs `VybeStream` against a local WebSocket server: configuration, message
+ * routing, reconnects, heartbeats and closing.
+ */
+
+const silentLogger = pino({ level: 'silent' });
+
+/**
+ * Starts a WebSocket server on a free local port that records the connections and messages
+ * it receives.
+ * @returns {Promise<object>} The server, with `url`, `connections` and `received`.
+ */
+async function startServer() {
+	const server = new WebSocket.Server({ host: '127.0.0.1', port: 0 });
+	await once(server, 'listening');
+	server.url = `ws://127.0.0.1:${ server.address().port }`;
+	server.connections = [];
+	server.received = [];
+	server.on('connection', (socket, request) => {
+		server.connections.push({ socket, apiKey: request.headers['x-api-key'] });
+		socket.on('message', data => server.received.push(JSON.parse(String(data))));
+	});
+	return server;
+}
+
+/**
+ * Creates a stream on the server with short delays.
+ * @param {object} server - Server from `startServer`.
+ * @param {object} [options] - Stream options overriding the defaults.
+ * @returns {VybeStream}
+ */
+function createStream(server, options = {}) {
+	return new VybeStream({
+		url: server.url,
+		apiKey: 'test-key',
+		logger: silentLogger,
+		reconnectBaseMs: 10,
+		reconnectMaxMs: 50,
+		...options,
+	});
+}
+
+/**
+ * Waits until a condition holds, polling every few milliseconds.
+ * @param {function(): boolean} condition - The condition.
+ * @param {number} [timeoutMs=2000] - Time after which the wait fails.
+ * @returns {Promise<void>}
+ */
+async function waitFor(condition, timeoutMs = 2000) {
+	const deadline = Date.now() + timeoutMs;
+	while(!condition()) {
+		if(Date.now() > deadline) {
+			throw new Error('Timed out waiting for condition');
+		}
+		await new Promise(resolve => setTimeout(resolve, 5));
+	}
+}
+
+describe('VybeStream', () => {
+	let server;
+	let stream;
+
+	beforeEach(async () => {
+		server = await startServer();
+	});
+
+	afterEach(async () => {
+		stream?.close();
+		stream = null;
+		server.clients.forEach(client => client.terminate());
+		await new Promise(resolve => server.close(resolve));
+	});
+
+	it('rejects a placeholder URL and a missing key', () => {
+		assert.throws(() => new VybeStream({ url: 'wss://your-websocket-uri-here', apiKey: 'key' }), /VYBE_WEBSOCKET_URL/);
+		assert.throws(() => new VybeStream({ url: server.url }), /apiKey/);
+	});
+
+	it('sends the API key and the filters once connected', async () => {
+		stream = createStream(server);
+		assert.equal(stream.configure({ trades: [] }), false);
+		stream.connect();
+		await once(stream, 'open');
+		assert.equal(stream.state, 'open');
+		await waitFor(() => server.received.length === 1);
+		assert.equal(server.connections[0].apiKey, 'test-key');
+		assert.deepEqual(server.received[0], { type: 'configure', filters: { trades: [] } });
+
+		assert.equal(stream.configure({ transfers: [] }), true);
+		await waitFor(() => server.received.length === 2);
+		assert.deepEqual(server.received[1].filters, { transfers: [] });
+	});
+
+	it('emits messages on the event of their stream', async () => {
+		stream = createStream(server).connect();
+		await once(stream, 'open');
+		const events = [];
+		for(const event of [ 'message', 'trades', 'transfers', 'oraclePrices' ]) {
+			stream.on(event, message => events.push([ event, message.id ]));
+		}
+		const [ { socket } ] = server.connections;
+		socket.send(JSON.stringify({ id: 1, baseMintAddress: 'a' }));
+		socket.send(JSON.stringify({ id: 2, senderAddress: 'b' }));
+		socket.send(JSON.stringify({ id: 3, type: 'oraclePrices' }));
+		socket.send(JSON.stringify({ id: 4, status: 'ok' }));
+		await waitFor(() => events.length === 7);
+		assert.deepEqual(events, [
+			[ 'message', 1 ], [ 'trades', 1 ],
+			[ 'message', 2 ], [ 'transfers', 2 ],
+			[ 'message', 3 ], [ 'oraclePrices', 3 ],
+			[ 'message', 4 ],
+		]);
+	});
+
+	it('reports unparseable messages without closing', async () => {
+		stream = createStream(server).connect();
+		await once(stream, 'open');
+		server.connections[0].socket.send('not json');
+		const [ error ] = await once(stream, 'error');
+		assert.match(error.message, /Unparseable/);
+		assert.equal(stream.state, 'open');
+	});
+
+	it('reconnects when the server drops the socket and sends the filters again', async () => {
+		stream = createStream(server);
+		stream.configure({ trades: [ { marketId: 'm' } ] });
+		stream.connect();
+		await once(stream, 'open');
+		await waitFor(() => server.received.length === 1);
+		const reconnecting = once(stream, 'reconnecting');
+		server.connections[0].socket.terminate();
+		const [ { attempt } ] = await reconnecting;
+		assert.equal(attempt, 1);
+		await once(stream, 'open');
+		await waitFor(() => server.received.length === 2);
+		assert.equal(server.connections.length, 2);
+		assert.deepEqual(server.received[1], server.received[0]);
+	});
+
+	it('replaces a socket that stops answering pings', async () => {
+		stream = createStream(server, { heartbeatIntervalMs: 30 }).connect();
+		await once(stream, 'open');
+		// A paused server socket reads nothing, so the pings go unanswered
+		server.connections[0].socket._socket.pause();
+		await once(stream, 'reconnecting');
+		await once(stream, 'open');
+		assert.equal(server.connections.length, 2);
+	});
+
+	it('gives up after maxReconnectAttempts', async () => {
+		const shortLived = await startServer();
+		stream = createStream(shortLived, { maxReconnectAttempts: 2 }).connect();
+		await once(stream, 'open');
+		const errors = [];
+		stream.on('error', error => errors.push(error));
+		const closed = new Promise(resolve => stream.once('close', resolve));
+		shortLived.clients.forEach(client => client.terminate());
+		await new Promise(resolve => shortLived.close(resolve));
+		await closed;
+		assert.equal(stream.state, 'closed');
+		// Both reconnect attempts were refused
+		assert.equal(errors.length, 2);
+	});
+
+	it('does not reconnect once closed', async () => {
+		stream = createStream(server).connect();
+		await once(stream, 'open');
+		let reconnects = 0;
+		stream.on('reconnecting', () => reconnects++);
+		const closed = once(stream, 'close');
+		stream.close();
+		await closed;
+		await new Promise(resolve => setTimeout(resolve, 100));
+		assert.equal(stream.state, 'closed');
+		assert.equal(reconnects, 0);
+		assert.equal(server.connections.length, 1);
+	});
+});